@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+import { main } from '../lib/cli.js';
+
+// -----------------------------------------------------------------------------
+//
+// sg108e: command line tool to manage a TP Link SG108E switch
+//
+// see lib/cli.js for the list of commands and options
+//
+// -----------------------------------------------------------------------------
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,6 +1,11 @@
-import fetch from 'node-fetch'; 
+import fetch, { FormData, Blob } from 'node-fetch'; 
 import { stringify } from 'querystring';
-import { dump } from 'js-yaml';
+import { load, dump } from 'js-yaml';
+import { readFile, writeFile } from 'fs/promises';
+import { networkInterfaces, userInfo } from 'os';
+import { randomBytes } from 'crypto';
+import { setTimeout as sleep } from 'timers/promises';
+import { AsyncLocalStorage } from 'async_hooks';
 
 // -----------------------------------------------------------------------------
 //
@@ -11,18 +16,43 @@ import { dump } from 'js-yaml';
 // automation for following operations:
 //
 // Info:      returns configuration & status of the switch, ports and vlans 
-// SetSwitch: sets name of switch and enables/diasables 802.1Q vlans
+// SetSwitch: sets name of switch and the vlan mode (802.1Q/port-based/disabled)
 // SetPort:   sets state and speed of a port
 // SetVLAN:   sets or deletes id, name and configuration of a vlan
+// SetPVID:   sets the port VLAN ID (PVID) of one or more ports
+// SetPortVLAN: sets or deletes the members of a port-based vlan
+// SetLAG:    creates, modifies or dissolves a link aggregation group (trunk)
+// SetMirror: enables/disables port mirroring with destination and source ports
+// SetQoS:    sets the QoS mode (port-based, 802.1P or DSCP)
+// SetPortPriority: sets the QoS priority of ports
+// SetBandwidth: sets the ingress/egress rate limits of ports
+// SetStormControl: sets the broadcast/multicast/unknown-unicast storm control
+// SetIGMP:   enables/disables IGMP snooping and report message suppression
+// ClearCounters: clears the packet counters (statistics) of all ports
+// SetIP:     sets DHCP or static IP address, netmask and gateway of the switch
+// Backup:    downloads the configuration file of the switch
+// Restore:   uploads a configuration file to the switch
+// SetPassword: changes username and password of the WebUI
+// Reboot:    reboots the switch
+// FactoryReset: resets the switch to factory settings
 // Diagnosis: check connectivity and credentials
+// Apply:     converges the switch towards a desired state (e.g. a YAML file)
+// Rollback:  restores the configuration captured by a journal entry
+// DryRun:    runs one of the above routines without modifying the switch
+// Journal:   runs one of the above routines and records the changes
+// SwitchClient: runs the above routines within one session of the WebUI
+// MODELS:    profiles of the supported models (ports and pages)
 //
 // Common connection parameters:
-//   server:   hostname or IP address of the switch
+//   server:   hostname or IP address of the switch with optional port
+//             (e.g. 192.168.0.1 or localhost:8080 - default port: 80)
 //   username: username for the WebUI (default: admin)
 //   password: password for the WebUI (default: admin)
 //
 // The routines only cover a subset of the capabilities of the switch.
-// Specificially the VLANs only make use 802.1Q VLANs and no QoS configuration.
+// Specificially the VLANs only make use of 802.1Q and port-based VLANs (no MTU
+// VLANs) and the QoS configuration is limited to the QoS mode, port priorities,
+// bandwidth control and storm control.
 // Each of the routines follows the same structure:
 //   - validate parameters
 //   - login to the switch
@@ -32,12 +62,40 @@ import { dump } from 'js-yaml';
 //   - logout
 //   - present the results
 //
+// Failures are signalled with the following errors (all derived from
+// SwitchError):
+//   ValidationError:   invalid parameters - nothing has been changed
+//   UnreachableError:  the switch is not accessible
+//   UnauthorizedError: the credentials are not valid
+//   RejectedError:     the switch has rejected a request (HTTP status)
+//   VerificationError: the switch has not applied a change - the setters read
+//                      the affected configuration back after each change
+//   ParseError:        a page of the switch could not be parsed (e.g. unknown
+//                      firmware) - page and field name the culprit
+//   UnsupportedError:  the model of the switch is not supported
+//
+// Besides the SG108E the routines support the other Easy Smart switches with
+// the same Web-UI: SG105E, SG116E, SG1016DE and SG1024DE (see MODELS). The
+// model is detected from the hardware version and the number of ports which
+// are reported by the switch and determines the valid ports and the pages of
+// the Web-UI. Switches of other models are refused with an UnsupportedError.
+//
+// Running the routines via a SwitchClient avoids the login and logout for
+// every single routine. Running them via DryRun lists the requests and the
+// changes of the configuration without modifying the switch. Running them via
+// Journal records the state of the switch before and after the changes, which
+// can be restored with Rollback.
+//
+// The routines are exported by this module without any side effects. A command
+// line tool making use of them is provided by bin/sg108e.js.
+//
 // It has to be mentioned that the management of the switch is not very secure
 // since the API only makes use of http and during a session any other client 
 // could access the Web-UI and potentially modify the configuration.
 //
 // Sample output of Info:
 //     switch:
+//       model: TL-SG108E
 //       hardware: TL-SG108E 3.0
 //       fimrware: 1.0.0 Build 20171214 Rel.70905
 //       name: Switch-007
@@ -45,72 +103,139 @@ import { dump } from 'js-yaml';
 //       ip: 192.168.178.101
 //       netmask: 255.255.0.0
 //       gateway: 192.168.178.1
-//       vlan: Enabled
+//       dhcp: Disabled
+//       vlan: 802.1Q
+//       maxVlans: 32
+//       qos: 802.1P
 //       ports:
 //         - number: 1
 //           state: Enabled
 //           speed: down
+//           speedConfig: Auto
+//           lag: 0
 //           link: down
 //           TxGoodPkt: 0
 //           TxBadPkt: 0
 //           RxGoodPkt: 0
 //           RxBadPkt: 0
+//           pvid: 1
+//           priority: 1
+//           ingressRate: Unlimited
+//           egressRate: Unlimited
+//           stormRate: Unlimited
+//           stormTypes: []
 //         - number: 2
 //           state: Enabled
 //           speed: down
+//           speedConfig: Auto
+//           lag: 0
 //           link: down
 //           TxGoodPkt: 0
 //           TxBadPkt: 0
 //           RxGoodPkt: 0
 //           RxBadPkt: 0
+//           pvid: 1
+//           priority: 1
+//           ingressRate: Unlimited
+//           egressRate: Unlimited
+//           stormRate: Unlimited
+//           stormTypes: []
 //         - number: 3
 //           state: Enabled
 //           speed: down
+//           speedConfig: Auto
+//           lag: 0
 //           link: down
 //           TxGoodPkt: 0
 //           TxBadPkt: 0
 //           RxGoodPkt: 0
 //           RxBadPkt: 0
+//           pvid: 1
+//           priority: 1
+//           ingressRate: Unlimited
+//           egressRate: Unlimited
+//           stormRate: Unlimited
+//           stormTypes: []
 //         - number: 4
 //           state: Disabled
 //           speed: down
+//           speedConfig: 100MH
+//           lag: 0
 //           link: down
 //           TxGoodPkt: 0
 //           TxBadPkt: 0
 //           RxGoodPkt: 0
 //           RxBadPkt: 0
+//           pvid: 1
+//           priority: 1
+//           ingressRate: Unlimited
+//           egressRate: Unlimited
+//           stormRate: Unlimited
+//           stormTypes: []
 //         - number: 5
 //           state: Enabled
 //           speed: down
+//           speedConfig: Auto
+//           lag: 0
 //           link: down
 //           TxGoodPkt: 0
 //           TxBadPkt: 0
 //           RxGoodPkt: 0
 //           RxBadPkt: 0
+//           pvid: 1
+//           priority: 1
+//           ingressRate: Unlimited
+//           egressRate: Unlimited
+//           stormRate: Unlimited
+//           stormTypes: []
 //         - number: 6
 //           state: Enabled
 //           speed: down
+//           speedConfig: Auto
+//           lag: 0
 //           link: down
 //           TxGoodPkt: 0
 //           TxBadPkt: 0
 //           RxGoodPkt: 0
 //           RxBadPkt: 0
+//           pvid: 1
+//           priority: 1
+//           ingressRate: Unlimited
+//           egressRate: Unlimited
+//           stormRate: Unlimited
+//           stormTypes: []
 //         - number: 7
 //           state: Enabled
 //           speed: down
+//           speedConfig: Auto
+//           lag: 0
 //           link: down
 //           TxGoodPkt: 0
 //           TxBadPkt: 0
 //           RxGoodPkt: 0
 //           RxBadPkt: 0
+//           pvid: 1
+//           priority: 1
+//           ingressRate: Unlimited
+//           egressRate: Unlimited
+//           stormRate: Unlimited
+//           stormTypes: []
 //         - number: 8
 //           state: Enabled
 //           speed: 100MF
+//           speedConfig: Auto
+//           lag: 0
 //           link: 100MF
 //           TxGoodPkt: 4318
 //           TxBadPkt: 0
 //           RxGoodPkt: 58799
 //           RxBadPkt: 0
+//           pvid: 1
+//           priority: 1
+//           ingressRate: Unlimited
+//           egressRate: Unlimited
+//           stormRate: Unlimited
+//           stormTypes: []
 //       vlans:
 //         - name: Default
 //           id: 1
@@ -124,20 +249,63 @@ import { dump } from 'js-yaml';
 //           id: 7
 //           tagged: [3,4]
 //           untagged: []
+//       portVlans:
+//         - id: 1
+//           members: [1,2,3,4,5,6,7,8]
+//       lags: []
+//       mirror:
+//         state: Enabled
+//         destination: 1
+//         sources:
+//           - port: 8
+//             direction: both
+//       igmp:
+//         state: Enabled
+//         reportSuppression: Disabled
+//         groups:
+//           - ip: 239.1.1.1
+//             vlan: 1
+//             ports: [8]
 //
 // Author: bernard@tsai.eu
 //
 // --- CONSTANTS ---------------------------------------------------------------
 
-const LOGIN_PATH       = ':80/logon.cgi';
-const LOGOUT_PATH      = ':80/Logout.htm';
-const SWITCH_INFO_PATH = ':80/SystemInfoRpm.htm';
-const PORT_INFO_1_PATH = ':80/PortSettingRpm.htm';
-const PORT_INFO_2_PATH = ':80/PortStatisticsRpm.htm';
-const VLAN_INFO_PATH   = ':80/Vlan8021QRpm.htm';
-const SWITCH_PATH      = ':80/system_name_set.cgi';
-const VLAN_PATH        = ':80/qvlanSet.cgi';
-const PORT_PATH        = ':80/port_setting.cgi';
+const LOGIN_PATH       = '/logon.cgi';
+const LOGOUT_PATH      = '/Logout.htm';
+const SWITCH_INFO_PATH = '/SystemInfoRpm.htm';
+const PORT_INFO_1_PATH = '/PortSettingRpm.htm';
+const PORT_INFO_2_PATH = '/PortStatisticsRpm.htm';
+const VLAN_INFO_PATH   = '/Vlan8021QRpm.htm';
+const PVID_INFO_PATH   = '/Vlan8021QPvidRpm.htm';
+const PVLAN_INFO_PATH  = '/VlanPortBasicRpm.htm';
+const MIRROR_INFO_PATH = '/PortMirrorRpm.htm';
+const QOS_INFO_PATH    = '/QosBasicRpm.htm';
+const BANDWIDTH_INFO_PATH = '/QosBandWidthControlRpm.htm';
+const STORM_INFO_PATH  = '/QosStormControlRpm.htm';
+const IGMP_INFO_PATH   = '/IgmpSnoopingRpm.htm';
+const IP_INFO_PATH     = '/IpSettingRpm.htm';
+const SWITCH_PATH      = '/system_name_set.cgi';
+const VLAN_PATH        = '/qvlanSet.cgi';
+const PORT_PATH        = '/port_setting.cgi';
+const PVID_PATH        = '/vlanPvidSet.cgi';
+const PVLAN_PATH       = '/pvlanSet.cgi';
+const LAG_PATH         = '/port_trunk_set.cgi';
+const LAG_DELETE_PATH  = '/port_trunk_display.cgi';
+const MIRROR_PATH      = '/mirror_enabled_set.cgi';
+const MIRRORED_PATH    = '/mirrored_port_set.cgi';
+const QOS_PATH         = '/qos_mode_set.cgi';
+const PRIORITY_PATH    = '/qos_port_priority_set.cgi';
+const BANDWIDTH_PATH   = '/qos_bandwidth_set.cgi';
+const STORM_PATH       = '/qos_stormcontrol_set.cgi';
+const IGMP_PATH        = '/igmpSnooping.cgi';
+const STATISTICS_PATH  = '/port_statistics_set.cgi';
+const IP_PATH          = '/ip_setting.cgi';
+const BACKUP_PATH      = '/config_back.cgi';
+const RESTORE_PATH     = '/conf_restore.cgi';
+const ACCOUNT_PATH     = '/usr_account_set.cgi';
+const REBOOT_PATH      = '/reboot.cgi';
+const RESET_PATH       = '/reset.cgi';
 
 const SPEEDS = ['down', 'Auto', '10MH', '10MF', '100MH', '100MF', '1000MF', ''];
 const SPEED2VALUE = {
@@ -151,16 +319,137 @@ const SPEED2VALUE = {
   ''       : 7
 };
 const STATES = ['Disabled', 'Enabled'];
+const VLAN_MODES = ['Disabled', '802.1Q', 'Port-based'];
+const DIRECTIONS = ['ingress', 'egress', 'both'];
+const QOS_MODES  = ['Port-based', '802.1P', 'DSCP'];
+const BANDWIDTH_RATES = ['Unlimited', '512K', '1M', '2M', '4M', '8M', '16M', '32M', '64M', '128M', '256M', '512M'];
+const STORM_RATES = ['Unlimited', '64K', '128K', '256K', '512K', '1M', '2M', '4M', '8M', '16M', '32M', '64M', '128M', '256M', '512M'];
+const STORM_TYPES = ['unknown-unicast', 'multicast', 'broadcast'];
+
+// models: profiles of the supported Easy Smart switches keyed by the model
+// name of their hardware version (e.g. TL-SG108E 3.0):
+//   ports:    number of ports (also the number of port-based vlans)
+//   lags:     number of link aggregation groups
+// All models share the pages of the Web UI of the SG108E.
+const MODELS = {
+  'TL-SG105E':   { ports: 5,  lags: 2 },
+  'TL-SG108E':   { ports: 8,  lags: 2 },
+  'TL-SG116E':   { ports: 16, lags: 8 },
+  'TL-SG1016DE': { ports: 16, lags: 8 },
+  'TL-SG1024DE': { ports: 24, lags: 8 }
+};
+const MAX_PORTS = Math.max(...Object.values(MODELS).map(model => model.ports));
+const MAX_LAGS  = Math.max(...Object.values(MODELS).map(model => model.lags));
+const MAX_VLAN  = 4094;
+
+// the SwitchClient of the routines being executed within its session
+const SESSIONS = new AsyncLocalStorage();
+
+// the plan of the routines being executed within a dry run
+const DRY_RUNS = new AsyncLocalStorage();
+
+// the journal of the routines being executed via Journal
+const JOURNALS = new AsyncLocalStorage();
+
+// scripts: quoted strings and keywords after which a slash starts a regular
+// expression instead of a division
+const STRINGS = {
+  '"': /"(?:\\[\s\S]|[^"\\\n])*"/y,
+  "'": /'(?:\\[\s\S]|[^'\\\n])*'/y,
+  '`': /`(?:\\[\s\S]|[^`\\])*`/y
+};
+const REGEX_KEYWORDS = ['return', 'typeof', 'case', 'in', 'of', 'new', 'delete', 'void', 'throw'];
+
+// --- ERRORS ------------------------------------------------------------------
+//
+// SwitchError: base class of all errors signalled by the routines
+//
+class SwitchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SwitchError';
+  }
+}
+
+// ValidationError: invalid parameters - nothing has been changed
+class ValidationError extends SwitchError {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// UnreachableError: the switch is not accessible
+class UnreachableError extends SwitchError {
+  constructor(message) {
+    super(message);
+    this.name = 'UnreachableError';
+  }
+}
+
+// UnauthorizedError: the credentials are not valid or the session has expired
+class UnauthorizedError extends SwitchError {
+  constructor(message) {
+    super(message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+// RejectedError: the switch has rejected a request
+//   status:   HTTP status of the response
+class RejectedError extends SwitchError {
+  constructor(message, status) {
+    super(message);
+    this.name   = 'RejectedError';
+    this.status = status;
+  }
+}
+
+// VerificationError: the switch has not applied a change
+//   mismatches: list of {attribute, expected, actual}
+class VerificationError extends SwitchError {
+  constructor(message, mismatches) {
+    super(message);
+    this.name       = 'VerificationError';
+    this.mismatches = mismatches;
+  }
+}
+
+// ParseError: a page of the switch could not be parsed
+//   page:     path of the page
+//   field:    name of the field (null if the script itself is malformed)
+class ParseError extends SwitchError {
+  constructor(message, page, field) {
+    super(message);
+    this.name  = 'ParseError';
+    this.page  = page;
+    this.field = field;
+  }
+}
+
+// UnsupportedError: the model of the switch is not supported
+//   hardware: hardware version reported by the switch
+//   ports:    number of ports reported by the switch
+class UnsupportedError extends SwitchError {
+  constructor(message, hardware, ports) {
+    super(message);
+    this.name     = 'UnsupportedError';
+    this.hardware = hardware;
+    this.ports    = ports;
+  }
+}
 
 // --- DIAGNOSIS ---------------------------------------------------------------
 //
-// Diagnosis: returns configuration & status of the switch, ports and vlans
+// Diagnosis: check connectivity and credentials
 //   server:   hostname or IP address of the switch
 //   username: username for the WebUI (default: admin)
 //   password: password for the WebUI (default: admin)
 // returns:
-//   data object with switch, port and vlan information or
-//   {} in case an error occured
+//   not accessible: connectivity is not given
+//   not authorized: connectivity is given but credentials are invalid
+//   authorized:     connectivity is given and credentials are valid
+//   but may throw an error in case of unexpected failures
 // 
 async function Diagnosis(server, username, password) {
   // initially no connectivity is assumed
@@ -168,7 +457,7 @@ async function Diagnosis(server, username, password) {
 
   try {
     // -- LOGIN ---
-    const url1 = 'http://' + server + LOGIN_PATH;
+    const url1 = _url(server, LOGIN_PATH);
 
     // form data to be sent 
     const formData = stringify({
@@ -192,7 +481,7 @@ async function Diagnosis(server, username, password) {
     connection_state = 'not authorized';
 
     // --- SWITCH INFO ---
-    const url2 = 'http://' + server + SWITCH_INFO_PATH;
+    const url2 = _url(server, SWITCH_INFO_PATH);
 
     // execute query
     const response2 = await fetch(url2)
@@ -205,14 +494,14 @@ async function Diagnosis(server, username, password) {
     }
     
     // --- LOGOUT ---
-    const url3 = 'http://' + server + LOGOUT_PATH;
+    const url3 = _url(server, LOGOUT_PATH);
 
     // send the request
     await fetch(url3)
   } catch (error) {
-    if (error.name !== 'AbortError') {
-      console.error('Error running diagnosis:', error);
-      process.exit(1);
+    // timeouts and refused connections simply mean that the switch is not accessible
+    if (error.name !== 'AbortError' && error.type !== 'system') {
+      throw error;
     }
   }
 
@@ -222,63 +511,80 @@ async function Diagnosis(server, username, password) {
 
 // --- INFO --------------------------------------------------------------------
 //
-// Info: check connectivity and credentials
+// Info: returns configuration & status of the switch, ports and vlans
 //   server:   hostname or IP address of the switch
 //   username: username for the WebUI (default: admin)
 //   password: password for the WebUI (default: admin)
 // returns:
-//   not accessible: connectivity is not given
-//   not authorized: connectivity is given but credentials are invalid
-//   authorized:     connectivity is given and credentials are valid
+//   data object with switch, port and vlan information
+//   but may throw an error
 // 
 async function Info(server, username, password) {
-  let result = {};
-
-  await _login(server, username, password)
-
-  result = await _switchInfo(server)
-
-  await _logout(server)
-
-  return result
+  return await _session(server, username, password, () => _switchInfo(server))
 }
 
 // --- SETSWITCH ---------------------------------------------------------------
 //
-// SetSwitch: sets name of switch and enables/diasables 802.1Q vlans
+// SetSwitch: sets name of switch and the vlan mode
 //   server:   hostname or IP address of the switch
 //   username: username for the WebUI (default: admin)
 //   password: password for the WebUI (default: admin)
-//   name:     name of switch
-//   vlan:     0/1 to disable/enable 802.1Q vlans
+//   name:     name of switch (optional)
+//   vlan:     vlan mode: 0/'Disabled', 1/'802.1Q' or 2/'Port-based' (optional)
 // returns:
 //   nothing but may throw an error
 // 
-// Routine uses following two GET requests to set name and mode
+// Routine uses following GET requests to set name and mode
 //     http://<SERVER:80>/system_name_set.cgi?sysName=<NAME>
-//     http://<SERVER:80>/qvlanSet.cgi?qvlan_en=<VLAN>&qvlan_mode=Apply
+//     http://<SERVER:80>/qvlanSet.cgi?qvlan_en=<0/1>&qvlan_mode=Apply
+//     http://<SERVER:80>/pvlanSet.cgi?pvlan_en=<0/1>&pvlan_mode=Apply
+//
+// The switch only supports one vlan mode at a time: enabling one mode
+// disables the other one, disabling vlans disables both modes.
 async function SetSwitch(server, username, password, name, vlan) {
   const regex = /^[a-zA-Z0-9-_]+$/;
 
-  // login
-  await _login(server, username, password)
-
-  // adjust name of switch
-  if (name && name !== '' && name.length < 32 || regex.test(name)) {
-    const url1 = 'http://' + server + SWITCH_PATH + '?sysName=' + name;
+  // check parameters
+  const mode = VLAN_MODES.includes(vlan) ? VLAN_MODES.indexOf(vlan) : vlan;
 
-    await fetch(url1);
+  if (name && !(name.length < 32 && regex.test(name))) {
+    throw new ValidationError('invalid switch name: ' + name);
+  }
+  if (vlan !== undefined && mode !== 0 && mode !== 1 && mode !== 2) {
+    throw new ValidationError('invalid vlan mode: ' + vlan);
   }
 
-  // adjust VLAN mode
-  if (vlan && (vlan === 0 || vlan === 1)) {
-    const url2 = 'http://' + server + VLAN_PATH + '?qvlan_en=' + vlan + '&qvlan_mode=Apply';
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
 
-    await fetch(url2);
-  }
+    // adjust name of switch
+    if (name) {
+      const url1 = _url(server, SWITCH_PATH) + '?sysName=' + name;
+
+      await _send(url1);
+    }
+
+    // adjust VLAN mode
+    if (mode === 0 || mode === 1) {
+      const url2 = _url(server, VLAN_PATH) + '?qvlan_en=' + mode + '&qvlan_mode=Apply';
+
+      await _send(url2);
+    }
+
+    if (mode === 0 || mode === 2) {
+      const url3 = _url(server, PVLAN_PATH) + '?pvlan_en=' + (mode === 2 ? 1 : 0) + '&pvlan_mode=Apply';
+
+      await _send(url3);
+    }
 
-  // logout
-  await _logout(server)
+    // verify the results
+    await _verify(server, model, [_systemInfo, _vlanInfo, _portVlanInfo], swtch => [
+      ['name',      name || undefined, swtch.name],
+      ['vlan mode', VLAN_MODES[mode],  swtch.vlan]
+    ]);
+  });
 }
 
 // --- SETPORT -----------------------------------------------------------------
@@ -287,7 +593,7 @@ async function SetSwitch(server, username, password, name, vlan) {
 //   server:   hostname or IP address of the switch
 //   username: username for the WebUI (default: admin)
 //   password: password for the WebUI (default: admin)
-//   port:     port index (1-8)
+//   port:     port index (1 - number of ports of the model)
 //   state:    0/1 to disable/enable port
 //   speed:    'Auto', '10MH', '10MF', '100MH', '100MF', '1000MF'
 // returns:
@@ -297,22 +603,38 @@ async function SetSwitch(server, username, password, name, vlan) {
 //     http://<SERVER:80>/port_setting.cgi?portid=3&state=<STATE>&speed=<SPEED>&flowcontrol=0&apply=Apply
 
 async function SetPort(server, username, password, port, state, speed) {
-  // login
-  await _login(server, username, password)
-
   // check parameters
   const portIndex  = parseInt(port)
   const mode       = parseInt(state)
   const speedIndex = SPEED2VALUE[speed]
 
-  if (1 <= portIndex && portIndex <= 8 && (mode === 0 || mode === 1)  &&  speedIndex) {
-    const url = 'http://' + server + PORT_PATH + '?portid=' + portIndex + '&state=' + mode + '&speed=' + speedIndex + '&flowcontrol=0&apply=Apply';
-
-    await fetch(url);
+  if (!(1 <= portIndex && portIndex <= MAX_PORTS)) {
+    throw new ValidationError('invalid port: ' + port);
   }
+  if (mode !== 0 && mode !== 1) {
+    throw new ValidationError('invalid state of port ' + portIndex + ': ' + state);
+  }
+  if (!(1 <= speedIndex && speedIndex <= 6)) {
+    throw new ValidationError('invalid speed of port ' + portIndex + ': ' + speed);
+  }
+
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    _checkPorts(model, [portIndex], 'port');
 
-  // logout
-  await _logout(server)
+    const url = _url(server, PORT_PATH) + '?portid=' + portIndex + '&state=' + mode + '&speed=' + speedIndex + '&flowcontrol=0&apply=Apply';
+
+    await _send(url);
+
+    // verify the results
+    await _verify(server, model, [_portInfo1], swtch => [
+      ['state of port ' + portIndex, STATES[mode], swtch.ports[portIndex - 1].state],
+      ['speed of port ' + portIndex, speed,        swtch.ports[portIndex - 1].speedConfig]
+    ]);
+  });
 }
 
 // --- SETVLAN -----------------------------------------------------------------
@@ -321,283 +643,1975 @@ async function SetPort(server, username, password, port, state, speed) {
 //   server:   hostname or IP address of the switch
 //   username: username for the WebUI (default: admin)
 //   password: password for the WebUI (default: admin)
-//   vlan:     VLAN index (2-32) - 1 is reserved for port VLAN ID
-//   name:     name of VLAN
-//   members:  list of ports which are to be members of the VLAN 
+//   vlan:     VLAN id (2-4094) - 1 is reserved for port VLAN ID
+//   name:     name of VLAN (not required for deletion)
+//   members:  ports which are to be members of the VLAN - either as
+//             {tagged: [...], untagged: [...]} (same as returned by Info)
+//             or as list of tagged ports (empty lists delete the VLAN)
 // returns:
-//   nothing but may throw an error
+//   nothing but may throw an error (e.g. if a port is tagged and untagged)
 // 
 // Routine uses following GET request to set port state and speed
-//     http://<SERVER>:80/qvlanSet.cgi?vid=<VLAN>&vname=<NAME>&selType_1=<?>&selType_2=<?>&selType_3=<?>&selType_4=<?>&selType_5=<?>&selType_6=<?>&selType_7=<?>&selType_8=<?>&qvlan_add=Add%2FModify
+//     http://<SERVER>:80/qvlanSet.cgi?vid=<VLAN>&vname=<NAME>&selType_1=<?>&selType_2=<?>...&selType_<PORTS>=<?>&qvlan_add=Add%2FModify
 //     http://<SERVER>:80/qvlanSet.cgi?selVlans=<VLAN>&qvlan_del=Delete
 //
+// The selType of a port is 0 for untagged, 1 for tagged and 2 for no member.
+// The number of VLANs is limited by the switch (maxVids of Vlan8021QRpm.htm).
+//
 async function SetVLAN(server, username, password, vlan, name, members) {
   const regex = /^[a-zA-Z0-9-_]+$/;
 
-  // login
-  await _login(server, username, password)
-
   // check parameters
-  const vlanIndex = parseInt(vlan)
+  const vlanIndex  = parseInt(vlan)
+  const membership = _membership(members)
+
+  if (!(2 <= vlanIndex && vlanIndex <= MAX_VLAN)) {
+    throw new ValidationError('invalid vlan id: ' + vlan);
+  }
+  if (!membership) {
+    throw new ValidationError('invalid members of vlan ' + vlanIndex);
+  }
+
+  const remove    = membership.tagged.length === 0 && membership.untagged.length === 0;
+  const validName = remove || name && name != '' && regex.test(name);
+
+  if (!validName) {
+    throw new ValidationError('invalid name of vlan ' + vlanIndex + ': ' + name);
+  }
+
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    _checkPorts(model, membership.tagged.concat(membership.untagged));
 
-  if (2 <= vlanIndex && vlanIndex <= 32 && name && name != '' && regex.test(name) && Array.isArray(members) ) {
     // need to delete or add/modify
-    if (members.length === 0 ) {
+    if (remove) {
       // delete VLAN
-      const url1 = 'http://' + server + VLAN_PATH + '?selVlans=' + vlanIndex + '&qvlan_del=Delete';
+      const url1 = _url(server, VLAN_PATH) + '?selVlans=' + vlanIndex + '&qvlan_del=Delete';
 
-      await fetch(url1);
+      await _send(url1);
     } else {
+      // the number of vlans is limited by the switch
+      const swtch = { model: model.name, vlans: [] };
+
+      await _vlanInfo(server, swtch)
+
+      if (!swtch.vlans.some(v => v.id === vlanIndex) && swtch.vlans.length >= swtch.maxVlans) {
+        throw new ValidationError('vlan ' + vlanIndex + ' can not be added - the switch supports ' + swtch.maxVlans + ' vlans');
+      }
+
       // add/modify VLAN
-      let url2 = 'http://' + server + VLAN_PATH + '?vid=' + vlanIndex + '&vname=' + name;
-      url2 += '&selType_1=' + (members.includes(1) ? 1 : 2);
-      url2 += '&selType_2=' + (members.includes(2) ? 1 : 2);
-      url2 += '&selType_3=' + (members.includes(3) ? 1 : 2);
-      url2 += '&selType_4=' + (members.includes(4) ? 1 : 2);
-      url2 += '&selType_5=' + (members.includes(5) ? 1 : 2);
-      url2 += '&selType_6=' + (members.includes(6) ? 1 : 2);
-      url2 += '&selType_7=' + (members.includes(7) ? 1 : 2);
-      url2 += '&selType_8=' + (members.includes(8) ? 1 : 2);
+      const selType = port => membership.untagged.includes(port) ? 0 : membership.tagged.includes(port) ? 1 : 2;
+
+      let url2 = _url(server, VLAN_PATH) + '?vid=' + vlanIndex + '&vname=' + name;
+      for (let port = 1; port <= model.ports; port++) {
+        url2 += '&selType_' + port + '=' + selType(port);
+      }
       url2 += '&qvlan_add=Add%2FModify';
-      console.log(url2);
-      await fetch(url2);
+
+      await _send(url2);
     }
-  }
 
-  // logout
-  await _logout(server)
+    // verify the results
+    const expected = remove ? null : { name: name, tagged: membership.tagged, untagged: membership.untagged };
+
+    await _verify(server, model, [_vlanInfo], swtch => [
+      ['vlan ' + vlanIndex, expected, _vlanConfig(swtch.vlans.find(v => v.id === vlanIndex))]
+    ]);
+  });
 }
 
-// --- _LOGIN ------------------------------------------------------------------
+// --- SETPVID -----------------------------------------------------------------
 //
-// _login: authenticates against the Web UI
+// SetPVID: sets the port VLAN ID (PVID) of one or more ports
 //   server:   hostname or IP address of the switch
 //   username: username for the WebUI (default: admin)
 //   password: password for the WebUI (default: admin)
+//   ports:    port index (1 - number of ports of the model) or list of port
+//             indices
+//   pvid:     id of the VLAN which receives the untagged traffic of the ports
 // returns:
 //   nothing but may throw an error
 //
-async function _login(server, username, password) {
-  const url = 'http://' + server + LOGIN_PATH;
+// The VLAN has to exist and all ports have to be untagged members of it.
+//
+// Routine uses following GET request to set the PVID
+//     http://<SERVER>:80/vlanPvidSet.cgi?pbm=<PORTMASK>&pvid=<VLAN>
+//
+async function SetPVID(server, username, password, ports, pvid) {
+  // check parameters
+  const portIndices = _portList(ports);
+  const vlanIndex   = parseInt(pvid);
 
-  // form data to be sent 
-  const formData = stringify({
-    username: username,
-    password: password,
-    logon:   'Login'
-  });
+  if (!(1 <= vlanIndex && vlanIndex <= MAX_VLAN)) {
+    throw new ValidationError('invalid pvid: ' + pvid);
+  }
 
-  // post the form data
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Content-Length2': formData.length
-    },
-    body: formData
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    _checkPorts(model, portIndices);
+
+    // read the current vlan configuration
+    const swtch = { model: model.name, vlans: [] };
+
+    await _vlanInfo(server, swtch);
+
+    // check that all ports are untagged members of the vlan - within a dry run
+    // the vlan may have been created or modified by a previous step of the plan
+    // (e.g. of Rollback)
+    const plan    = DRY_RUNS.getStore();
+    const planned = plan ? plan.changes.filter(c => c.attribute === 'vlan ' + vlanIndex).pop() : undefined;
+    const vlan    = planned ? planned.after : swtch.vlans.find(v => v.id === vlanIndex);
+
+    if (!vlan) {
+      throw new ValidationError('vlan ' + vlanIndex + ' does not exist');
+    }
+    if (portIndices.some(port => !vlan.untagged.includes(port))) {
+      throw new ValidationError('ports ' + portIndices.filter(port => !vlan.untagged.includes(port)) + ' are not untagged members of vlan ' + vlanIndex);
+    }
+
+    // set the pvid of all ports at once
+    const portMask = portIndices.reduce((mask, port) => mask | (1 << (port - 1)), 0);
+    const url      = _url(server, PVID_PATH) + '?pbm=' + portMask + '&pvid=' + vlanIndex;
+
+    await _send(url);
+
+    // verify the results
+    await _verify(server, model, [_portInfo1, _pvidInfo], swtch => portIndices.map(port =>
+      ['pvid of port ' + port, vlanIndex, swtch.ports[port - 1].pvid]
+    ));
   });
 }
 
-// --- _LOGOUT -----------------------------------------------------------------
+// --- SETPORTVLAN -------------------------------------------------------------
 //
-// _logout: logs off from the Web UI
+// SetPortVLAN: sets or deletes the members of a port-based vlan
 //   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   vlan:     VLAN id (1 - number of ports of the model)
+//   members:  list of ports which are to be members of the VLAN
+//             (an empty list deletes the VLAN - VLAN 1 can not be deleted)
 // returns:
 //   nothing but may throw an error
 //
-async function _logout(server) {
-  const url = 'http://' + server + LOGOUT_PATH;
-
-  // post the form data
-  await fetch(url)
-}
-
-// --- _SWITCHINFO ------------------------------------------------------------------
-//
-// _switchInfo: reads configuration & status of the switch, ports and vlans 
-//   server:   hostname or IP address of the switch
-// returns:
-//   a data object with switch, port and vlan information
-//   but may throw an error
+// Routine uses following GET requests to add/modify or delete the vlan
+//     http://<SERVER>:80/pvlanSet.cgi?vid=<VLAN>&selPorts=<PORT>&selPorts=<PORT>...&pvlan_add=Apply
+//     http://<SERVER>:80/pvlanSet.cgi?selVlans=<VLAN>&pvlan_del=Delete
 //
-// The routine analyses the first script of the web response:
-//     var info_ds = {
-//       descriStr: [
-//         "TL-SG108E"
-//       ],
-//       macStr: [
-//         "70:4F:57:6B:94:AE"
-//       ],
-//       ipStr: [
-//         "192.168.0.1"
-//       ],
-//       netmaskStr: [
-//         "255.255.255.0"
-//       ],
-//       gatewayStr: [
-//         "0.0.0.0"
-//       ],
-//       firmwareStr: [
-//         "1.0.0 Build 20171214 Rel.70905"
-//       ],
-//       hardwareStr: [
-//         "TL-SG108E 3.0"
-//       ]
-//     };
-//     var tip = "";
-async function _switchInfo(server) {
-  // the result
-  const swtch = {};
+async function SetPortVLAN(server, username, password, vlan, members) {
+  // check parameters
+  const vlanIndex = parseInt(vlan);
 
-  // execute query
-  const url = 'http://' + server + SWITCH_INFO_PATH;
+  if (!(1 <= vlanIndex && vlanIndex <= MAX_PORTS)) {
+    throw new ValidationError('invalid port-based vlan id: ' + vlan);
+  }
 
-  // query the API
-  const response = await fetch(url)
+  const membership = Array.isArray(members) ? _membership(members) : null;
 
-  const data   = await response.text();
+  if (!membership) {
+    throw new ValidationError('members of port-based vlan ' + vlanIndex + ' must be a list');
+  }
 
-  // parse the response
-  const scrpt = extractTagContent(data, 'script', 0);
+  // the list of ports is checked by the same rules as for 802.1Q vlans
+  const ports = membership.tagged;
 
-  if (scrpt) {
-    swtch.hardware = stripQuotes(extractAttribute(scrpt, 'hardwareStr'));
-    swtch.fimrware = stripQuotes(extractAttribute(scrpt, 'firmwareStr'));
-    swtch.name     = stripQuotes(extractAttribute(scrpt, 'descriStr'));
-    swtch.mac      = stripQuotes(extractAttribute(scrpt, 'macStr'));
-    swtch.ip       = stripQuotes(extractAttribute(scrpt, 'ipStr'));
-    swtch.netmask  = stripQuotes(extractAttribute(scrpt, 'netmaskStr'));
-    swtch.gateway  = stripQuotes(extractAttribute(scrpt, 'gatewayStr'));
-    swtch.vlan     = STATES[0];
-    swtch.ports    = [];
-    swtch.vlans    = [];
+  if (ports.length === 0 && vlanIndex === 1) {
+    throw new ValidationError('port-based vlan 1 can not be deleted');
   }
 
-  // retrieve port information
-  await _portInfo1(server, swtch)
-  await _portInfo2(server, swtch)
-  await _vlanInfo(server, swtch)
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
 
-  return {switch: swtch};
+    // the number of port-based vlans is the number of ports
+    _checkPorts(model, [vlanIndex], 'port-based vlan id');
+    _checkPorts(model, ports);
+
+    if (ports.length === 0) {
+      // delete VLAN
+      const url1 = _url(server, PVLAN_PATH) + '?selVlans=' + vlanIndex + '&pvlan_del=Delete';
+
+      await _send(url1);
+    } else {
+      // add/modify VLAN
+      const url2 = _url(server, PVLAN_PATH) + '?vid=' + vlanIndex + ports.map(port => '&selPorts=' + port).join('') + '&pvlan_add=Apply';
+
+      await _send(url2);
+    }
+
+    // verify the results
+    await _verify(server, model, [_portVlanInfo], swtch => {
+      const current = swtch.portVlans.find(v => v.id === vlanIndex);
+
+      return [['members of port-based vlan ' + vlanIndex, ports.length > 0 ? ports : null, current ? current.members : null]];
+    });
+  });
 }
 
-// --- _PORTINFO1 --------------------------------------------------------------
+// --- SETLAG ------------------------------------------------------------------
 //
-// _portInfo1: reads port information (part 1) 
+// SetLAG: creates, modifies or dissolves a link aggregation group (trunk)
 //   server:   hostname or IP address of the switch
-//   swtch:    switch object
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   lag:      id of the link aggregation group (1 - number of groups of the
+//             model)
+//   members:  list of 2-4 ports which are to be members of the group
+//             (an empty list dissolves the group)
 // returns:
 //   nothing but may throw an error
-//   results are stored in swtch object
 //
-// The routine analyses the first script of the web response:
-//     var max_port_num = 8;
-//     var port_middle_num = 16;
-//     var all_info = {
-//       state: [1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-//       trunk_info: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-//       spd_cfg: [1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-//       spd_act: [6, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-//       fc_cfg: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-//       fc_act: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-//     };
-//     var tip = "";
-async function _portInfo1(server, swtch) {
-  // execute query
-    const url = 'http://' + server + PORT_INFO_1_PATH;
+// All member ports need to share the same speed settings and the same vlan
+// membership and must not be members of another group.
+//
+// Routine uses following GET requests to set or dissolve the group
+//     http://<SERVER>:80/port_trunk_set.cgi?groupId=<LAG>&portid=<PORT>&portid=<PORT>...&setapply=Apply
+//     http://<SERVER>:80/port_trunk_display.cgi?chk_trunk=<LAG>&setDelete=Delete
+//
+async function SetLAG(server, username, password, lag, members) {
+  // check parameters
+  const lagIndex = parseInt(lag);
 
-  // query the API
-  const response = await fetch(url)
+  if (!(1 <= lagIndex && lagIndex <= MAX_LAGS)) {
+    throw new ValidationError('invalid lag id: ' + lag);
+  }
 
-  const data   = await response.text();
+  const membership = Array.isArray(members) ? _membership(members) : null;
 
-  // parse the response
-  const scrpt = extractTagContent(data, 'script', 0);
+  if (!membership) {
+    throw new ValidationError('members of lag ' + lagIndex + ' must be a list');
+  }
 
-  // parse the response
-  if (scrpt) {
-    var ports  = parseInt(extractVariable(scrpt, 'max_port_num') );
-    var states = extractAttribute(scrpt, 'state').split(',')
-    var speeds = extractAttribute(scrpt, 'spd_act').split(',')
+  // the list of ports is checked by the same rules as for 802.1Q vlans
+  const ports = membership.tagged;
+
+  if (ports.length === 1 || ports.length > 4) {
+    throw new ValidationError('lag ' + lagIndex + ' requires 2-4 member ports');
+  }
 
-    // populate port information
-    for (var portIndex = 0; portIndex < ports; portIndex++) {
-      swtch.ports[portIndex]  = {};
+  // the expected and the actual member ports for the verification
+  const lagMembers = swtch => [
+    ['members of lag ' + lagIndex, ports, swtch.ports.filter(port => port.lag === lagIndex).map(port => port.number)]
+  ];
 
-      const port = swtch.ports[portIndex];
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
 
-      port.number = portIndex + 1;
-      port.state  = STATES[parseInt(states[portIndex])];
-      port.speed  = SPEEDS[speeds[portIndex]];
+    if (lagIndex > model.lags) {
+      throw new ValidationError('invalid lag id: ' + lagIndex + ' (the ' + model.name + ' has ' + model.lags + ' lags)');
     }
 
-  }
-}
-
-// --- _PORTINFO2 --------------------------------------------------------------
-//
-// _portInfo2: reads port information (part 2) 
-//   server:   hostname or IP address of the switch
-//   swtch:    switch object
-// returns:
-//   nothing but may throw an error
-//   results are stored in swtch object
-//
-// The routine analyses the first script of the web response:
-//     var max_port_num = 8;
-//     var port_middle_num = 16;
-//     var all_info = {
-//       state: [1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
-//       link_status: [6, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-//       pkts: [786, 0, 1080, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
-//     };
-//     var tip = "";
-async function _portInfo2(server, swtch) {
-  // execute query
-  const url = 'http://' + server + PORT_INFO_2_PATH;
+    _checkPorts(model, ports);
 
-  // query the API
-  const response = await fetch(url)
+    // dissolve the group
+    if (ports.length === 0) {
+      const url1 = _url(server, LAG_DELETE_PATH) + '?chk_trunk=' + lagIndex + '&setDelete=Delete';
 
-  const data = await response.text();
+      await _send(url1);
+      await _verify(server, model, [_portInfo1], lagMembers);
+      return;
+    }
 
-  // parse the response
-  const scrpt = extractTagContent(data, 'script', 0);
+    // read the current port and vlan configuration
+    const swtch = { model: model.name, ports: [], vlans: [] };
 
-  // parse the response
-  if (scrpt) {
-    var ports = parseInt(extractVariable(scrpt, 'max_port_num'));
-    var links = extractAttribute(scrpt, 'link_status').split(',')
-    var pkts  = extractAttribute(scrpt, 'pkts').split(',')
+    await _portInfo1(server, swtch)
+    await _vlanInfo(server, swtch)
 
-    // populate port information
-    for (var portIndex = 0; portIndex < ports; portIndex++) {
-      const port     = swtch.ports[portIndex];
+    // check the member ports
+    const error = _lagError(swtch, lagIndex, ports);
 
-      port.link      = SPEEDS[links[portIndex]];
-      port.TxGoodPkt = parseInt(pkts[4 * portIndex + 0]);
-      port.TxBadPkt  = parseInt(pkts[4 * portIndex + 1]);
-      port.RxGoodPkt = parseInt(pkts[4 * portIndex + 2]);
-      port.RxBadPkt  = parseInt(pkts[4 * portIndex + 3]);
+    if (error) {
+      throw error;
     }
-  }
+
+    // set the group
+    const url2 = _url(server, LAG_PATH) + '?groupId=' + lagIndex + ports.map(port => '&portid=' + port).join('') + '&setapply=Apply';
+
+    await _send(url2);
+
+    // verify the results
+    await _verify(server, model, [_portInfo1], lagMembers);
+  });
 }
 
-// --- _VLANINFO ---------------------------------------------------------------
+// --- SETMIRROR ---------------------------------------------------------------
 //
-// _vlanInfo: reads vlan information
-//   server:   hostname or IP address of the switch
-//   swtch:    switch object
+// SetMirror: enables/disables port mirroring
+//   server:      hostname or IP address of the switch
+//   username:    username for the WebUI (default: admin)
+//   password:    password for the WebUI (default: admin)
+//   state:       0/1 to disable/enable port mirroring
+//   destination: port index of the mirroring (capture) port
+//   sources:     list of mirrored ports: {port, direction: ingress, egress
+//                or both} - ports not listed are no longer mirrored
 // returns:
 //   nothing but may throw an error
-//   results are stored in swtch object
 //
-// The routine analyses the first script of the web response:
-//     var qvlan_ds = {
-//       state: 1,
-//       portNum: 8,
-//       vids: [
-//         1, 2, 3, 4, 5
+// The destination port must not be one of the source ports. Destination and
+// sources are only required to enable port mirroring.
+//
+// Routine uses following GET requests to set the mirroring and mirrored ports
+//     http://<SERVER>:80/mirror_enabled_set.cgi?state=<STATE>&mirroringport=<PORT>&mirrorenable=Apply
+//     http://<SERVER>:80/mirrored_port_set.cgi?mirroredport=<PORT>&ingressState=<0/1>&egressState=<0/1>&mirrored_submit=Apply
+//
+async function SetMirror(server, username, password, state, destination, sources) {
+  // check parameters
+  const mode = parseInt(state);
+
+  if (mode !== 0 && mode !== 1) {
+    throw new ValidationError('invalid mirroring state: ' + state);
+  }
+
+  const portIndex = parseInt(destination);
+  const mirrored  = (mode === 1) ? _mirrorSources(sources) : [];
+
+  if (mode === 1 && !(1 <= portIndex && portIndex <= MAX_PORTS)) {
+    throw new ValidationError('invalid destination port: ' + destination);
+  }
+  if (mirrored.some(source => source.port === portIndex)) {
+    throw new ValidationError('destination port ' + portIndex + ' can not be a source port');
+  }
+
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    _checkPorts(model, mode === 1 ? [portIndex] : [], 'destination port');
+    _checkPorts(model, mirrored.map(source => source.port), 'source ports');
+
+    // read the current mirroring configuration
+    const swtch = { model: model.name };
+
+    await _mirrorInfo(server, swtch)
+
+    const current = swtch.mirror;
+
+    // enable/disable mirroring and set the destination port
+    const url1 = _url(server, MIRROR_PATH) + '?state=' + mode + '&mirroringport=' + (mode === 1 ? portIndex : current.destination) + '&mirrorenable=Apply';
+
+    await _send(url1);
+
+    // set the source ports which have changed
+    for (let port = 1; port <= model.ports; port++) {
+      const before = current.sources.find(source => source.port === port);
+      const after  = mirrored.find(source => source.port === port);
+
+      if (mode === 0 || (before && before.direction) === (after && after.direction)) {
+        continue;
+      }
+
+      const direction = after ? after.direction : '';
+      const ingress   = (direction === 'ingress' || direction === 'both') ? 1 : 0;
+      const egress    = (direction === 'egress'  || direction === 'both') ? 1 : 0;
+      const url2      = _url(server, MIRRORED_PATH) + '?mirroredport=' + port + '&ingressState=' + ingress + '&egressState=' + egress + '&mirrored_submit=Apply';
+
+      await _send(url2);
+    }
+
+    // verify the results
+    await _verify(server, model, [_mirrorInfo], swtch => [
+      ['mirroring state',       STATES[mode],                       swtch.mirror.state],
+      ['mirroring destination', mode === 1 ? portIndex : undefined, swtch.mirror.destination],
+      ['mirrored ports',        mode === 1 ? mirrored : undefined,  swtch.mirror.sources]
+    ]);
+  });
+}
+
+// --- SETQOS ------------------------------------------------------------------
+//
+// SetQoS: sets the QoS mode
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   mode:     QoS mode: 0/'Port-based', 1/'802.1P' or 2/'DSCP'
+// returns:
+//   nothing but may throw an error
+//
+// Routine uses following GET request to set the QoS mode
+//     http://<SERVER>:80/qos_mode_set.cgi?rd_qosmode=<MODE>&qosmode=Apply
+//
+async function SetQoS(server, username, password, mode) {
+  // check parameters
+  const modeIndex = QOS_MODES.includes(mode) ? QOS_MODES.indexOf(mode) : mode;
+
+  if (modeIndex !== 0 && modeIndex !== 1 && modeIndex !== 2) {
+    throw new ValidationError('invalid QoS mode: ' + mode);
+  }
+
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    // set the mode
+    const url = _url(server, QOS_PATH) + '?rd_qosmode=' + modeIndex + '&qosmode=Apply';
+
+    await _send(url);
+
+    // verify the results
+    await _verify(server, model, [_portInfo1, _qosInfo], swtch => [
+      ['QoS mode', QOS_MODES[modeIndex], swtch.qos]
+    ]);
+  });
+}
+
+// --- SETPORTPRIORITY ---------------------------------------------------------
+//
+// SetPortPriority: sets the QoS priority of ports (used in port-based QoS mode)
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   ports:    port index (1 - number of ports of the model) or list of port
+//             indices
+//   priority: priority of the ports (1: lowest - 4: highest)
+// returns:
+//   nothing but may throw an error
+//
+// Routine uses following GET request to set the priority
+//     http://<SERVER>:80/qos_port_priority_set.cgi?sel_<PORT>=1&sel_<PORT>=1...&port_queue=<PRIORITY-1>&apply=Apply
+//
+async function SetPortPriority(server, username, password, ports, priority) {
+  // check parameters
+  const portIndices   = _portList(ports);
+  const priorityIndex = parseInt(priority);
+
+  if (!(1 <= priorityIndex && priorityIndex <= 4)) {
+    throw new ValidationError('invalid priority: ' + priority);
+  }
+
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    _checkPorts(model, portIndices);
+
+    // set the priority
+    const url = _url(server, PRIORITY_PATH) + '?' + _portSelection(portIndices) + '&port_queue=' + (priorityIndex - 1) + '&apply=Apply';
+
+    await _send(url);
+
+    // verify the results
+    await _verify(server, model, [_portInfo1, _qosInfo], swtch => portIndices.map(port =>
+      ['priority of port ' + port, priorityIndex, swtch.ports[port - 1].priority]
+    ));
+  });
+}
+
+// --- SETBANDWIDTH ------------------------------------------------------------
+//
+// SetBandwidth: sets the ingress/egress rate limits of ports
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   ports:    port index (1 - number of ports of the model) or list of port
+//             indices
+//   ingress:  ingress rate limit: 'Unlimited', '512K', '1M', '2M', '4M', '8M',
+//             '16M', '32M', '64M', '128M', '256M' or '512M'
+//   egress:   egress rate limit (same values as ingress)
+// returns:
+//   nothing but may throw an error
+//
+// Routine uses following GET request to set the rate limits
+//     http://<SERVER>:80/qos_bandwidth_set.cgi?igrRate=<RATE>&egrRate=<RATE>&sel_<PORT>=1...&applay=Apply
+//
+async function SetBandwidth(server, username, password, ports, ingress, egress) {
+  // check parameters
+  const portIndices = _portList(ports);
+
+  if (!BANDWIDTH_RATES.includes(ingress)) {
+    throw new ValidationError('invalid ingress rate: ' + ingress);
+  }
+  if (!BANDWIDTH_RATES.includes(egress)) {
+    throw new ValidationError('invalid egress rate: ' + egress);
+  }
+
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    _checkPorts(model, portIndices);
+
+    // set the rate limits
+    const url = _url(server, BANDWIDTH_PATH) + '?igrRate=' + BANDWIDTH_RATES.indexOf(ingress) + '&egrRate=' + BANDWIDTH_RATES.indexOf(egress) + '&' + _portSelection(portIndices) + '&applay=Apply';
+
+    await _send(url);
+
+    // verify the results
+    await _verify(server, model, [_portInfo1, _qosInfo], swtch => portIndices.flatMap(port => [
+      ['ingress rate of port ' + port, ingress, swtch.ports[port - 1].ingressRate],
+      ['egress rate of port ' + port,  egress,  swtch.ports[port - 1].egressRate]
+    ]));
+  });
+}
+
+// --- SETSTORMCONTROL ---------------------------------------------------------
+//
+// SetStormControl: sets the storm control of ports
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   ports:    port index (1 - number of ports of the model) or list of port
+//             indices
+//   rate:     storm rate limit: '64K', '128K', '256K', '512K', '1M', '2M',
+//             '4M', '8M', '16M', '32M', '64M', '128M', '256M' or '512M'
+//   types:    list of limited traffic types: 'broadcast', 'multicast' and/or
+//             'unknown-unicast' (an empty list disables storm control)
+// returns:
+//   nothing but may throw an error
+//
+// Routine uses following GET request to set the storm control
+//     http://<SERVER>:80/qos_stormcontrol_set.cgi?rate=<RATE>&stormType=<TYPES>&sel_<PORT>=1...&state=<0/1>&applay=Apply
+//
+// The storm types are encoded as bitmask: 1 for unknown unicast, 2 for
+// multicast and 4 for broadcast traffic.
+//
+async function SetStormControl(server, username, password, ports, rate, types) {
+  // check parameters
+  const portIndices = _portList(ports);
+
+  if (!Array.isArray(types) || types.some(type => !STORM_TYPES.includes(type))) {
+    throw new ValidationError('invalid storm types: ' + types);
+  }
+
+  const state = types.length > 0 ? 1 : 0;
+
+  if (state === 1 && (!STORM_RATES.includes(rate) || rate === STORM_RATES[0])) {
+    throw new ValidationError('invalid storm rate: ' + rate);
+  }
+
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    _checkPorts(model, portIndices);
+
+    // set the storm control
+    const rateIndex = state ? STORM_RATES.indexOf(rate) : 0;
+    const typeMask  = types.reduce((mask, type) => mask | (1 << STORM_TYPES.indexOf(type)), 0);
+    const url       = _url(server, STORM_PATH) + '?rate=' + rateIndex + '&stormType=' + typeMask + '&' + _portSelection(portIndices) + '&state=' + state + '&applay=Apply';
+
+    await _send(url);
+
+    // verify the results
+    const stormRate  = state ? rate : STORM_RATES[0];
+    const stormTypes = STORM_TYPES.filter(type => types.includes(type));
+
+    await _verify(server, model, [_portInfo1, _qosInfo], swtch => portIndices.flatMap(port => [
+      ['storm rate of port ' + port,  stormRate,  swtch.ports[port - 1].stormRate],
+      ['storm types of port ' + port, stormTypes, swtch.ports[port - 1].stormTypes]
+    ]));
+  });
+}
+
+// --- SETIGMP -----------------------------------------------------------------
+//
+// SetIGMP: enables/disables IGMP snooping
+//   server:      hostname or IP address of the switch
+//   username:    username for the WebUI (default: admin)
+//   password:    password for the WebUI (default: admin)
+//   state:       0/1 to disable/enable IGMP snooping
+//   suppression: 0/1 to disable/enable report message suppression
+// returns:
+//   nothing but may throw an error
+//
+// Routine uses following GET request to set IGMP snooping
+//     http://<SERVER>:80/igmpSnooping.cgi?igmp_mode=<STATE>&reportSu_mode=<SUPPRESSION>&Apply=Apply
+//
+async function SetIGMP(server, username, password, state, suppression) {
+  // check parameters
+  const mode       = parseInt(state);
+  const suppressed = parseInt(suppression);
+
+  if (mode !== 0 && mode !== 1) {
+    throw new ValidationError('invalid IGMP snooping state: ' + state);
+  }
+  if (suppressed !== 0 && suppressed !== 1) {
+    throw new ValidationError('invalid report message suppression state: ' + suppression);
+  }
+
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    // set IGMP snooping
+    const url = _url(server, IGMP_PATH) + '?igmp_mode=' + mode + '&reportSu_mode=' + suppressed + '&Apply=Apply';
+
+    await _send(url);
+
+    // verify the results
+    await _verify(server, model, [_igmpInfo], swtch => [
+      ['IGMP snooping',              STATES[mode],       swtch.igmp.state],
+      ['report message suppression', STATES[suppressed], swtch.igmp.reportSuppression]
+    ]);
+  });
+}
+
+// --- CLEARCOUNTERS -----------------------------------------------------------
+//
+// ClearCounters: clears the packet counters (statistics) of all ports
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+// returns:
+//   nothing but may throw an error
+//
+// Routine uses following GET request to clear the counters
+//     http://<SERVER>:80/port_statistics_set.cgi?op=1
+//
+// Ports with traffic count again right after the clear, hence the counters
+// of a port are regarded as cleared if they are lower than before the clear
+// (or have been zero before).
+async function ClearCounters(server, username, password) {
+  // login, change and logout - also if the change fails
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    // read the counters before the clear
+    const before = { model: model.name, ports: [] };
+
+    await _portInfo1(server, before)
+    await _portInfo2(server, before)
+
+    // clear the counters
+    const url = _url(server, STATISTICS_PATH) + '?op=1';
+
+    await _send(url);
+
+    // verify the results
+    const counters = port => ({ TxGoodPkt: port.TxGoodPkt, TxBadPkt: port.TxBadPkt, RxGoodPkt: port.RxGoodPkt, RxBadPkt: port.RxBadPkt });
+    const total    = port => port.TxGoodPkt + port.TxBadPkt + port.RxGoodPkt + port.RxBadPkt;
+    const cleared  = { TxGoodPkt: 0, TxBadPkt: 0, RxGoodPkt: 0, RxBadPkt: 0 };
+
+    await _verify(server, model, [_portInfo1, _portInfo2], swtch => swtch.ports.map((port, portIndex) => {
+      const previous = before.ports[portIndex];
+
+      return ['counters of port ' + port.number, cleared, (total(previous) === 0 || total(port) < total(previous)) ? cleared : counters(port)];
+    }));
+  });
+}
+
+// --- SETIP -------------------------------------------------------------------
+//
+// SetIP: sets DHCP or static IP address, netmask and gateway of the switch
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   dhcp:     0/1 to disable/enable DHCP
+//   ip:       static IP address (ignored if DHCP is enabled)
+//   netmask:  static netmask (ignored if DHCP is enabled)
+//   gateway:  static gateway (optional - default: 0.0.0.0)
+//   timeout:  time in ms to wait for the switch at its new address
+//             (default: 30000)
+// returns:
+//   data object with the new address of the switch, the diagnosis at the
+//   new address (both null within a dry run) and a list of warnings but may
+//   throw an error
+//
+// Routine uses following GET requests to set the IP settings
+//     http://<SERVER>:80/ip_setting.cgi?dhcpSetting=enable
+//     http://<SERVER>:80/ip_setting.cgi?dhcpSetting=disable&ip_address=<IP>&ip_netmask=<NETMASK>&ip_gateway=<GATEWAY>
+//
+// The switch drops the session when it changes its address, hence the
+// routine does not logout but checks with a diagnosis that the switch can be
+// reached at its new address. A port specified for the server (e.g. of an
+// emulator) is kept. If DHCP is enabled the new address is not known and no
+// diagnosis is run.
+async function SetIP(server, username, password, dhcp, ip, netmask, gateway = '0.0.0.0', timeout = 30000) {
+  const result = { server: null, diagnosis: null, warnings: [] };
+
+  // check parameters
+  const mode = parseInt(dhcp);
+
+  if (mode !== 0 && mode !== 1) {
+    throw new ValidationError('invalid DHCP state: ' + dhcp);
+  }
+
+  let query = '?dhcpSetting=enable';
+
+  if (mode === 0) {
+    const address = _ipNumber(ip);
+    const mask    = _ipNumber(netmask);
+    const router  = _ipNumber(gateway);
+    const host    = (address & ~mask) >>> 0;
+
+    if (address === undefined || address === 0) {
+      throw new ValidationError('invalid IP address: ' + ip);
+    }
+    if (mask === undefined || mask === 0 || ((~mask >>> 0) & ((~mask >>> 0) + 1)) !== 0) {
+      throw new ValidationError('invalid netmask: ' + netmask);
+    }
+    if (host === 0 || host === (~mask >>> 0)) {
+      throw new ValidationError('invalid IP address: ' + ip + ' is not a host address of its subnet');
+    }
+    if (router === undefined || (router !== 0 && ((router ^ address) & mask) !== 0)) {
+      throw new ValidationError('invalid gateway: ' + gateway);
+    }
+
+    query = '?dhcpSetting=disable&ip_address=' + ip + '&ip_netmask=' + netmask + '&ip_gateway=' + gateway;
+
+    // the new address should be in a subnet of the caller unless it is routed
+    if (!_reachable(address)) {
+      result.warnings.push('the new address ' + ip + ' is not in a subnet of this host - the switch may no longer be reachable');
+    }
+  } else {
+    result.warnings.push('the new address is assigned by DHCP - the switch has to be looked up');
+  }
+
+  // login and change - the switch drops the session with its address
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    // set the IP settings - the switch may drop the connection while
+    // changing its address
+    const url = _url(server, IP_PATH) + query;
+
+    try {
+      await _send(url, { signal: AbortSignal.timeout(1000) });
+    } catch (error) {
+      if (!(error instanceof UnreachableError)) {
+        throw error;
+      }
+    }
+
+    // within a dry run the switch keeps its address and the session
+    if (DRY_RUNS.getStore()) {
+      await _verify(server, model, [_systemInfo, _ipInfo], swtch => [
+        ['dhcp',    STATES[mode],                       swtch.dhcp],
+        ['ip',      mode === 0 ? ip : undefined,        swtch.ip],
+        ['netmask', mode === 0 ? netmask : undefined,   swtch.netmask],
+        ['gateway', mode === 0 ? gateway : undefined,   swtch.gateway]
+      ]);
+    }
+  }, true);
+
+  if (DRY_RUNS.getStore() || mode === 1) {
+    return result;
+  }
+
+  // wait for the switch at its new address
+  const port     = (server.match(/:\d+$/) || [''])[0];
+  const deadline = Date.now() + timeout;
+
+  result.server    = ip + port;
+  result.diagnosis = await Diagnosis(result.server, username, password);
+
+  while (result.diagnosis === 'not accessible' && Date.now() < deadline) {
+    await sleep(1000);
+
+    result.diagnosis = await Diagnosis(result.server, username, password);
+  }
+
+  if (result.diagnosis !== 'authorized') {
+    result.warnings.push('the switch is ' + result.diagnosis + ' at its new address ' + result.server);
+  }
+
+  // present the results
+  return result;
+}
+
+// --- BACKUP ------------------------------------------------------------------
+//
+// Backup: downloads the configuration file of the switch
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   file:     optional file to store the backup in - the metadata is stored
+//             in <file>.yaml
+// returns:
+//   backup object with the metadata of the switch and the configuration file
+//   as buffer but may throw an error:
+//     metadata:
+//       hardware: TL-SG108E 3.0
+//       firmware: 1.0.0 Build 20171214 Rel.70905
+//       name: Switch-007
+//       mac: '70:4F:57:35:BE:36'
+//       ip: 192.168.178.101
+//       date: '2024-01-31T12:00:00.000Z'
+//     config: <Buffer ...>
+//
+// Routine uses following GET request to download the configuration file
+//     http://<SERVER>:80/config_back.cgi?btnBackup=Backup
+//
+async function Backup(server, username, password, file) {
+  let swtch;
+  let response;
+  let config;
+
+  // login, download and logout - also if the download fails
+  await _session(server, username, password, async () => {
+    // read the metadata
+    swtch = (await _switchInfo(server)).switch;
+
+    // download the configuration file
+    const url = _url(server, BACKUP_PATH) + '?btnBackup=Backup';
+
+    response = await _fetch(url);
+    config   = Buffer.from(await response.arrayBuffer());
+  });
+
+  if (config.length === 0) {
+    throw new RejectedError('switch returned an empty configuration file', response.status);
+  }
+
+  const backup = {
+    metadata: {
+      hardware: swtch.hardware,
+      firmware: swtch.fimrware,
+      name:     swtch.name,
+      mac:      swtch.mac,
+      ip:       swtch.ip,
+      date:     new Date().toISOString()
+    },
+    config: config
+  };
+
+  // store the backup
+  if (file) {
+    await writeFile(file, backup.config);
+    await writeFile(file + '.yaml', dump(backup.metadata));
+  }
+
+  return backup;
+}
+
+// --- RESTORE -----------------------------------------------------------------
+//
+// Restore: uploads a configuration file to the switch
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   backup:   backup object as returned by Backup or the file of a backup
+//   timeout:  time in ms to wait for the reboot of the switch
+//             (default: 60000)
+// returns:
+//   data object with the diagnosis after the reboot and the switch
+//   information (null if the switch is not accessible or within a dry run)
+//   but may throw an error
+//
+// Routine uses following POST request (multipart/form-data with the field
+// configfile) to upload the configuration file
+//     http://<SERVER>:80/conf_restore.cgi
+//
+// The switch reboots after the upload, hence the routine does not logout but
+// waits for the switch to come back. Backups of a different hardware version
+// are refused.
+async function Restore(server, username, password, backup, timeout = 60000) {
+  // read the backup
+  if (typeof backup === 'string') {
+    backup = {
+      metadata: load(await readFile(backup + '.yaml', 'utf8')),
+      config:   await readFile(backup)
+    };
+  }
+
+  // check parameters
+  if (!backup || !backup.metadata || !backup.metadata.hardware) {
+    throw new ValidationError('invalid backup: missing hardware version');
+  }
+  if (!Buffer.isBuffer(backup.config) || backup.config.length === 0) {
+    throw new ValidationError('invalid backup: missing configuration file');
+  }
+
+  // login and upload - the switch drops the session with the reboot
+  await _session(server, username, password, async () => {
+    // check the hardware version
+    const swtch = (await _switchInfo(server)).switch;
+
+    if (swtch.hardware !== backup.metadata.hardware) {
+      throw new ValidationError('hardware version of backup (' + backup.metadata.hardware + ') differs from switch (' + swtch.hardware + ')');
+    }
+
+    // upload the configuration file
+    const url      = _url(server, RESTORE_PATH);
+    const formData = new FormData();
+
+    formData.append('configfile', new Blob([backup.config]), 'config.cfg');
+
+    await _send(url, { method: 'POST', body: formData });
+  }, true);
+
+  // within a dry run the switch does not reboot
+  if (DRY_RUNS.getStore()) {
+    return { diagnosis: null, switch: null };
+  }
+
+  // wait for the reboot and verify the switch
+  const report = { diagnosis: await _waitForReboot(server, username, password, timeout), switch: null };
+
+  if (report.diagnosis === 'authorized') {
+    report.switch = (await Info(server, username, password)).switch;
+  }
+
+  return report;
+}
+
+// --- SETPASSWORD -------------------------------------------------------------
+//
+// SetPassword: changes username and password of the WebUI
+//   server:      hostname or IP address of the switch
+//   username:    username for the WebUI (default: admin)
+//   password:    password for the WebUI (default: admin)
+//   newUsername: new username (1-16 characters)
+//   newPassword: new password (1-31 characters)
+// returns:
+//   data object with the diagnosis with the new credentials and the diagnosis
+//   with the previous credentials (null within a dry run) but may throw an
+//   error:
+//     diagnosis: authorized
+//     previous:  not authorized
+//
+// Routine uses following GET request to change the credentials
+//     http://<SERVER>:80/usr_account_set.cgi?txt_username=<USERNAME>&txt_oldpwd=<PASSWORD>&txt_userpwd=<NEWPASSWORD>&txt_confirmpwd=<NEWPASSWORD>
+//
+// The switch terminates the session when the credentials are changed, hence
+// the routine does not logout.
+async function SetPassword(server, username, password, newUsername, newPassword) {
+  // check parameters - printable characters without spaces
+  const regex = /^[\x21-\x7e]+$/;
+
+  if (typeof newUsername !== 'string' || !regex.test(newUsername) || newUsername.length > 16) {
+    throw new ValidationError('invalid username: ' + newUsername);
+  }
+  if (typeof newPassword !== 'string' || !regex.test(newPassword) || newPassword.length > 31) {
+    throw new ValidationError('invalid password');
+  }
+
+  // login and change - the switch drops the session with the credentials
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    // change the credentials
+    const url = _url(server, ACCOUNT_PATH) + '?' + stringify({
+      txt_username:   newUsername,
+      txt_oldpwd:     password,
+      txt_userpwd:    newPassword,
+      txt_confirmpwd: newPassword
+    });
+
+    await _send(url);
+
+    // within a dry run the switch keeps the credentials and the session - the
+    // credentials can not be read back, hence the changes are recorded as
+    // requested (passwords masked)
+    const plan = DRY_RUNS.getStore();
+
+    if (plan && newUsername !== username) {
+      plan.changes.push({ attribute: 'username', before: username, after: newUsername });
+    }
+    if (plan && newPassword !== password) {
+      plan.changes.push({ attribute: 'password', before: '***', after: '***' });
+    }
+  }, true);
+
+  if (DRY_RUNS.getStore()) {
+    return { diagnosis: null, previous: null };
+  }
+
+  // check the new and the previous credentials
+  const report = {
+    diagnosis: await Diagnosis(server, newUsername, newPassword),
+    previous:  await Diagnosis(server, username, password)
+  };
+
+  // within a journal the state after the change is read with the new
+  // credentials (see Journal)
+  const journal = JOURNALS.getStore();
+  const target  = journal && journal.switches.get(new URL(_url(server, LOGIN_PATH)).host);
+
+  if (target && report.diagnosis === 'authorized') {
+    Object.assign(target, { username: newUsername, password: newPassword });
+  }
+
+  return report;
+}
+
+// --- REBOOT ------------------------------------------------------------------
+//
+// Reboot: reboots the switch
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   timeout:  time in ms to wait for the reboot of the switch
+//             (default: 60000)
+// returns:
+//   the diagnosis after the reboot (null within a dry run) but may throw an
+//   error
+//
+// Routine uses following GET request to reboot the switch
+//     http://<SERVER>:80/reboot.cgi?reboot_op=reboot&save_op=true
+//
+async function Reboot(server, username, password, timeout = 60000) {
+  // login and reboot - the switch drops the session with the reboot
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    // reboot
+    const url = _url(server, REBOOT_PATH) + '?reboot_op=reboot&save_op=true';
+
+    await _send(url);
+  }, true);
+
+  // within a dry run the switch does not reboot
+  if (DRY_RUNS.getStore()) {
+    return null;
+  }
+
+  // wait for the reboot
+  return await _waitForReboot(server, username, password, timeout);
+}
+
+// --- FACTORYRESET ------------------------------------------------------------
+//
+// FactoryReset: resets the switch to factory settings
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   timeout:  time in ms to wait for the reboot of the switch
+//             (default: 60000)
+// returns:
+//   the diagnosis with the default credentials (admin/admin) after the reboot
+//   (null within a dry run) but may throw an error
+//
+// Routine uses following GET request to reset the switch
+//     http://<SERVER>:80/reset.cgi?reset_op=factory
+//
+// The factory settings also reset the IP settings of the switch (static
+// address 192.168.0.1), hence the switch may not come back at the same
+// address.
+async function FactoryReset(server, username, password, timeout = 60000) {
+  // login and reset - the switch drops the session with the reboot
+  await _session(server, username, password, async () => {
+    // detect the model
+    const model = await _model(server);
+
+    // reset
+    const url = _url(server, RESET_PATH) + '?reset_op=factory';
+
+    await _send(url);
+  }, true);
+
+  // within a dry run the switch does not reboot
+  if (DRY_RUNS.getStore()) {
+    return null;
+  }
+
+  // wait for the reboot
+  return await _waitForReboot(server, 'admin', 'admin', timeout);
+}
+
+// --- APPLY -------------------------------------------------------------------
+//
+// Apply: converges the switch towards a desired state
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   manifest: desired state in the same shape as returned by Info - either
+//             as data object or as YAML string
+// returns:
+//   report with the lists of created, modified and deleted items
+//   but may throw an error
+//
+// Only the attributes which can be set are compared:
+//     switch.name, switch.vlan
+//     ports[].state, ports[].speedConfig
+//     vlans[].name, vlans[].tagged, vlans[].untagged
+// Ports which are not listed in the manifest are left untouched. VLANs which
+// are not listed in the manifest are deleted - unless the manifest does not
+// contain a list of VLANs at all. VLAN 1 is reserved and never modified.
+//
+// Sample manifest:
+//     switch:
+//       name: Switch-007
+//       vlan: 802.1Q
+//       ports:
+//         - number: 4
+//           state: Disabled
+//           speedConfig: 100MH
+//       vlans:
+//         - name: alpha
+//           id: 3
+//           tagged: [2,4,6,8]
+//
+// Sample report:
+//     created:
+//       - {type: vlan, id: 3, before: null, after: {name: alpha, tagged: [2,4,6,8], untagged: []}}
+//     modified:
+//       - {type: port, id: 4, before: {state: Enabled}, after: {state: Disabled}}
+//     deleted: []
+//
+async function Apply(server, username, password, manifest) {
+  // parse and validate the desired state
+  const desired = _manifest(manifest);
+
+  // read the current state
+  const current = await Info(server, username, password);
+
+  // the ports have to exist on the model of the switch
+  const invalid = (desired.switch.ports || []).filter(port => port.number > current.switch.ports.length);
+
+  if (invalid.length > 0) {
+    throw new ValidationError('invalid port number: ' + invalid.map(port => port.number) + ' (the ' + current.switch.model + ' has ' + current.switch.ports.length + ' ports)');
+  }
+
+  // determine the required changes
+  const changes = _plan(current.switch, desired.switch);
+
+  // adjust the switch
+  for (const change of changes.filter(c => c.type === 'switch')) {
+    const name = change.after.name;
+    const vlan = change.after.vlan;
+
+    await SetSwitch(server, username, password, name, vlan);
+  }
+
+  // adjust the ports
+  for (const change of changes.filter(c => c.type === 'port')) {
+    const port  = current.switch.ports.find(p => p.number === change.id);
+    const state = STATES.indexOf(change.after.state || port.state);
+    const speed = change.after.speedConfig || port.speedConfig;
+
+    await SetPort(server, username, password, change.id, state, speed);
+  }
+
+  // delete VLANs first to free up VLAN slots, then create/modify the others
+  for (const change of changes.filter(c => c.type === 'vlan' && !c.after)) {
+    await SetVLAN(server, username, password, change.id, change.before.name, []);
+  }
+
+  for (const change of changes.filter(c => c.type === 'vlan' && c.after)) {
+    const vlan = desired.switch.vlans.find(v => v.id === change.id);
+
+    await SetVLAN(server, username, password, vlan.id, vlan.name, { tagged: vlan.tagged, untagged: vlan.untagged });
+  }
+
+  // present the results
+  return {
+    created:  changes.filter(c => !c.before),
+    modified: changes.filter(c => c.before && c.after),
+    deleted:  changes.filter(c => !c.after)
+  };
+}
+
+// --- ROLLBACK ----------------------------------------------------------------
+//
+// Rollback: restores the configuration captured by a journal entry
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   entry:    journal entry as recorded by Journal
+// returns:
+//   report with the id of the entry and the changes which have been applied
+//   but may throw an error:
+//     entry: 3f6a9c01
+//     changes:
+//       - {attribute: vlan 10, before: null, after: {name: iot, tagged: [8], untagged: [7]}}
+//       - {attribute: pvid of port 7, before: 1, after: 10}
+//
+// The switch is restored to its configuration before the changes of the entry,
+// i.e. the changes of the entry and all later changes are undone. The inverse
+// changes are the differences between the current configuration and the
+// configuration before the entry and are applied by the setters:
+//     switch.name, switch.vlan, switch.qos
+//     ports[].state, speedConfig, pvid, priority, ingressRate, egressRate,
+//             stormRate, stormTypes
+//     vlans, portVlans, lags, mirror, igmp.state, igmp.reportSuppression
+// IP settings and credentials are not restored, neither are destination and
+// sources of a disabled port mirroring. VLAN 1 is reserved and never modified
+// (see Apply). The entry has to belong to the switch (same MAC address).
+//
+async function Rollback(server, username, password, entry) {
+  // check parameters
+  if (!entry || !entry.before || !entry.before.switch) {
+    throw new ValidationError('journal entry ' + (entry && entry.id) + ' does not contain the state before the change');
+  }
+
+  // read the current state
+  const current = await Info(server, username, password);
+
+  if (entry.mac && entry.mac !== current.switch.mac) {
+    throw new ValidationError('journal entry ' + entry.id + ' belongs to the switch ' + entry.mac + ' - not to ' + current.switch.mac);
+  }
+
+  // determine and apply the inverse changes
+  const steps = _rollback(current.switch, entry.before.switch);
+
+  for (const step of steps) {
+    await step.routine(server, username, password, ...step.args);
+  }
+
+  // present the results
+  return {
+    entry:   entry.id,
+    changes: steps.flatMap(step => step.changes)
+  };
+}
+
+// --- DRYRUN ------------------------------------------------------------------
+//
+// DryRun: runs a routine without modifying the switch
+//   routine:  routine modifying the switch (e.g. SetPort or Apply) or any
+//             function calling such routines (e.g. methods of a SwitchClient)
+//   args:     arguments of the routine incl. the connection parameters
+// returns:
+//   plan with the requests the routine would send, the changes of the
+//   configuration and a readable diff of the changes but may throw an error:
+//     requests:
+//       - GET http://192.168.0.1/port_setting.cgi?portid=4&state=0&speed=4&flowcontrol=0&apply=Apply
+//     changes:
+//       - {attribute: state of port 4, before: Enabled, after: Disabled}
+//       - {attribute: speed of port 4, before: Auto, after: 100MH}
+//     diff:
+//       - 'state of port 4: "Enabled" -> "Disabled"'
+//       - 'speed of port 4: "Auto" -> "100MH"'
+//
+// The routine logs in, validates its parameters and reads the current state
+// as usual, but only records the requests which would modify the switch. The
+// changes are the differences between the current configuration and the
+// configuration the routine would verify after the requests. Routines which
+// wait for the switch (e.g. Reboot) return without a diagnosis.
+//
+// Sample:
+//     const plan = await DryRun(SetPort, '192.168.0.1', 'admin', 'admin', 4, 0, '100MH');
+//
+async function DryRun(routine, ...args) {
+  const plan = { requests: [], changes: [] };
+
+  await DRY_RUNS.run(plan, () => routine(...args));
+
+  return {
+    requests: plan.requests,
+    changes:  plan.changes,
+    diff:     plan.changes.map(c => c.attribute + ': ' + JSON.stringify(c.before) + ' -> ' + JSON.stringify(c.after))
+  };
+}
+
+// --- JOURNAL -----------------------------------------------------------------
+//
+// Journal: runs a routine and records a journal entry per modified switch
+//   journal:  settings of the journal:
+//     record:    function storing an entry (e.g. appendJournal of journal.js)
+//     operator:  name of the operator (default: user of the process)
+//     operation: name of the operation (default: name of the routine)
+//   routine:  routine modifying the switch (e.g. SetVLAN or Apply) or any
+//             function calling such routines (e.g. methods of a SwitchClient)
+//   args:     arguments of the routine incl. the connection parameters
+// returns:
+//   the result of the routine but may throw an error
+//
+// The entry of a switch is started with the first request modifying it and
+// recorded after the routine has finished - even if the routine has failed:
+//     id: 3f6a9c01
+//     time: '2024-01-31T12:00:00.000Z'
+//     operator: bernard
+//     server: 192.168.0.1
+//     mac: '70:4F:57:35:BE:36'
+//     operation: SetVLAN
+//     requests:
+//       - GET http://192.168.0.1:80/qvlanSet.cgi?vid=10&vname=iot&selType_1=2&...
+//     before: {switch: ...}   (Info before the first request - null if it
+//                             could not be read)
+//     after: {switch: ...}    (Info after the routine - null if the switch is
+//                             no longer accessible, e.g. after SetIP)
+//     error: ...              (only if the routine has failed)
+//
+// The state after the routine is read within the session of the SwitchClient
+// which has modified the switch if the client is still open, so that its
+// session is not terminated. Credentials changed by SetPassword are used to
+// read the state. Passwords within the requests are masked. Switches which
+// have not been modified are not recorded - neither is anything within a dry
+// run.
+//
+// Sample:
+//     await Journal({ record: appendJournal }, SetPort, '192.168.0.1', 'admin', 'admin', 4, 0, '100MH');
+//
+async function Journal(journal, routine, ...args) {
+  const context = {
+    operator:  journal.operator || userInfo().username,
+    operation: journal.operation || routine.name || null,
+    switches:  new Map()
+  };
+
+  let result;
+  let failure = null;
+
+  try {
+    result = await JOURNALS.run(context, () => routine(...args));
+  } catch (error) {
+    failure = error;
+  }
+
+  // complete the entries with the state after the changes
+  for (const target of context.switches.values()) {
+    const entry = target.entry;
+
+    if (!entry) {
+      continue;
+    }
+
+    entry.after = await _after(target).catch(() => null);
+    entry.mac   = entry.mac || (entry.after && entry.after.switch.mac);
+
+    if (failure) {
+      entry.error = failure.message;
+    }
+
+    await journal.record(entry);
+  }
+
+  if (failure) {
+    throw failure;
+  }
+
+  return result;
+}
+
+// --- SWITCHCLIENT ------------------------------------------------------------
+//
+// SwitchClient: runs the routines within one session of the WebUI
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//
+// The client provides the routines as methods without the connection
+// parameters, e.g.:
+//     const client = new SwitchClient('192.168.0.1', 'admin', 'admin');
+//
+//     await client.setPort(1, 1, 'Auto');
+//     await client.setPort(2, 0, 'Auto');
+//     const data = await client.info();
+//
+//     await client.close();
+//
+// The client logs in with the first call and logs out on close or if a call
+// fails. Concurrent calls are executed one after the other. If the switch
+// has terminated the session (e.g. after a timeout) the client logs in again.
+// Routines changing the address or the credentials of the switch (setIP,
+// setPassword and factoryReset) update the connection parameters of the
+// client. The model of the switch is only detected with the first call.
+class SwitchClient {
+  constructor(server, username = 'admin', password = 'admin') {
+    this.server        = server;
+    this.username      = username;
+    this.password      = password;
+    this.authenticated = false;
+    this.model         = null;
+    this.queue         = Promise.resolve();
+  }
+
+  // --- routines ---
+  diagnosis()                                 { return this._run(Diagnosis, [], true); }
+  info()                                      { return this._run(Info, []); }
+  setSwitch(name, vlan)                       { return this._run(SetSwitch, [name, vlan]); }
+  setPort(port, state, speed)                 { return this._run(SetPort, [port, state, speed]); }
+  setVLAN(vlan, name, members)                { return this._run(SetVLAN, [vlan, name, members]); }
+  setPVID(ports, pvid)                        { return this._run(SetPVID, [ports, pvid]); }
+  setPortVLAN(vlan, members)                  { return this._run(SetPortVLAN, [vlan, members]); }
+  setLAG(lag, members)                        { return this._run(SetLAG, [lag, members]); }
+  setMirror(state, destination, sources)      { return this._run(SetMirror, [state, destination, sources]); }
+  setQoS(mode)                                { return this._run(SetQoS, [mode]); }
+  setPortPriority(ports, priority)            { return this._run(SetPortPriority, [ports, priority]); }
+  setBandwidth(ports, ingress, egress)        { return this._run(SetBandwidth, [ports, ingress, egress]); }
+  setStormControl(ports, rate, types)         { return this._run(SetStormControl, [ports, rate, types]); }
+  setIGMP(state, suppression)                 { return this._run(SetIGMP, [state, suppression]); }
+  clearCounters()                             { return this._run(ClearCounters, []); }
+  backup(file)                                { return this._run(Backup, [file]); }
+  restore(backup, timeout)                    { return this._run(Restore, [backup, timeout], true); }
+  reboot(timeout)                             { return this._run(Reboot, [timeout], true); }
+  apply(manifest)                             { return this._run(Apply, [manifest]); }
+  rollback(entry)                             { return this._run(Rollback, [entry]); }
+
+  setIP(dhcp, ip, netmask, gateway, timeout) {
+    return this._run(SetIP, [dhcp, ip, netmask, gateway, timeout], true, report => {
+      this.server = report.server || this.server;
+    });
+  }
+
+  setPassword(username, password) {
+    return this._run(SetPassword, [username, password], true, report => {
+      if (report.diagnosis === 'authorized') {
+        this.username = username;
+        this.password = password;
+      }
+    });
+  }
+
+  factoryReset(timeout) {
+    return this._run(FactoryReset, [timeout], true, () => {
+      this.username = 'admin';
+      this.password = 'admin';
+    });
+  }
+
+  // --- close ---
+  close() {
+    return this._enqueue(() => this._logout());
+  }
+
+  // --- _run: runs a routine within the session ---
+  //   routine:  the routine
+  //   args:     the arguments of the routine without connection parameters
+  //   ends:     true if the routine terminates the session
+  //   update:   optional function to update the client with the result
+  _run(routine, args, ends = false, update = () => {}) {
+    return this._enqueue(async () => {
+      try {
+        const result = await SESSIONS.run(this, () => routine(this.server, this.username, this.password, ...args));
+
+        this.authenticated = this.authenticated && !ends;
+
+        update(result);
+
+        return result;
+      } catch (error) {
+        await this._logout().catch(() => {});
+
+        throw error;
+      }
+    });
+  }
+
+  // --- _enqueue: executes a task after all previous tasks ---
+  _enqueue(task) {
+    const result = this.queue.then(task, task);
+
+    this.queue = result.catch(() => {});
+
+    return result;
+  }
+
+  // --- _logout: terminates the session ---
+  async _logout() {
+    if (this.authenticated) {
+      this.authenticated = false;
+
+      await _logout(this.server);
+    }
+  }
+}
+
+// --- _LOGIN ------------------------------------------------------------------
+//
+// _login: authenticates against the Web UI
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+// returns:
+//   nothing but may throw an error
+//
+async function _login(server, username, password) {
+  const url = _url(server, LOGIN_PATH);
+
+  // form data to be sent 
+  const formData = stringify({
+    username: username,
+    password: password,
+    logon:   'Login'
+  });
+
+  // within a journal the credentials and the SwitchClient are kept to read
+  // the state after the changes (see Journal)
+  const journal = JOURNALS.getStore();
+
+  if (journal) {
+    const target = journal.switches.get(new URL(url).host) || { entry: null };
+
+    journal.switches.set(new URL(url).host, Object.assign(target, { server: server, username: username, password: password, client: SESSIONS.getStore() || null }));
+  }
+
+  // within the session of a SwitchClient the login is only done once
+  const session = SESSIONS.getStore();
+
+  if (session && session.authenticated) {
+    return;
+  }
+
+  // post the form data
+  const response = await _request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length2': formData.length
+    },
+    body: formData
+  });
+
+  if (session) {
+    session.authenticated = true;
+  }
+}
+
+// --- _LOGOUT -----------------------------------------------------------------
+//
+// _logout: logs off from the Web UI
+//   server:   hostname or IP address of the switch
+// returns:
+//   nothing but may throw an error
+//
+async function _logout(server) {
+  const url = _url(server, LOGOUT_PATH);
+
+  // within the session of a SwitchClient the logout is done on close
+  if (SESSIONS.getStore()) {
+    return;
+  }
+
+  // post the form data - the status is irrelevant
+  await _request(url)
+}
+
+// --- _SESSION ----------------------------------------------------------------
+//
+// _session: runs a routine within a session of the Web UI
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   routine:  function using the session (e.g. reading or changing pages)
+//   ends:     true if the switch terminates the session itself (e.g. with a
+//             reboot) - the session is then only terminated if the routine
+//             fails or within a dry run (default: false)
+// returns:
+//   the result of the routine but may throw an error
+//
+// The switch has only a few session slots, hence the session is terminated
+// even if the routine fails - the error of the routine is passed on.
+async function _session(server, username, password, routine, ends = false) {
+  await _login(server, username, password)
+
+  let result;
+
+  try {
+    result = await routine();
+  } catch (error) {
+    await _logout(server).catch(() => {});
+
+    throw error;
+  }
+
+  if (!ends || DRY_RUNS.getStore()) {
+    await _logout(server)
+  }
+
+  return result;
+}
+
+// --- _FETCH ------------------------------------------------------------------
+//
+// _fetch: requests a page of the Web UI
+//   url:      the URL of the page
+//   options:  optional options of the request
+// returns:
+//   the response but may throw an error
+//
+// Within the session of a SwitchClient the routine logs in again and repeats
+// the request if the switch has terminated the session. Responses other than
+// 200 are signalled as UnauthorizedError (401) or RejectedError.
+async function _fetch(url, options) {
+  let   response = await _request(url, options);
+  const session  = SESSIONS.getStore();
+
+  if (response.status === 401 && session) {
+    session.authenticated = false;
+
+    await _login(session.server, session.username, session.password);
+
+    response = await _request(url, options);
+  }
+
+  // check the response
+  const path = new URL(url).pathname;
+
+  if (response.status === 401) {
+    throw new UnauthorizedError('not authorized to access ' + path + ' - invalid credentials');
+  }
+  if (response.status !== 200) {
+    throw new RejectedError('switch rejected ' + path + ' with status ' + response.status, response.status);
+  }
+
+  return response;
+}
+
+// --- _SEND -------------------------------------------------------------------
+//
+// _send: sends a request which modifies the configuration of the switch
+//   url:      the URL of the request
+//   options:  optional options of the request
+// returns:
+//   the response but may throw an error
+//
+// Within a dry run the request is only recorded in the plan (see DryRun) and
+// nothing is returned. Within a journal the request is recorded in the entry of
+// the switch (see Journal).
+async function _send(url, options) {
+  const plan    = DRY_RUNS.getStore();
+  const journal = JOURNALS.getStore();
+  const request = ((options && options.method) || 'GET') + ' ' + url;
+
+  if (plan) {
+    plan.requests.push(request);
+    return undefined;
+  }
+
+  if (journal) {
+    await _journal(journal, new URL(url).host, request);
+  }
+
+  return await _fetch(url, options);
+}
+
+// --- _JOURNAL ----------------------------------------------------------------
+//
+// _journal: records a request in the journal entry of a switch
+//   journal:  the journal (see Journal)
+//   host:     host of the switch (as in the URL of the request)
+//   request:  method and URL of the request
+// returns:
+//   nothing but may throw an error
+//
+// The entry is started with the first request to the switch by reading the
+// state of the switch before the change - if the state can not be read the
+// change is made nevertheless and the state before is recorded as null.
+// Passwords are masked.
+async function _journal(journal, host, request) {
+  const target = journal.switches.get(host);
+
+  if (!target.entry) {
+    const before = await _switchInfo(target.server).catch(() => null);
+
+    target.entry = {
+      id:        randomBytes(4).toString('hex'),
+      time:      new Date().toISOString(),
+      operator:  journal.operator,
+      server:    target.server,
+      mac:       before && before.switch.mac,
+      operation: journal.operation,
+      requests:  [],
+      before:    before,
+      after:     null
+    };
+  }
+
+  target.entry.requests.push(request.replace(/([?&][^=&]*(pwd|password)[^=&]*=)[^&]*/gi, '$1***'));
+}
+
+// --- _AFTER ------------------------------------------------------------------
+//
+// _after: reads the state of a switch after the changes of a journal
+//   target:   switch of the journal: {server, username, password, client}
+// returns:
+//   the output of Info but may throw an error
+//
+// If the switch has been modified by a SwitchClient which is still logged in
+// the state is read within its session - otherwise by a session of its own.
+async function _after(target) {
+  if (target.client && target.client.authenticated) {
+    return await target.client.info();
+  }
+
+  return await Info(target.server, target.username, target.password);
+}
+
+// --- _REQUEST ----------------------------------------------------------------
+//
+// _request: sends a request to the Web UI
+//   url:      the URL of the page
+//   options:  optional options of the request
+// returns:
+//   the response but throws an UnreachableError if the switch does not
+//   respond
+//
+async function _request(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    if (error.name === 'AbortError' || error.type === 'system') {
+      throw new UnreachableError('switch not accessible: ' + error.message);
+    }
+    throw error;
+  }
+}
+
+// --- _URL --------------------------------------------------------------------
+//
+// _url: constructs the URL of a page of the Web UI
+//   server:   hostname or IP address of the switch with optional port
+//   path:     path of the page
+// returns:
+//   the URL - port 80 is used if the server does not specify a port
+//
+function _url(server, path) {
+  const port = /:\d+$/.test(server) ? '' : ':80';
+
+  return 'http://' + server + port + path;
+}
+
+// --- _MODEL ------------------------------------------------------------------
+//
+// _model: detects the model of the switch
+//   server:   hostname or IP address of the switch
+// returns:
+//   the profile of the model: {name, ports, lags} (see MODELS) but
+//   throws an UnsupportedError if the model is not supported
+//
+// The model is determined by the name of the hardware version and has to
+// match the number of ports reported by the switch. Within the session of a
+// SwitchClient the model is only detected once.
+async function _model(server) {
+  const session = SESSIONS.getStore();
+
+  if (session && session.model) {
+    return session.model;
+  }
+
+  // read the hardware version and the number of ports
+  const info     = await _readPage(server, SWITCH_INFO_PATH);
+  const settings = await _readPage(server, PORT_INFO_1_PATH);
+  const hardware = _field(info, 'info_ds.hardwareStr', 'string');
+  const ports    = _field(settings, 'max_port_num', 'number');
+  const name     = hardware.split(' ')[0];
+
+  if (!Object.hasOwn(MODELS, name) || MODELS[name].ports !== ports) {
+    throw new UnsupportedError('unsupported model: ' + hardware + ' with ' + ports + ' ports (supported: ' + Object.keys(MODELS).join(', ') + ')', hardware, ports);
+  }
+
+  const model = Object.assign({ name: name }, MODELS[name]);
+
+  if (session) {
+    session.model = model;
+  }
+
+  return model;
+}
+
+// --- _CHECKPORTS -------------------------------------------------------------
+//
+// _checkPorts: checks that ports exist on the model of the switch
+//   model:    profile of the model (see _model)
+//   ports:    list of port indices
+//   label:    description of the ports for the error (default: ports)
+// returns:
+//   nothing but throws a ValidationError for ports beyond the number of ports
+//   of the model
+//
+function _checkPorts(model, ports, label = 'ports') {
+  const invalid = ports.filter(port => port > model.ports);
+
+  if (invalid.length > 0) {
+    throw new ValidationError('invalid ' + label + ': ' + invalid + ' (the ' + model.name + ' has ' + model.ports + ' ports)');
+  }
+}
+
+// --- _SWITCHINFO ------------------------------------------------------------------
+//
+// _switchInfo: reads configuration & status of the switch, ports and vlans 
+//   server:   hostname or IP address of the switch
+// returns:
+//   a data object with switch, port and vlan information
+//   but may throw an error
+//
+async function _switchInfo(server) {
+  // detect the model
+  const model = await _model(server);
+
+  // the result
+  const swtch = { model: model.name };
+
+  // retrieve switch information
+  await _systemInfo(server, swtch)
+
+  swtch.dhcp      = STATES[0];
+  swtch.vlan      = VLAN_MODES[0];
+  swtch.maxVlans  = 0;
+  swtch.qos       = QOS_MODES[0];
+  swtch.ports     = [];
+  swtch.vlans     = [];
+  swtch.portVlans = [];
+  swtch.lags      = [];
+  swtch.mirror    = {};
+  swtch.igmp      = {};
+
+  // retrieve port information
+  await _portInfo1(server, swtch)
+  await _portInfo2(server, swtch)
+  await _vlanInfo(server, swtch)
+  await _pvidInfo(server, swtch)
+  await _portVlanInfo(server, swtch)
+  await _mirrorInfo(server, swtch)
+  await _qosInfo(server, swtch)
+  await _igmpInfo(server, swtch)
+  await _ipInfo(server, swtch)
+
+  return {switch: swtch};
+}
+
+// --- _SYSTEMINFO -------------------------------------------------------------
+//
+// _systemInfo: reads the system information of the switch
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object:
+//     hardware, fimrware, name, mac, ip, netmask, gateway
+//
+// The routine analyses the scripts of the web response:
+//     var info_ds = {
+//       descriStr: [
+//         "TL-SG108E"
+//       ],
+//       macStr: [
+//         "70:4F:57:6B:94:AE"
+//       ],
+//       ipStr: [
+//         "192.168.0.1"
+//       ],
+//       netmaskStr: [
+//         "255.255.255.0"
+//       ],
+//       gatewayStr: [
+//         "0.0.0.0"
+//       ],
+//       firmwareStr: [
+//         "1.0.0 Build 20171214 Rel.70905"
+//       ],
+//       hardwareStr: [
+//         "TL-SG108E 3.0"
+//       ]
+//     };
+//     var tip = "";
+async function _systemInfo(server, swtch) {
+  // query the API
+  const page = await _readPage(server, SWITCH_INFO_PATH);
+
+  // parse the response
+  swtch.hardware = _field(page, 'info_ds.hardwareStr', 'string');
+  swtch.fimrware = _field(page, 'info_ds.firmwareStr', 'string');
+  swtch.name     = _field(page, 'info_ds.descriStr', 'string');
+  swtch.mac      = _field(page, 'info_ds.macStr', 'string');
+  swtch.ip       = _field(page, 'info_ds.ipStr', 'string');
+  swtch.netmask  = _field(page, 'info_ds.netmaskStr', 'string');
+  swtch.gateway  = _field(page, 'info_ds.gatewayStr', 'string');
+}
+
+// --- _PORTINFO1 --------------------------------------------------------------
+//
+// _portInfo1: reads port information (part 1) 
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object
+//
+// The routine analyses the scripts of the web response:
+//     var max_port_num = 8;
+//     var port_middle_num = 16;
+//     var all_info = {
+//       state: [1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
+//       trunk_info: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+//       spd_cfg: [1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
+//       spd_act: [6, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+//       fc_cfg: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+//       fc_act: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+//     };
+//     var tip = "";
+async function _portInfo1(server, swtch) {
+  // query the API
+  const page = await _readPage(server, PORT_INFO_1_PATH);
+
+  // parse the response
+  var ports  = _field(page, 'max_port_num', 'number');
+  var states = _field(page, 'all_info.state', 'numbers');
+  var speeds  = _field(page, 'all_info.spd_act', 'numbers');
+  var configs = _field(page, 'all_info.spd_cfg', 'numbers');
+  var trunks  = _field(page, 'all_info.trunk_info', 'numbers');
+
+  // populate port information
+  for (var portIndex = 0; portIndex < ports; portIndex++) {
+    swtch.ports[portIndex]  = {};
+
+    const port = swtch.ports[portIndex];
+
+    port.number      = portIndex + 1;
+    port.state       = STATES[states[portIndex]];
+    port.speed       = SPEEDS[speeds[portIndex]];
+    port.speedConfig = SPEEDS[configs[portIndex]];
+    port.lag         = trunks[portIndex];
+  }
+}
+
+// --- _PORTINFO2 --------------------------------------------------------------
+//
+// _portInfo2: reads port information (part 2) 
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object
+//
+// The routine analyses the scripts of the web response:
+//     var max_port_num = 8;
+//     var port_middle_num = 16;
+//     var all_info = {
+//       state: [1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
+//       link_status: [6, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+//       pkts: [786, 0, 1080, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+//     };
+//     var tip = "";
+async function _portInfo2(server, swtch) {
+  // query the API
+  const page = await _readPage(server, PORT_INFO_2_PATH);
+
+  // parse the response
+  var ports = _field(page, 'max_port_num', 'number');
+  var links = _field(page, 'all_info.link_status', 'numbers');
+  var pkts  = _field(page, 'all_info.pkts', 'numbers');
+
+  // populate port information
+  for (var portIndex = 0; portIndex < ports; portIndex++) {
+    const port     = swtch.ports[portIndex];
+
+    port.link      = SPEEDS[links[portIndex]];
+    port.TxGoodPkt = pkts[4 * portIndex + 0];
+    port.TxBadPkt  = pkts[4 * portIndex + 1];
+    port.RxGoodPkt = pkts[4 * portIndex + 2];
+    port.RxBadPkt  = pkts[4 * portIndex + 3];
+  }
+}
+
+// --- _VLANINFO ---------------------------------------------------------------
+//
+// _vlanInfo: reads vlan information
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object (incl. maxVlans: the maximum number of
+//   vlans supported by the switch)
+//
+// The routine analyses the scripts of the web response:
+//     var qvlan_ds = {
+//       state: 1,
+//       portNum: 8,
+//       vids: [
+//         1, 2, 3, 4, 5
 //       ],
 //       count: 5,
 //       maxVids: 32,
@@ -619,221 +2633,1277 @@ async function _portInfo2(server, swtch) {
 //     }; 
 //     var tip = "";
 async function _vlanInfo(server, swtch) {
-  // execute query
-  const url = 'http://' + server + VLAN_INFO_PATH;
+  // query the API
+  const page = await _readPage(server, VLAN_INFO_PATH);
+
+  // parse the response
+  if (_field(page, 'qvlan_ds.state', 'number') === 1) {
+    swtch.vlan = VLAN_MODES[1];
+  }
+
+  var vlans = _field(page, 'qvlan_ds.count', 'number');
+  var vids  = _field(page, 'qvlan_ds.vids', 'numbers');
+  var names = _field(page, 'qvlan_ds.names', 'strings');
+  var tag   = _field(page, 'qvlan_ds.tagMbrs', 'numbers');
+  var untag = _field(page, 'qvlan_ds.untagMbrs', 'numbers');
+  var lags  = _field(page, 'qvlan_ds.lagMbrs', 'numbers');
+  var ports = MODELS[swtch.model].ports;
+
+  swtch.maxVlans = _field(page, 'qvlan_ds.maxVids', 'number');
+
+  // populate port information
+  for (var vlanIndex = 0; vlanIndex < vlans; vlanIndex++) {
+    swtch.vlans[vlanIndex] = {};
+
+    const vlan    = swtch.vlans[vlanIndex];
+    vlan.name     = names[vlanIndex];
+    vlan.id       = vids[vlanIndex];
+    vlan.tagged   = _members(tag[vlanIndex], ports);
+    vlan.untagged = _members(untag[vlanIndex], ports);
+  }
+
+  // populate link aggregation groups (the first entry is not used)
+  swtch.lags = [];
+  for (let lagIndex = 1; lagIndex < lags.length; lagIndex++) {
+    const lag = { id: lagIndex, members: _members(lags[lagIndex], ports) };
+
+    if (lag.members.length > 0) {
+      swtch.lags.push(lag);
+    }
+  }
+}
+
+// --- _PVIDINFO ---------------------------------------------------------------
+//
+// _pvidInfo: reads the port VLAN IDs
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object
+//
+// The routine analyses the scripts of the web response:
+//     var pvid_ds = {
+//       state: 1,
+//       portNum: 8,
+//       pvids: [
+//         1, 1, 1, 1, 1, 1, 1, 1
+//       ],
+//       lagIds: [
+//         0, 0, 0, 0, 0, 0, 0, 0
+//       ],
+//       lagMbrs: [
+//         0, 0x0, 0x0
+//       ]
+//     };
+//     var tip = "";
+async function _pvidInfo(server, swtch) {
+  // query the API
+  const page = await _readPage(server, PVID_INFO_PATH);
+
+  // parse the response
+  var pvids = _field(page, 'pvid_ds.pvids', 'numbers');
+
+  // populate port information
+  for (var portIndex = 0; portIndex < swtch.ports.length; portIndex++) {
+    swtch.ports[portIndex].pvid = pvids[portIndex];
+  }
+}
+
+// --- _PORTVLANINFO -----------------------------------------------------------
+//
+// _portVlanInfo: reads port-based vlan information
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object
+//
+// The routine analyses the scripts of the web response:
+//     var pvlan_ds = {
+//       state: 1,
+//       portNum: 8,
+//       vids: [
+//         1, 2
+//       ],
+//       mbrs: [
+//         0xFF, 0x03
+//       ],
+//       count: 2
+//     };
+//     var tip = "";
+async function _portVlanInfo(server, swtch) {
+  // query the API
+  const page = await _readPage(server, PVLAN_INFO_PATH);
+
+  // parse the response
+  if (_field(page, 'pvlan_ds.state', 'number') === 1) {
+    swtch.vlan = VLAN_MODES[2];
+  }
+
+  var vlans = _field(page, 'pvlan_ds.count', 'number');
+  var vids  = _field(page, 'pvlan_ds.vids', 'numbers');
+  var mbrs  = _field(page, 'pvlan_ds.mbrs', 'numbers');
+  var ports = MODELS[swtch.model].ports;
+
+  // populate vlan information
+  for (var vlanIndex = 0; vlanIndex < vlans; vlanIndex++) {
+    swtch.portVlans[vlanIndex] = { id: vids[vlanIndex], members: _members(mbrs[vlanIndex], ports) };
+  }
+}
+
+// --- _LAGERROR ---------------------------------------------------------------
+//
+// _lagError: checks whether ports can be aggregated into a group
+//   swtch:    switch object with port and vlan information
+//   lag:      id of the link aggregation group
+//   ports:    list of member ports
+// returns:
+//   an error describing why the ports can not be aggregated or
+//   null if the ports can be aggregated
+//
+function _lagError(swtch, lag, ports) {
+  const members = ports.map(number => swtch.ports.find(p => p.number === number));
+
+  // ports must not be members of another group
+  const foreign = members.filter(port => port.lag !== 0 && port.lag !== lag);
+
+  if (foreign.length > 0) {
+    return new ValidationError('ports ' + foreign.map(port => port.number) + ' are members of another lag');
+  }
+
+  // ports must share the speed settings
+  if (members.some(port => port.speedConfig !== members[0].speedConfig)) {
+    return new ValidationError('ports ' + ports + ' do not share the same speed settings');
+  }
+
+  // ports must share the vlan membership
+  for (const vlan of swtch.vlans) {
+    const selType = port => vlan.untagged.includes(port) ? 'untagged' : vlan.tagged.includes(port) ? 'tagged' : 'none';
+
+    if (ports.some(port => selType(port) !== selType(ports[0]))) {
+      return new ValidationError('ports ' + ports + ' do not share the same membership of vlan ' + vlan.id);
+    }
+  }
+
+  return null;
+}
+
+// --- _MIRRORINFO -------------------------------------------------------------
+//
+// _mirrorInfo: reads the port mirroring configuration
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object:
+//     mirror:
+//       state: Enabled
+//       destination: 1
+//       sources:
+//         - {port: 2, direction: both}
+//
+// The routine analyses the scripts of the web response:
+//     var MirrEn = 1;
+//     var MirrPort = 1;
+//     var mirr_info = {
+//       ingress: [0, 1, 0, 0, 0, 0, 0, 0],
+//       egress: [0, 1, 0, 0, 0, 0, 0, 0]
+//     };
+//     var tip = "";
+async function _mirrorInfo(server, swtch) {
+  // query the API
+  const page = await _readPage(server, MIRROR_INFO_PATH);
+
+  // parse the response
+  var ingress = _field(page, 'mirr_info.ingress', 'numbers');
+  var egress  = _field(page, 'mirr_info.egress', 'numbers');
+
+  swtch.mirror = {
+    state:       STATES[_field(page, 'MirrEn', 'number')],
+    destination: _field(page, 'MirrPort', 'number'),
+    sources:     []
+  };
+
+  // populate source ports
+  for (var portIndex = 0; portIndex < ingress.length; portIndex++) {
+    const direction = DIRECTIONS[(ingress[portIndex] ? 1 : 0) + (egress[portIndex] ? 2 : 0) - 1];
+
+    if (direction) {
+      swtch.mirror.sources.push({ port: portIndex + 1, direction: direction });
+    }
+  }
+}
+
+// --- _MIRRORSOURCES ----------------------------------------------------------
+//
+// _mirrorSources: normalises the source ports of port mirroring
+//   sources:  list of {port, direction: ingress, egress or both}
+// returns:
+//   the list of sources sorted by port but throws an error for invalid
+//   or duplicate ports and invalid directions
+//
+function _mirrorSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new ValidationError('mirroring requires a list of source ports');
+  }
+
+  const mirrored = sources.map(source => ({
+    port:      parseInt(source.port),
+    direction: source.direction || 'both'
+  }));
+
+  for (const source of mirrored) {
+    if (!(1 <= source.port && source.port <= MAX_PORTS)) {
+      throw new ValidationError('invalid source port: ' + source.port);
+    }
+    if (!DIRECTIONS.includes(source.direction)) {
+      throw new ValidationError('invalid direction of source port ' + source.port + ': ' + source.direction);
+    }
+    if (mirrored.filter(other => other.port === source.port).length > 1) {
+      throw new ValidationError('source port ' + source.port + ' is listed more than once');
+    }
+  }
+
+  return mirrored.sort((a, b) => a.port - b.port);
+}
+
+// --- _QOSINFO ----------------------------------------------------------------
+//
+// _qosInfo: reads the QoS mode, port priorities, bandwidth and storm control
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object
+//
+// The routine analyses the scripts of the following web responses:
+//   QosBasicRpm.htm:
+//     var qosMode = 1;
+//     var portNumber = 8;
+//     var pPri = [1, 1, 1, 1, 1, 1, 1, 1];
+//   QosBandWidthControlRpm.htm (ingress rate, egress rate and lag per port):
+//     var portNumber = 8;
+//     var bcInfo = [0, 0, 0, 0, 0, 0, ...];
+//   QosStormControlRpm.htm (rate, storm types and lag per port):
+//     var portNumber = 8;
+//     var scInfo = [0, 0, 0, 0, 0, 0, ...];
+async function _qosInfo(server, swtch) {
+  // query the API
+  const qos       = await _readPage(server, QOS_INFO_PATH);
+  const bandwidth = await _readPage(server, BANDWIDTH_INFO_PATH);
+  const storm     = await _readPage(server, STORM_INFO_PATH);
+
+  // parse the responses
+  var priorities = _field(qos, 'pPri', 'numbers');
+  var rates      = _field(bandwidth, 'bcInfo', 'numbers');
+  var storms     = _field(storm, 'scInfo', 'numbers');
+
+  swtch.qos = QOS_MODES[_field(qos, 'qosMode', 'number')];
+
+  for (var portIndex = 0; portIndex < swtch.ports.length; portIndex++) {
+    const port     = swtch.ports[portIndex];
+    const typeMask = storms[3 * portIndex + 1];
+
+    port.priority    = priorities[portIndex];
+    port.ingressRate = BANDWIDTH_RATES[rates[3 * portIndex + 0]];
+    port.egressRate  = BANDWIDTH_RATES[rates[3 * portIndex + 1]];
+    port.stormRate   = STORM_RATES[storms[3 * portIndex + 0]];
+    port.stormTypes  = STORM_TYPES.filter((type, typeIndex) => (typeMask & (1 << typeIndex)) !== 0);
+  }
+}
+
+// --- _IGMPINFO ---------------------------------------------------------------
+//
+// _igmpInfo: reads the IGMP snooping configuration and multicast groups
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object:
+//     igmp:
+//       state: Enabled
+//       reportSuppression: Disabled
+//       groups:
+//         - {ip: 239.1.1.1, vlan: 10, ports: [1,2]}
+//
+// The routine analyses the scripts of the web response:
+//     var igmp_ds = {
+//       state: 1,
+//       suppressionState: 0,
+//       count: 2,
+//       ipStr: [
+//         '239.1.1.1', '239.1.1.2'
+//       ],
+//       vlanStr: [
+//         10, 10
+//       ],
+//       portStr: [
+//         0x03, 0x80
+//       ]
+//     };
+//     var tip = "";
+async function _igmpInfo(server, swtch) {
+  // query the API
+  const page = await _readPage(server, IGMP_INFO_PATH);
+
+  // parse the response (the lists are empty if no groups have been learned)
+  var groups = _field(page, 'igmp_ds.count', 'number');
+  var ips    = _field(page, 'igmp_ds.ipStr', 'strings');
+  var vlans  = _field(page, 'igmp_ds.vlanStr', 'numbers');
+  var ports  = _field(page, 'igmp_ds.portStr', 'numbers');
+
+  swtch.igmp = {
+    state:             STATES[_field(page, 'igmp_ds.state', 'number')],
+    reportSuppression: STATES[_field(page, 'igmp_ds.suppressionState', 'number')],
+    groups:            []
+  };
+
+  // populate multicast groups
+  for (var groupIndex = 0; groupIndex < groups; groupIndex++) {
+    swtch.igmp.groups.push({ ip: ips[groupIndex], vlan: vlans[groupIndex], ports: _members(ports[groupIndex], MODELS[swtch.model].ports) });
+  }
+}
+
+// --- _IPINFO -----------------------------------------------------------------
+//
+// _ipInfo: reads the DHCP state of the switch
+//   server:   hostname or IP address of the switch
+//   swtch:    switch object (with the name of the model)
+// returns:
+//   nothing but may throw an error
+//   results are stored in swtch object:
+//     dhcp: Disabled
+//
+// The routine analyses the scripts of the web response:
+//     var ip_ds = {
+//       state: 0,
+//       vlan: 1,
+//       maxVlan: 4094,
+//       ipStr: [
+//         "192.168.0.1"
+//       ],
+//       netmaskStr: [
+//         "255.255.255.0"
+//       ],
+//       gatewayStr: [
+//         "0.0.0.0"
+//       ]
+//     };
+//     var tip = "";
+async function _ipInfo(server, swtch) {
+  // query the API
+  const page = await _readPage(server, IP_INFO_PATH);
+
+  // parse the response
+  swtch.dhcp = STATES[_field(page, 'ip_ds.state', 'number')];
+}
+
+// --- _IPNUMBER ---------------------------------------------------------------
+//
+// _ipNumber: converts an IPv4 address into a number
+//   address:  IPv4 address in dotted decimal notation
+// returns:
+//   unsigned 32 bit number or undefined if the address is invalid
+//
+function _ipNumber(address) {
+  const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(address);
+
+  if (!match || match.slice(1).some(octet => parseInt(octet) > 255)) {
+    return undefined;
+  }
+
+  return match.slice(1).reduce((number, octet) => number * 256 + parseInt(octet), 0) >>> 0;
+}
+
+// --- _REACHABLE --------------------------------------------------------------
+//
+// _reachable: checks if an address is in a subnet of the network interfaces
+//   address:  unsigned 32 bit number of an IPv4 address
+// returns:
+//   true if the address is in a subnet of one of the network interfaces
+//
+function _reachable(address) {
+  const interfaces = Object.values(networkInterfaces()).flat();
+
+  return interfaces.filter(nic => nic.family === 'IPv4').some(nic => {
+    const mask = _ipNumber(nic.netmask);
+
+    return ((_ipNumber(nic.address) ^ address) & mask) === 0;
+  });
+}
 
-  // query the API
-  const response = await fetch(url)
+// --- _WAITFORREBOOT ----------------------------------------------------------
+//
+// _waitForReboot: waits for a switch to go down and to come back again
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   timeout:  time in ms to wait for the switch
+// returns:
+//   the diagnosis of the switch after the reboot
+//
+// The switch is polled with Diagnosis. If the switch is not seen going down
+// within the first 10 seconds it is assumed that the reboot has been missed.
+async function _waitForReboot(server, username, password, timeout) {
+  const deadline = Date.now() + timeout;
+  const shutdown = Date.now() + Math.min(timeout, 10000);
 
-  const data = await response.text();
+  // wait for the switch to go down
+  let diagnosis = await Diagnosis(server, username, password);
 
-  // parse the response
-  const scrpt = extractTagContent(data, 'script', 0);
+  while (diagnosis !== 'not accessible' && Date.now() < shutdown) {
+    await sleep(250);
 
-  // parse the response
-  if (scrpt) {
-    swtch.vlan = STATES[parseInt(extractAttribute(scrpt, 'state'))];
-
-    var vlans = parseInt(extractAttribute(scrpt, 'count'));
-    var vids  = extractAttribute(scrpt, 'vids').split(',');
-    var names = extractAttribute(scrpt, 'names').split(',');
-    var tag   = extractAttribute(scrpt, 'tagMbrs').split(',');
-    var untag = extractAttribute(scrpt, 'untagMbrs').split(',');
-
-    // populate port information
-    for (var vlanIndex = 0; vlanIndex < vlans; vlanIndex++) {
-      swtch.vlans[vlanIndex] = {};
-
-      const vlan    = swtch.vlans[vlanIndex];
-      vlan.name     = stripQuotes(names[vlanIndex]);
-      vlan.id       = parseInt(vids[vlanIndex]);
-
-      // add tagged port members
-      vlan.tagged = []
-      const tagged_value = parseInt(tag[vlanIndex], 16);
-      for (let portIndex = 0; portIndex < 16; portIndex++) {
-        // Use bitwise AND to check if the bit is set 
-        const isBitSet = (tagged_value & (1 << portIndex)) !== 0;     
-        
-        if (isBitSet) {
-          vlan.tagged.push(portIndex +1)
-        }
-      }
+    diagnosis = await Diagnosis(server, username, password);
+  }
+
+  // wait for the switch to come back
+  while (diagnosis === 'not accessible' && Date.now() < deadline) {
+    await sleep(250);
+
+    diagnosis = await Diagnosis(server, username, password);
+  }
+
+  return diagnosis;
+}
+
+// --- _VERIFY -----------------------------------------------------------------
+//
+// _verify: reads the affected configuration back after a change
+//   server:   hostname or IP address of the switch
+//   model:    profile of the model (see _model)
+//   readers:  routines reading the affected configuration (e.g. _portInfo1)
+//   checks:   function returning a list of [attribute, expected, actual] for
+//             the configuration read back - checks without an expected value
+//             (undefined) are skipped
+// returns:
+//   nothing but throws a VerificationError if the switch has not applied the
+//   change
+//
+// Within a dry run nothing has been changed, hence the differences between the
+// expected and the actual configuration are recorded as the changes of the
+// plan instead (see DryRun).
+async function _verify(server, model, readers, checks) {
+  const swtch = { model: model.name, vlan: VLAN_MODES[0], ports: [], vlans: [], portVlans: [], lags: [], mirror: {}, igmp: {} };
+
+  for (const reader of readers) {
+    await reader(server, swtch)
+  }
+
+  // compare the expected with the actual configuration
+  const mismatches = checks(swtch)
+    .filter(([attribute, expected, actual]) => expected !== undefined && JSON.stringify(expected) !== JSON.stringify(actual))
+    .map(([attribute, expected, actual]) => ({ attribute: attribute, expected: expected, actual: actual }));
+
+  const plan = DRY_RUNS.getStore();
+
+  if (plan) {
+    plan.changes.push(...mismatches.map(m => ({ attribute: m.attribute, before: m.actual, after: m.expected })));
+    return;
+  }
+
+  if (mismatches.length > 0) {
+    const details = mismatches.map(m => m.attribute + ' is ' + JSON.stringify(m.actual) + ' instead of ' + JSON.stringify(m.expected));
+
+    throw new VerificationError('switch did not apply the change: ' + details.join(', '), mismatches);
+  }
+}
+
+// --- _VLANCONFIG -------------------------------------------------------------
+//
+// _vlanConfig: extracts name and members of a vlan
+//   vlan:     vlan as returned by Info (may be undefined)
+// returns:
+//   {name, tagged, untagged} or null if there is no vlan
+//
+function _vlanConfig(vlan) {
+  return vlan ? { name: vlan.name, tagged: vlan.tagged, untagged: vlan.untagged } : null;
+}
+
+// --- _PORTLIST ---------------------------------------------------------------
+//
+// _portList: normalises a port index or a list of port indices
+//   ports:    port index (1 - number of ports of the model) or list of port
+//             indices
+// returns:
+//   sorted list of port indices but throws an error for invalid ports
+//
+function _portList(ports) {
+  const portIndices = [...new Set([].concat(ports).map(port => parseInt(port)))].sort((a, b) => a - b);
+
+  if (portIndices.length === 0 || portIndices.some(port => !(1 <= port && port <= MAX_PORTS))) {
+    throw new ValidationError('invalid ports: ' + ports);
+  }
+
+  return portIndices;
+}
+
+// --- _MEMBERS ----------------------------------------------------------------
+//
+// _members: decodes a port mask
+//   mask:     port mask (bit 0 for port 1, bit 1 for port 2, ...)
+//   ports:    number of ports of the model
+// returns:
+//   sorted list of the port indices set in the mask
+//
+function _members(mask, ports) {
+  const members = [];
+
+  for (let portIndex = 0; portIndex < ports; portIndex++) {
+    if ((mask & (1 << portIndex)) !== 0) {
+      members.push(portIndex + 1)
+    }
+  }
+
+  return members;
+}
+
+// --- _PORTSELECTION ----------------------------------------------------------
+//
+// _portSelection: encodes a list of ports as query parameters
+//   ports:    list of port indices
+// returns:
+//   query parameters selecting the ports: sel_<PORT>=1&sel_<PORT>=1...
+//
+function _portSelection(ports) {
+  return ports.map(port => 'sel_' + port + '=1').join('&');
+}
+
+// --- _MANIFEST ---------------------------------------------------------------
+//
+// _manifest: parses and validates a desired state for Apply
+//   manifest: desired state as data object or as YAML string
+// returns:
+//   the normalised desired state but may throw an error
+//
+function _manifest(manifest) {
+  const regex = /^[a-zA-Z0-9-_]+$/;
+
+  // parse YAML if required
+  const data = (typeof manifest === 'string') ? load(manifest) : manifest;
+
+  if (!data || typeof data !== 'object' || !data.switch) {
+    throw new ValidationError('manifest requires a switch object');
+  }
+
+  const swtch   = data.switch;
+  const desired = {};
+
+  // check switch attributes
+  if (swtch.name !== undefined) {
+    if (typeof swtch.name !== 'string' || swtch.name.length >= 32 || !regex.test(swtch.name)) {
+      throw new ValidationError('invalid switch name: ' + swtch.name);
+    }
+    desired.name = swtch.name;
+  }
 
-      // add tagged port members
-      vlan.untagged = []
-      const untagged_value = parseInt(untag[vlanIndex], 16);
-      for (let portIndex = 0; portIndex < 16; portIndex++) {
-        // Use bitwise AND to check if the bit is set 
-        const isBitSet = (untagged_value & (1 << portIndex)) !== 0;
+  if (swtch.vlan !== undefined) {
+    if (!VLAN_MODES.includes(swtch.vlan)) {
+      throw new ValidationError('invalid vlan mode: ' + swtch.vlan);
+    }
+    desired.vlan = swtch.vlan;
+  }
+
+  // check ports
+  if (swtch.ports !== undefined) {
+    if (!Array.isArray(swtch.ports)) {
+      throw new ValidationError('ports must be a list');
+    }
 
-        if (isBitSet) {
-          vlan.untagged.push(portIndex + 1)
+    desired.ports = swtch.ports.map(p => {
+      const port = { number: parseInt(p.number) };
+
+      if (!(1 <= port.number && port.number <= MAX_PORTS)) {
+        throw new ValidationError('invalid port number: ' + p.number);
+      }
+      if (p.state !== undefined) {
+        if (!STATES.includes(p.state)) {
+          throw new ValidationError('invalid state of port ' + port.number + ': ' + p.state);
+        }
+        port.state = p.state;
+      }
+      if (p.speedConfig !== undefined) {
+        if (!SPEED2VALUE[p.speedConfig] || p.speedConfig === '') {
+          throw new ValidationError('invalid speed of port ' + port.number + ': ' + p.speedConfig);
         }
+        port.speedConfig = p.speedConfig;
       }
+      return port;
+    });
+  }
+
+  // check vlans
+  if (swtch.vlans !== undefined) {
+    if (!Array.isArray(swtch.vlans)) {
+      throw new ValidationError('vlans must be a list');
     }
+
+    desired.vlans = swtch.vlans.map(v => {
+      const vlan = {
+        name:   v.name,
+        id:     parseInt(v.id)
+      };
+
+      if (!(1 <= vlan.id && vlan.id <= MAX_VLAN)) {
+        throw new ValidationError('invalid vlan id: ' + v.id);
+      }
+      if (vlan.id !== 1 && (typeof vlan.name !== 'string' || !regex.test(vlan.name))) {
+        throw new ValidationError('invalid name of vlan ' + vlan.id + ': ' + v.name);
+      }
+
+      // check members
+      let membership;
+
+      try {
+        membership = _membership({ tagged: v.tagged || [], untagged: v.untagged || [] });
+      } catch (error) {
+        throw new ValidationError('invalid members of vlan ' + vlan.id + ': ' + error.message);
+      }
+
+      if (!membership) {
+        throw new ValidationError('invalid members of vlan ' + vlan.id);
+      }
+      if (vlan.id !== 1 && membership.tagged.length + membership.untagged.length === 0) {
+        throw new ValidationError('vlan ' + vlan.id + ' requires at least one member port');
+      }
+
+      vlan.tagged   = membership.tagged;
+      vlan.untagged = membership.untagged;
+      return vlan;
+    });
   }
+
+  return { switch: desired };
 }
 
-// --- EXTRACTTAGCONTENT -------------------------------------------------------
+// --- _MEMBERSHIP -------------------------------------------------------------
 //
-// extractTagContent: extracts content between two html tags (n-th occurence)
-//   txt:   text to parse
-//   tag:   tag identifier
-//   n:     index of occurence
+// _membership: normalises the port members of a vlan
+//   members:  {tagged: [...], untagged: [...]} or list of tagged ports
 // returns:
-//   extracted content but may throw an error
+//   {tagged: [...], untagged: [...]} with sorted port lists or
+//   null if the members are not given as list or object
+//   but throws an error for invalid or conflicting ports
 //
-function extractTagContent(txt, tag, n) {
-  // construct regular expression
-  const openTag    = '<' + tag + '>' 
-  const content    = '([\\s\\S]*?)'
-  const closeTag   = '<\\/' + tag + '>'
-  const expression = openTag + content + closeTag
-  const regex      = new RegExp(expression, 'gi')
+function _membership(members) {
+  let tagged   = members;
+  let untagged = [];
 
-  // match regular expression
-  const matches = txt.match(regex)
+  if (members && !Array.isArray(members) && typeof members === 'object') {
+    tagged   = members.tagged   || [];
+    untagged = members.untagged || [];
+  }
+
+  if (!Array.isArray(tagged) || !Array.isArray(untagged)) {
+    return null;
+  }
+
+  // normalise port lists
+  const normalise = ports => [...new Set(ports.map(port => parseInt(port)))].sort((a, b) => a - b);
 
-  // check if a match was found
-  if (!matches || matches.length <= n) {
-    return null
+  tagged   = normalise(tagged);
+  untagged = normalise(untagged);
+
+  // check ports
+  const invalid   = tagged.concat(untagged).filter(port => !(1 <= port && port <= MAX_PORTS));
+  const conflicts = tagged.filter(port => untagged.includes(port));
+
+  if (invalid.length > 0) {
+    throw new ValidationError('invalid ports: ' + invalid);
+  }
+  if (conflicts.length > 0) {
+    throw new ValidationError('ports ' + conflicts + ' can not be tagged and untagged at the same time');
   }
 
-  // strip tags
-  const result = matches[n].substr(openTag.length).slice(0, -closeTag.length);
-  return result
+  return { tagged: tagged, untagged: untagged };
 }
 
-// --- EXTRACTVARIABLE ---------------------------------------------------------
+// --- _PLAN -------------------------------------------------------------------
 //
-// extractVariable: extracts value for a variable as string
-//   txt:      text to parse
-//   variable: variable name
+// _plan: determines the changes required to converge to a desired state
+//   current:  current switch object (as returned by Info)
+//   desired:  desired switch object (as returned by _manifest)
 // returns:
-//   extracted value but may throw an error
+//   list of changes: {type, id, before, after} where before is null for
+//   items to be created and after is null for items to be deleted
 //
-function extractVariable(txt, variable) {
-  // construct regular expression
-  const varStart   = variable + '\\s*='
-  const content    = '([\\s\\S]*?)'
-  const varEnd     = ';'
-  const expression = varStart + content + varEnd
-  const regex      = new RegExp(expression)
+function _plan(current, desired) {
+  const changes = [];
+
+  // compare switch attributes
+  const before = {};
+  const after  = {};
+
+  for (const attribute of ['name', 'vlan']) {
+    if (desired[attribute] !== undefined && desired[attribute] !== current[attribute]) {
+      before[attribute] = current[attribute];
+      after[attribute]  = desired[attribute];
+    }
+  }
+
+  if (Object.keys(after).length > 0) {
+    changes.push({ type: 'switch', id: current.name, before: before, after: after });
+  }
+
+  // compare ports
+  for (const port of desired.ports || []) {
+    const actual = current.ports.find(p => p.number === port.number);
+    const before = {};
+    const after  = {};
+
+    for (const attribute of ['state', 'speedConfig']) {
+      if (port[attribute] !== undefined && port[attribute] !== actual[attribute]) {
+        before[attribute] = actual[attribute];
+        after[attribute]  = port[attribute];
+      }
+    }
+
+    if (Object.keys(after).length > 0) {
+      changes.push({ type: 'port', id: port.number, before: before, after: after });
+    }
+  }
+
+  // compare vlans
+  if (desired.vlans) {
+    // delete vlans which are no longer required
+    for (const vlan of current.vlans) {
+      if (vlan.id !== 1 && !desired.vlans.some(v => v.id === vlan.id)) {
+        changes.push({
+          type:   'vlan',
+          id:     vlan.id,
+          before: { name: vlan.name, tagged: vlan.tagged, untagged: vlan.untagged },
+          after:  null
+        });
+      }
+    }
+
+    // create or modify vlans
+    for (const vlan of desired.vlans) {
+      const actual = current.vlans.find(v => v.id === vlan.id);
 
-  // match regular expression
-  const match = txt.match(regex)
+      if (vlan.id === 1) {
+        continue;
+      }
 
-  // check if a match was found
-  if (!match) {
-    return null
+      if (!actual) {
+        changes.push({
+          type:   'vlan',
+          id:     vlan.id,
+          before: null,
+          after:  { name: vlan.name, tagged: vlan.tagged, untagged: vlan.untagged }
+        });
+      } else if (actual.name !== vlan.name ||
+                 actual.tagged.join(',') !== vlan.tagged.join(',') ||
+                 actual.untagged.join(',') !== vlan.untagged.join(',')) {
+        changes.push({
+          type:   'vlan',
+          id:     vlan.id,
+          before: { name: actual.name, tagged: actual.tagged, untagged: actual.untagged },
+          after:  { name: vlan.name, tagged: vlan.tagged, untagged: vlan.untagged }
+        });
+      }
+    }
   }
 
-  // trim
-  const result = match[1].trim()
-  return result
+  return changes;
 }
 
-// --- EXTRACTATTRIBUTE --------------------------------------------------------
+// --- _ROLLBACK ---------------------------------------------------------------
 //
-// extractAttribute: extracts value for a simple attribute as string
-//   txt:       text to parse
-//   attribute: attribute name
+// _rollback: determines the steps restoring a previous configuration
+//   current:  current switch object (as returned by Info)
+//   target:   previous switch object (as recorded by Journal)
 // returns:
-//   extracted value but may throw an error
+//   list of steps in the order of execution: {routine, args, changes} with
+//   the setter, its arguments without the connection parameters and the
+//   changes of the attributes ({attribute, before, after})
+//
+// LAGs which differ are dissolved first and set last since their member ports
+// have to share the same settings. VLANs are restored before the PVIDs which
+// refer to them. Ports with the same settings are set together.
 //
-function extractAttribute(txt, attribute) {
-  // construct regular expression
-  const aString    = "'([^']*)'";
-  const aBoolean   = '\\b(true|false)\\b';
-  const aNumber    = '\\b(\\d+\\.?\\d?)?\\b';
-  const aList      = '\\[([^\\]]*)\\]';
-  const aDict      = '\\{([^}]*)\\}';
-  const expression = attribute + '\\s*:\\s*' + '(?:' + aString + '|' + aBoolean + '|' + aNumber + '|' + aList + '|' + aDict + ')';
-  const regex      = new RegExp(expression)
+function _rollback(current, target) {
+  const steps   = [];
+  const differs = (before, after) => JSON.stringify(before) !== JSON.stringify(after);
+  const actual  = port => current.ports[port.number - 1];
+  const ports   = target.ports.filter(port => port.number <= current.ports.length);
+  const members = (swtch, lag) => swtch.ports.filter(port => port.lag === lag).map(port => port.number);
+  const lags    = Array.from({ length: MODELS[current.model].lags }, (_, index) => index + 1);
+
+  // adds a step if any of the attributes differ
+  const step = (routine, args, changes) => {
+    changes = changes.filter(change => differs(change.before, change.after));
+
+    if (changes.length > 0) {
+      steps.push({ routine: routine, args: args, changes: changes });
+    }
+  };
+
+  // adds a step per group of ports with the same settings
+  const portSteps = (routine, settings, changes) => {
+    const groups = new Map();
+
+    for (const port of ports.filter(port => changes(port).some(change => differs(change.before, change.after)))) {
+      const key = JSON.stringify(settings(port));
+
+      groups.set(key, (groups.get(key) || []).concat([port]));
+    }
+
+    for (const group of groups.values()) {
+      step(routine, [group.map(port => port.number), ...settings(group[0])], group.flatMap(changes));
+    }
+  };
+
+  // dissolve the lags which differ
+  for (const lag of lags) {
+    const before = members(current, lag);
+    const after  = members(target, lag);
+
+    if (before.length > 0 && differs(before, after)) {
+      steps.push({ routine: SetLAG, args: [lag, []], changes: after.length > 0 ? [] : [{ attribute: 'members of lag ' + lag, before: before, after: [] }] });
+    }
+  }
+
+  // switch attributes
+  step(SetSwitch, [target.name !== current.name ? target.name : undefined, target.vlan !== current.vlan ? target.vlan : undefined], [
+    { attribute: 'name',      before: current.name, after: target.name },
+    { attribute: 'vlan mode', before: current.vlan, after: target.vlan }
+  ]);
+
+  // state and speed of the ports
+  for (const port of ports) {
+    step(SetPort, [port.number, STATES.indexOf(port.state), port.speedConfig], [
+      { attribute: 'state of port ' + port.number, before: actual(port).state,       after: port.state },
+      { attribute: 'speed of port ' + port.number, before: actual(port).speedConfig, after: port.speedConfig }
+    ]);
+  }
+
+  // 802.1Q vlans
+  for (const vlan of current.vlans.filter(v => v.id !== 1 && !target.vlans.some(t => t.id === v.id))) {
+    step(SetVLAN, [vlan.id, vlan.name, []], [{ attribute: 'vlan ' + vlan.id, before: _vlanConfig(vlan), after: null }]);
+  }
+
+  for (const vlan of target.vlans.filter(v => v.id !== 1)) {
+    step(SetVLAN, [vlan.id, vlan.name, { tagged: vlan.tagged, untagged: vlan.untagged }], [
+      { attribute: 'vlan ' + vlan.id, before: _vlanConfig(current.vlans.find(v => v.id === vlan.id)), after: _vlanConfig(vlan) }
+    ]);
+  }
+
+  portSteps(SetPVID, port => [port.pvid], port => [
+    { attribute: 'pvid of port ' + port.number, before: actual(port).pvid, after: port.pvid }
+  ]);
+
+  // port-based vlans
+  for (const vlan of current.portVlans.filter(v => v.id !== 1 && !target.portVlans.some(t => t.id === v.id))) {
+    step(SetPortVLAN, [vlan.id, []], [{ attribute: 'members of port-based vlan ' + vlan.id, before: vlan.members, after: null }]);
+  }
 
-  // match regular expression
-  const match = txt.match(regex)
+  for (const vlan of target.portVlans) {
+    const before = current.portVlans.find(v => v.id === vlan.id);
 
-  // check if a match was found
-  if (!match) {
-    return null
+    step(SetPortVLAN, [vlan.id, vlan.members], [
+      { attribute: 'members of port-based vlan ' + vlan.id, before: before ? before.members : null, after: vlan.members }
+    ]);
   }
 
-  // trim
-  for (let i = 1; i <= 5; i++) {
-    if (match[i]) {
-      let value = match[i].trim()
-      if (i != 4 && i != 5) {
-        value = stripQuotes(value)
+  // port mirroring - destination and sources only matter if it is enabled
+  const mirror  = target.mirror;
+  const enabled = mirror.state === STATES[1];
+
+  if (mirror.state !== current.mirror.state || (enabled && differs([mirror.destination, mirror.sources], [current.mirror.destination, current.mirror.sources]))) {
+    step(SetMirror, enabled ? [1, mirror.destination, mirror.sources] : [0], [{ attribute: 'mirroring', before: current.mirror, after: mirror }]);
+  }
+
+  // QoS
+  step(SetQoS, [target.qos], [{ attribute: 'QoS mode', before: current.qos, after: target.qos }]);
+
+  portSteps(SetPortPriority, port => [port.priority], port => [
+    { attribute: 'priority of port ' + port.number, before: actual(port).priority, after: port.priority }
+  ]);
+
+  portSteps(SetBandwidth, port => [port.ingressRate, port.egressRate], port => [
+    { attribute: 'ingress rate of port ' + port.number, before: actual(port).ingressRate, after: port.ingressRate },
+    { attribute: 'egress rate of port ' + port.number,  before: actual(port).egressRate,  after: port.egressRate }
+  ]);
+
+  portSteps(SetStormControl, port => [port.stormRate, port.stormTypes], port => [
+    { attribute: 'storm rate of port ' + port.number,  before: actual(port).stormRate,  after: port.stormRate },
+    { attribute: 'storm types of port ' + port.number, before: actual(port).stormTypes, after: port.stormTypes }
+  ]);
+
+  // IGMP snooping
+  step(SetIGMP, [STATES.indexOf(target.igmp.state), STATES.indexOf(target.igmp.reportSuppression)], [
+    { attribute: 'IGMP snooping',              before: current.igmp.state,             after: target.igmp.state },
+    { attribute: 'report message suppression', before: current.igmp.reportSuppression, after: target.igmp.reportSuppression }
+  ]);
+
+  // set the lags which differ
+  for (const lag of lags) {
+    const after = members(target, lag);
+
+    if (after.length > 0) {
+      step(SetLAG, [lag, after], [{ attribute: 'members of lag ' + lag, before: members(current, lag), after: after }]);
+    }
+  }
+
+  return steps;
+}
+
+// --- _READPAGE ---------------------------------------------------------------
+//
+// _readPage: reads a page of the Web-UI and parses the data of its scripts
+//   server:   hostname or IP address of the switch
+//   path:     path of the page
+// returns:
+//   page object: {path, variables} - see _parsePage
+//   but may throw an error
+//
+async function _readPage(server, path) {
+  const response = await _fetch(_url(server, path));
+
+  const data = await response.text();
+
+  return _parsePage(data, path);
+}
+
+// --- _PARSEPAGE --------------------------------------------------------------
+//
+// _parsePage: parses the variables declared in the scripts of a page
+//   html:     text of the page
+//   path:     path of the page (for error messages)
+// returns:
+//   page object:
+//     path:      path of the page
+//     variables: values of the variables keyed by name
+//   but may throw a ParseError
+//
+// The pages embed their data as JavaScript literals, e.g.:
+//     <script type="text/javascript">
+//     var max_port_num = 8;
+//     var all_info = {
+//       state: [1, 1, 1, 1, 1, 1, 1, 1, 0, 0],
+//       ...
+//     };
+//     var logonInfo = new Array(0, 0, 0);
+//     function doSubmit() { ... }
+//     </script>
+//
+// Only the top level declarations (var, let and const) of all scripts are
+// evaluated: objects, arrays (also new Array(...)), single and double quoted
+// strings, decimal and hexadecimal numbers, booleans and null. Declarations
+// with any other value (e.g. expressions) are ignored, as is any other code.
+function _parsePage(html, path) {
+  const variables = {};
+  const scripts   = html.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script\s*>/gi);
+
+  for (const match of scripts) {
+    const start  = match.index + match[0].indexOf('>') + 1;
+    const tokens = _tokenize(match[1], path, html.slice(0, start).split('\n').length);
+
+    let depth = 0;
+
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+
+      if (token.type === 'punctuator') {
+        depth += '{[('.includes(token.value) ? 1 : ')]}'.includes(token.value) ? -1 : 0;
+      }
+
+      if (depth !== 0 || token.type !== 'name' || !['var', 'let', 'const'].includes(token.value)) {
+        continue;
+      }
+
+      // declarations: NAME [= VALUE] [, NAME [= VALUE] ...]
+      while (tokens[index + 1] && tokens[index + 1].type === 'name') {
+        const name = tokens[index + 1].value;
+
+        index += 2;
+
+        if (_isToken(tokens[index], '=')) {
+          const literal = _literal(tokens, index + 1, path, name);
+          const next    = literal && tokens[literal.index];
+
+          // a literal has to end the declaration
+          if (literal && (!next || next.newline || _isToken(next, ';') || _isToken(next, ','))) {
+            variables[name] = literal.value;
+            index           = literal.index;
+          } else {
+            break;
+          }
+        }
+
+        if (!_isToken(tokens[index], ',')) {
+          index--;
+          break;
+        }
       }
-      return value
     }
   }
-  return null
+
+  return { path: path, variables: variables };
+}
+
+// --- _TOKENIZE ---------------------------------------------------------------
+//
+// _tokenize: splits a script into tokens
+//   scrpt:    text of the script
+//   path:     path of the page (for error messages)
+//   line:     line number of the script within the page (default: 1)
+// returns:
+//   list of tokens: {type, value, line, newline} - type is one of name,
+//   number, string, regex or punctuator and newline is true if the token is
+//   the first one of a line - but may throw a ParseError
+//
+// Whitespace and comments are skipped.
+function _tokenize(scrpt, path, line = 1) {
+  const tokens = [];
+
+  let position = 0;
+  let newline  = true;
+
+  const fail = message => {
+    throw new ParseError('page ' + path + ': ' + message + ' in line ' + line, path, null);
+  };
+
+  // text matching a sticky regular expression at the current position
+  const scan = regex => {
+    regex.lastIndex = position;
+
+    const match = regex.exec(scrpt);
+
+    return match ? match[0] : null;
+  };
+
+  while (position < scrpt.length) {
+    const c        = scrpt[position];
+    const previous = tokens[tokens.length - 1];
+
+    // a slash after an operator or keyword starts a regular expression
+    const regex = !previous || (previous.type === 'punctuator' && !')]}'.includes(previous.value)) ||
+                  (previous.type === 'name' && REGEX_KEYWORDS.includes(previous.value));
+
+    let text;
+    let token = null;
+
+    if ((text = scan(/\s+/y))) {
+      // whitespace
+    } else if (scan(/\/\/|<!--/y) || (newline && scan(/-->/y))) {
+      text = scan(/.*/y);
+    } else if (scan(/\/\*/y)) {
+      text = scan(/\/\*[\s\S]*?\*\//y) || fail('unterminated comment');
+    } else if (c === '/' && regex) {
+      text  = scan(/\/(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[a-z]*/y) || fail('unterminated regular expression');
+      token = { type: 'regex', value: text };
+    } else if ((text = scan(/[A-Za-z_$][\w$]*/y))) {
+      token = { type: 'name', value: text };
+    } else if ((text = scan(/0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y))) {
+      token = { type: 'number', value: Number(text) };
+    } else if (STRINGS[c]) {
+      text  = scan(STRINGS[c]) || fail('unterminated string');
+      token = { type: 'string', value: _unescape(text.slice(1, -1)) };
+    } else {
+      text  = c;
+      token = { type: 'punctuator', value: c };
+    }
+
+    if (token) {
+      tokens.push({ ...token, line: line, newline: newline });
+      newline = false;
+    }
+
+    // keep track of the lines
+    const breaks = text.split('\n').length - 1;
+
+    line     += breaks;
+    newline   = newline || breaks > 0;
+    position += text.length;
+  }
+
+  return tokens;
+}
+
+// --- _UNESCAPE ---------------------------------------------------------------
+//
+// _unescape: replaces the escape sequences of a string
+//   txt:      content of the string without quotes
+// returns:
+//   the unescaped string
+//
+function _unescape(txt) {
+  const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+  return txt.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|\r?\n|[\s\S])/g, (sequence, code) => {
+    if (/^[xu]/.test(code) && code.length > 1) {
+      return String.fromCharCode(parseInt(code.slice(1), 16));
+    }
+    if (/^\r?\n$/.test(code)) {
+      return '';
+    }
+    return ESCAPES[code] === undefined ? code : ESCAPES[code];
+  });
 }
 
-// --- STRIPQUOTES -------------------------------------------------------------
+// --- _LITERAL ----------------------------------------------------------------
 //
-// stripQuotes: removes matching quotes at the begin and end of a string
-//   txt:       text to trim
+// _literal: parses a literal value
+//   tokens:   list of tokens
+//   index:    index of the first token of the literal
+//   path:     path of the page (for error messages)
+//   name:     name of the variable (for error messages)
 // returns:
-//   trimmed string but may throw an error
+//   {value, index} - index is the index of the token after the literal - or
+//   null if the tokens do not start a literal, but throws a ParseError if
+//   the literal is malformed
 //
-function stripQuotes(txt) {
-  // replace double quotes
-  if ( txt.startsWith('"') && txt.endsWith('"') ) {
-    let value = txt;
+function _literal(tokens, index, path, name) {
+  const token = tokens[index];
+
+  const fail = (message, at) => {
+    const where = tokens[at] ? ' in line ' + tokens[at].line : ' at the end of the script';
+
+    throw new ParseError('page ' + path + ': field ' + name + ': ' + message + where, path, name);
+  };
+
+  // the value of a list element or object property has to be a literal
+  const value = at => {
+    const element = _literal(tokens, at, path, name);
+
+    if (!element) {
+      fail('unexpected ' + (tokens[at] ? "'" + tokens[at].value + "'" : 'end'), at);
+    }
+
+    return element;
+  };
+
+  // comma separated elements until a closing punctuator
+  const elements = (at, close, element) => {
+    while (!_isToken(tokens[at], close)) {
+      at = element(at);
+
+      if (_isToken(tokens[at], ',')) {
+        at++;
+      } else if (!_isToken(tokens[at], close)) {
+        fail("expected ',' or '" + close + "'", at);
+      }
+    }
+
+    return at + 1;
+  };
 
-    value = value.replace(/^"/, '');
-    value = value.replace(/"$/, '');
+  if (!token) {
+    return null;
+  }
+
+  if (token.type === 'number' || token.type === 'string') {
+    return { value: token.value, index: index + 1 };
+  }
+
+  if (_isToken(token, '-') && tokens[index + 1] && tokens[index + 1].type === 'number') {
+    return { value: -tokens[index + 1].value, index: index + 2 };
+  }
+
+  if (token.type === 'name' && ['true', 'false', 'null'].includes(token.value)) {
+    return { value: JSON.parse(token.value), index: index + 1 };
+  }
+
+  // arrays: [a, b, ...] or new Array(a, b, ...)
+  const array = _isToken(token, '[') ? ']' :
+                (_isToken(token, 'new') && _isToken(tokens[index + 1], 'Array') && _isToken(tokens[index + 2], '(')) ? ')' : null;
 
-    return value;
+  if (array) {
+    const list = [];
+    const end  = elements(index + (array === ']' ? 1 : 3), array, at => {
+      const element = value(at);
+
+      list.push(element.value);
+
+      return element.index;
+    });
+
+    return { value: list, index: end };
   }
 
-  // replace single quotes
-  if (txt.startsWith('\'') && txt.endsWith('\'')) {
-    let value = txt;
+  // objects: {key: value, ...}
+  if (_isToken(token, '{')) {
+    const object = {};
+    const end    = elements(index + 1, '}', at => {
+      const key = tokens[at];
+
+      if (!key || key.type === 'punctuator') {
+        fail('expected a property name', at);
+      }
+      if (!_isToken(tokens[at + 1], ':')) {
+        fail("expected ':' after property " + key.value, at + 1);
+      }
+
+      const property = value(at + 2);
 
-    value = value.replace(/^'/, '');
-    value = value.replace(/'$/, '');
+      object[key.value] = property.value;
 
-    return value;
+      return property.index;
+    });
+
+    return { value: object, index: end };
   }
 
-  return txt;
+  return null;
 }
 
-// --- TEST --------------------------------------------------------------------
-// 
-// test routine
+// --- _ISTOKEN ----------------------------------------------------------------
+//
+// _isToken: checks whether a token is a punctuator or name
+//   token:    token (may be undefined)
+//   value:    expected punctuator or name
+// returns:
+//   true if the token matches
+//
+function _isToken(token, value) {
+  return !!token && (token.type === 'punctuator' || token.type === 'name') && token.value === value;
+}
+
+// --- _FIELD ------------------------------------------------------------------
 //
-(async () => {
-  // setup parameters
-  const SWITCH   = '192.168.178.101';    // ip address of switch
-  const USERNAME = 'admin';              // default switch username
-  const PASSWORD = 'admin';              // default switch password
+// _field: reads a field of a page and checks its type
+//   page:     page object as returned by _parsePage
+//   field:    name of the variable - for properties of objects the names of
+//             the variable and the property separated by a dot (e.g.
+//             qvlan_ds.vids)
+//   type:     expected type: number, string, numbers or strings (lists)
+// returns:
+//   the value but throws a ParseError if the field is missing or has
+//   another type
+//
+// Single numbers and strings may be wrapped in a list (e.g. descriStr: ["x"]).
+function _field(page, field, type) {
+  let value = field.split('.').reduce((object, key) => (object && typeof object === 'object') ? object[key] : undefined, page.variables);
+
+  const fail = message => {
+    throw new ParseError('page ' + page.path + ': field ' + field + ' ' + message, page.path, field);
+  };
+
+  if (value === undefined) {
+    fail('is missing');
+  }
 
-  // check connectivity and credentials
-  const status = await Diagnosis(SWITCH, USERNAME, PASSWORD);
-  console.log("Diagnosis: " + status);
+  // unwrap single values
+  if ((type === 'number' || type === 'string') && Array.isArray(value) && value.length === 1) {
+    value = value[0];
+  }
 
-  // set switch name and turn on VLANs
-  await SetSwitch( SWITCH, USERNAME, PASSWORD, 'Switch-007', 1);
+  const scalar = type.replace(/s$/, '');
+  const valid  = item => typeof item === scalar && (scalar !== 'number' || Number.isFinite(item));
 
-  // set port state and speed
-  await SetPort( SWITCH, USERNAME, PASSWORD, 4, 0, '100MH');
+  if (type.endsWith('s') ? !(Array.isArray(value) && value.every(valid)) : !valid(value)) {
+    fail('is not ' + { number: 'a number', string: 'a string', numbers: 'a list of numbers', strings: 'a list of strings' }[type]);
+  }
 
-  // set VLAN 3 with members 2,4,6,8
-  await SetVLAN( SWITCH, USERNAME, PASSWORD, 3, 'alpha', [2,4,6,8]);
-  
-  // get switch, port and vlan configuration and status
-  const data = await Info(SWITCH, USERNAME, PASSWORD);
+  return value;
+}
 
-  console.log(dump(data));
+// --- EXPORTS -----------------------------------------------------------------
 
-  // delete VLAN 3 by defining no members
-  await SetVLAN( SWITCH, USERNAME, PASSWORD, 3, []);
-})();
+export { Diagnosis, Info, SetSwitch, SetPort, SetVLAN, SetPVID, SetPortVLAN, SetLAG, SetMirror, SetQoS, SetPortPriority, SetBandwidth, SetStormControl, SetIGMP, ClearCounters, SetIP, Backup, Restore, SetPassword, Reboot, FactoryReset, Apply, Rollback, DryRun, Journal, SwitchClient, MODELS,
+         SwitchError, ValidationError, UnreachableError, UnauthorizedError, RejectedError, VerificationError, ParseError, UnsupportedError };
 
 // -----------------------------------------------------------------------------
@@ -0,0 +1,399 @@
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { createHash, timingSafeEqual } from 'crypto';
+import { load } from 'js-yaml';
+
+import { SwitchClient, Journal, SwitchError, ValidationError } from '../index.js';
+
+// -----------------------------------------------------------------------------
+//
+// api: HTTP JSON service for TP Link SG108E switches
+//
+// Serves the switches of an inventory (see fleet.js) as resources which are
+// mapped onto the routines of the library:
+//
+// GET    /switches                      list of the switches
+// GET    /switches/{id}                 Info
+// GET    /switches/{id}/ports           ports of Info
+// GET    /switches/{id}/ports/{n}       port of Info
+// PUT    /switches/{id}/ports/{n}       SetPort: {state: Enabled, speed: Auto}
+// GET    /switches/{id}/vlans           vlans of Info
+// GET    /switches/{id}/vlans/{vid}     vlan of Info
+// PUT    /switches/{id}/vlans/{vid}     SetVLAN: {name, tagged: [], untagged: []}
+// DELETE /switches/{id}/vlans/{vid}     SetVLAN with empty members
+// GET    /openapi.json                  OpenAPI description (see openapi.yaml)
+//
+// The switches are identified by their names in the inventory. Callers have
+// to present one of the configured tokens as bearer token, e.g.:
+//     Authorization: Bearer 3f6a...
+//
+// Each request to a switch runs in its own session of the Web-UI and the
+// requests to the same switch are queued, so that the sessions never
+// interleave. With a journal the requests modifying a switch are recorded as
+// journal entries (see Journal). Failures are reported as {error, message}
+// with the status:
+//   400: invalid request or parameters (ValidationError)
+//   401: missing or invalid token
+//   404: unknown switch, port, vlan or path
+//   405: method not supported by the resource
+//   502: the switch has failed (any other SwitchError)
+//
+// --- CONSTANTS ---------------------------------------------------------------
+
+const DEFAULT_PORT = 8108;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY     = 65536;
+const PORT_STATES  = { Disabled: 0, Enabled: 1 };
+
+// resources: handlers per method receiving the client of the switch, the
+// number of the port or vlan and the request body (undefined result: 204)
+const RESOURCES = {
+  'switch': {
+    GET: client => client.info()
+  },
+  'ports': {
+    GET: async client => (await client.info()).switch.ports
+  },
+  'port': {
+    GET: async (client, number) => _find((await client.info()).switch.ports, 'number', number, 'port'),
+    PUT: async (client, number, body) => {
+      if (PORT_STATES[body.state] === undefined || body.speed === undefined) {
+        throw new ValidationError('port requires state (Enabled or Disabled) and speed');
+      }
+
+      await client.setPort(number, PORT_STATES[body.state], body.speed);
+    }
+  },
+  'vlans': {
+    GET: async client => (await client.info()).switch.vlans
+  },
+  'vlan': {
+    GET: async (client, number) => _find((await client.info()).switch.vlans, 'id', number, 'vlan'),
+    PUT: async (client, number, body) => {
+      const members = { tagged: body.tagged || [], untagged: body.untagged || [] };
+
+      if (!Array.isArray(members.tagged) || !Array.isArray(members.untagged)) {
+        throw new ValidationError('tagged and untagged must be lists of ports');
+      }
+      if (members.tagged.length + members.untagged.length === 0) {
+        throw new ValidationError('vlan requires tagged and/or untagged ports');
+      }
+
+      await client.setVLAN(number, body.name, members);
+    },
+    DELETE: async (client, number) => {
+      await client.setVLAN(number, undefined, []);
+    }
+  }
+};
+
+// --- REQUESTERROR ------------------------------------------------------------
+//
+// RequestError: signals invalid requests with their HTTP status
+//
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'RequestError';
+    this.status = status;
+  }
+}
+
+// --- STARTAPI ----------------------------------------------------------------
+//
+// startApi: starts the HTTP JSON service
+//   targets:  list of switches as returned by loadInventory (see fleet.js)
+//   options:  settings:
+//     tokens: list of tokens accepted from callers (required)
+//     port:   port to listen on (default: 8108 - 0: any free port)
+//     host:   address to listen on (default: 127.0.0.1)
+//     journal: settings of the journal (see Journal - default: no journal)
+// returns:
+//   api object:
+//     address: the address of the service (e.g. 127.0.0.1:8108)
+//     close:   function to stop the service
+//
+async function startApi(targets, options = {}) {
+  const tokens = (options.tokens || []).filter(token => token);
+
+  if (tokens.length === 0) {
+    throw new Error('api requires at least one token');
+  }
+
+  const description = load(await readFile(new URL('./openapi.yaml', import.meta.url), 'utf8'));
+  const switches    = new Map(targets.map(target => [target.name, { target: target, queue: Promise.resolve() }]));
+
+  const server = createServer(async (request, response) => {
+    try {
+      const { status, body } = await _handle(request, switches, tokens, description, options.journal);
+
+      _send(response, status, body);
+    } catch (error) {
+      _send(response, _status(error), { error: error.name, message: error.message });
+    }
+  });
+
+  const port = options.port === undefined ? DEFAULT_PORT : options.port;
+  const host = options.host || DEFAULT_HOST;
+
+  await new Promise(resolve => server.listen(port, host, resolve));
+
+  return {
+    address: host + ':' + server.address().port,
+    close:   () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// --- _HANDLE -----------------------------------------------------------------
+//
+// _handle: handles a request
+//   request:     the HTTP request
+//   switches:    map of the switches and their queues keyed by name
+//   tokens:      list of accepted tokens
+//   description: OpenAPI description
+//   journal:     settings of the journal (optional)
+// returns:
+//   {status, body} but may throw an error
+//
+async function _handle(request, switches, tokens, description, journal) {
+  const path = new URL(request.url, 'http://localhost').pathname;
+
+  // the description is public
+  if (path === '/openapi.json') {
+    _allow(request, { GET: true });
+
+    return { status: 200, body: description };
+  }
+
+  _authorize(request, tokens);
+
+  // determine resource
+  const parts = _parts(path);
+
+  if (parts[0] !== 'switches' || parts.length > 4) {
+    throw new RequestError(404, 'unknown path: ' + path);
+  }
+
+  if (parts.length === 1) {
+    _allow(request, { GET: true });
+
+    return { status: 200, body: [...switches.values()].map(({ target }) => ({ id: target.name, server: target.server, groups: target.groups })) };
+  }
+
+  const entry = switches.get(parts[1]);
+
+  if (!entry) {
+    throw new RequestError(404, 'unknown switch: ' + parts[1]);
+  }
+
+  const resource = _resource(parts);
+  const number   = parts[3] === undefined ? undefined : Number(parts[3]);
+
+  if (!resource || (parts[3] !== undefined && !/^\d+$/.test(parts[3]))) {
+    throw new RequestError(404, 'unknown path: ' + path);
+  }
+
+  const handler = _allow(request, RESOURCES[resource]);
+  const body    = request.method === 'PUT' ? await _body(request) : undefined;
+
+  // requests to the same switch are executed one after the other
+  const result = entry.queue.then(async () => {
+    const client = new SwitchClient(entry.target.server, entry.target.username, entry.target.password);
+    const run    = async () => {
+      try {
+        return await handler(client, number, body);
+      } finally {
+        await client.close();
+      }
+    };
+
+    // the changes are recorded as operation of the request
+    if (journal && request.method !== 'GET') {
+      return await Journal({ ...journal, operation: request.method + ' ' + path }, run);
+    }
+
+    return await run();
+  });
+
+  entry.queue = result.catch(() => {});
+
+  const data = await result;
+
+  return data === undefined ? { status: 204 } : { status: 200, body: data };
+}
+
+// --- _PARTS ------------------------------------------------------------------
+//
+// _parts: splits a path into its decoded parts
+//   path:     path of the request
+// returns:
+//   the parts but throws an error for malformed escapes (e.g. /switches/%E0)
+//
+function _parts(path) {
+  try {
+    return path.split('/').filter(part => part).map(decodeURIComponent);
+  } catch (error) {
+    throw new RequestError(400, 'invalid path: ' + path);
+  }
+}
+
+// --- _RESOURCE ---------------------------------------------------------------
+//
+// _resource: determines the resource of a path
+//   parts:    parts of the path: switches, id and optionally ports/vlans and
+//             the number of the port/vlan
+// returns:
+//   the name of the resource or undefined for unknown paths
+//
+function _resource(parts) {
+  if (parts.length === 2) {
+    return 'switch';
+  }
+  if (!['ports', 'vlans'].includes(parts[2])) {
+    return undefined;
+  }
+
+  return parts.length === 3 ? parts[2] : parts[2].slice(0, -1);
+}
+
+// --- _ALLOW ------------------------------------------------------------------
+//
+// _allow: checks the method of a request
+//   request:  the HTTP request
+//   handlers: handlers of the resource keyed by method
+// returns:
+//   the handler of the method but throws an error if it is not supported
+//
+function _allow(request, handlers) {
+  if (!handlers[request.method]) {
+    throw new RequestError(405, 'method not allowed: ' + request.method + ' (allowed: ' + Object.keys(handlers).join(', ') + ')');
+  }
+
+  return handlers[request.method];
+}
+
+// --- _AUTHORIZE --------------------------------------------------------------
+//
+// _authorize: checks the bearer token of a request
+//   request:  the HTTP request
+//   tokens:   list of accepted tokens
+// returns:
+//   nothing but throws an error if the token is missing or not valid
+//
+function _authorize(request, tokens) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || '');
+
+  // compare digests in constant time
+  const digest = text => createHash('sha256').update(text).digest();
+
+  if (!match || !tokens.some(token => timingSafeEqual(digest(token), digest(match[1])))) {
+    throw new RequestError(401, 'missing or invalid token');
+  }
+}
+
+// --- _BODY -------------------------------------------------------------------
+//
+// _body: reads the JSON body of a request
+//   request:  the HTTP request
+// returns:
+//   the parsed body (an object) but throws an error if it is not valid
+//
+async function _body(request) {
+  const chunks = [];
+  let   size   = 0;
+
+  for await (const chunk of request) {
+    size += chunk.length;
+
+    if (size > MAX_BODY) {
+      throw new RequestError(413, 'request body too large');
+    }
+
+    chunks.push(chunk);
+  }
+
+  let body;
+
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw new RequestError(400, 'request body is not valid JSON');
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new RequestError(400, 'request body must be a JSON object');
+  }
+
+  return body;
+}
+
+// --- _FIND -------------------------------------------------------------------
+//
+// _find: finds a port or vlan of the output of Info
+//   list:     ports or vlans
+//   key:      property identifying the entries (number or id)
+//   value:    value of the property
+//   label:    name of the resource
+// returns:
+//   the entry but throws an error if it does not exist
+//
+function _find(list, key, value, label) {
+  const entry = list.find(item => item[key] === value);
+
+  if (!entry) {
+    throw new RequestError(404, 'unknown ' + label + ': ' + value);
+  }
+
+  return entry;
+}
+
+// --- _STATUS -----------------------------------------------------------------
+//
+// _status: determines the HTTP status of an error
+//   error:    the error
+// returns:
+//   the HTTP status
+//
+function _status(error) {
+  if (error instanceof RequestError) {
+    return error.status;
+  }
+  if (error instanceof ValidationError) {
+    return 400;
+  }
+  if (error instanceof SwitchError) {
+    return 502;
+  }
+  return 500;
+}
+
+// --- _SEND -------------------------------------------------------------------
+//
+// _send: sends a response
+//   response: the HTTP response
+//   status:   the HTTP status
+//   body:     data to be sent as JSON (none for status 204)
+// returns:
+//   nothing
+//
+function _send(response, status, body) {
+  if (status === 401) {
+    response.setHeader('WWW-Authenticate', 'Bearer');
+  }
+  if (status === 204) {
+    response.writeHead(status);
+    return response.end();
+  }
+
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body, null, 2) + '\n');
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { startApi };
+
+// -----------------------------------------------------------------------------
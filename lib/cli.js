@@ -0,0 +1,839 @@
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+
+import { Diagnosis, Info, SetSwitch, SetPort, SetVLAN, SetPVID, SetPortVLAN, SetLAG, SetMirror, SetQoS, SetPortPriority, SetBandwidth, SetStormControl, SetIGMP, ClearCounters, SetIP, Backup, Restore, SetPassword, Reboot, FactoryReset, Apply, Rollback, DryRun, Journal, MODELS, UnreachableError, UnauthorizedError } from '../index.js';
+import { startExporter } from './exporter.js';
+import { loadInventory, selectTargets, runFleet, fleetReport } from './fleet.js';
+import { startApi } from './api.js';
+import { exportInfo, importInfo, FORMATS } from './formats.js';
+import { appendHistory, readHistory, queryHistory } from './history.js';
+import { appendJournal, readJournal, queryJournal } from './journal.js';
+
+// -----------------------------------------------------------------------------
+//
+// cli: command line interface of sg108e-mgmt
+//
+// Provides one command per routine of the library (see USAGE below). The
+// connection parameters are taken from the options or from the environment
+// variables SG108E_SERVER, SG108E_USERNAME and SG108E_PASSWORD. With a journal
+// (--journal or SG108E_JOURNAL) the commands modifying a switch record their
+// changes in the journal.
+//
+// Exit codes:
+//   0: success
+//   1: the operation failed
+//   2: invalid command or arguments
+//   3: the switch is not accessible
+//   4: the credentials are not valid
+//
+// --- CONSTANTS ---------------------------------------------------------------
+
+const EXIT_OK             = 0;
+const EXIT_ERROR          = 1;
+const EXIT_USAGE          = 2;
+const EXIT_NOT_ACCESSIBLE = 3;
+const EXIT_NOT_AUTHORIZED = 4;
+
+// ports and lags are checked against the largest model - the routines check
+// them against the model of the switch
+const MAX_PORT = Math.max(...Object.values(MODELS).map(model => model.ports));
+const MAX_LAG  = Math.max(...Object.values(MODELS).map(model => model.lags));
+
+const USAGE = `Usage: sg108e <command> [arguments] [options]
+
+Commands:
+  info                                      show switch, port and vlan info
+  diagnosis                                 check connectivity and credentials
+  set-switch [--name NAME] [--vlan MODE]    set name and vlan mode
+  set-port PORT --state STATE --speed SPEED set state and speed of a port
+  set-vlan VLAN --name NAME [--tagged LIST] [--untagged LIST]
+                                            add/modify a vlan
+  set-vlan VLAN --delete                    delete a vlan
+  set-pvid LIST --pvid VLAN                 set the port VLAN ID of ports
+  set-port-vlan VLAN --members LIST         add/modify a port-based vlan
+  set-port-vlan VLAN --delete               delete a port-based vlan
+  set-lag LAG --members LIST                create/modify a link aggregation group
+  set-lag LAG --delete                      dissolve a link aggregation group
+  set-mirror PORT --sources SOURCES         mirror source ports to a port
+  set-mirror --disable                      disable port mirroring
+  set-qos --mode QOS                        set the QoS mode
+  set-priority LIST --priority PRIORITY     set the QoS priority of ports
+  set-bandwidth LIST --ingress RATE --egress RATE
+                                            set the rate limits of ports
+  set-storm-control LIST --rate RATE --types TYPES
+                                            set the storm control of ports
+  set-storm-control LIST --disable          disable the storm control of ports
+  set-igmp --state STATE --suppression STATE
+                                            set IGMP snooping
+  clear-counters [--record]                 clear the packet counters of the
+                                            ports (--record: record them in the
+                                            history before and after)
+  set-ip IP --netmask IP [--gateway IP]     set a static IP address
+  set-ip --dhcp                             obtain the IP address via DHCP
+  backup FILE                               download the configuration to FILE
+                                            (metadata: FILE.yaml)
+  restore FILE                              upload the configuration in FILE
+  set-password --new-username USER --new-password PASS
+                                            change the credentials of the WebUI
+  reboot                                    reboot the switch
+  factory-reset                             reset the switch to factory settings
+  exporter [--listen PORT] [--interval SECONDS]
+                                            serve Prometheus metrics of the
+                                            switches (-s SERVER,SERVER,...)
+  apply FILE                                converge towards a YAML manifest
+  apply [FILE] [--ports CSV] [--vlans CSV]  converge towards the ports and/or
+                                            vlans of CSV files (see --format)
+  fleet FILE COMMAND [arguments] [--group GROUP] [--parallel N]
+                                            run a command on the switches of
+                                            the inventory FILE (default: all
+                                            switches - 4 in parallel; {name}
+                                            in arguments: name of the switch)
+  api FILE [--listen [HOST:]PORT]           serve the switches of the inventory
+                                            FILE as HTTP JSON API (tokens:
+                                            $SG108E_API_TOKENS, comma separated)
+  history record                            record the packet counters of the
+                                            ports in the history
+  history query [--from TIME] [--to TIME]   show the packets and errors per port
+                                            within a time range (TIME: ISO 8601,
+                                            e.g. 2024-01-31T12:00:00Z)
+  journal list [--from TIME] [--to TIME]    list the changes in the journal
+                                            (-s SERVER: of the switch only)
+  journal show ID                           show the requests and changes of a
+                                            journal entry
+  rollback ID                               restore the configuration of the
+                                            switch before the journal entry
+
+Options:
+  -s, --server SERVER     hostname or IP address of the switch
+                          (default: $SG108E_SERVER)
+  -u, --username USER     username for the WebUI
+                          (default: $SG108E_USERNAME or admin)
+  -p, --password PASS     password for the WebUI
+                          (default: $SG108E_PASSWORD or admin)
+  -f, --format FORMAT     output format: yaml, json, ports-csv or vlans-csv
+                          (csv: info only - default: yaml)
+  -n, --dry-run           show the requests and changes of a command without
+                          modifying the switch
+  --history FILE          file of the history of the packet counters
+                          (default: sg108e-history.jsonl)
+  --journal FILE          record the changes of the commands in the journal
+                          FILE (default: $SG108E_JOURNAL - journal and
+                          rollback: sg108e-journal.jsonl)
+  --operator NAME         operator recorded in the journal
+                          (default: $SG108E_OPERATOR or the user)
+  -h, --help              show usage
+
+Values:
+  MODE:   disabled, 802.1q, port-based
+  STATE:  enabled, disabled
+  SPEED:  Auto, 10MH, 10MF, 100MH, 100MF, 1000MF
+  LIST:   comma separated list of ports, e.g. 2,4,6,8
+  QOS:    port-based, 802.1p, dscp
+  PRIORITY: 1 (lowest) - 4 (highest)
+  RATE:   Unlimited, 512K, 1M, 2M, 4M, 8M, 16M, 32M, 64M, 128M, 256M, 512M
+          (storm control: 64K - 512M)
+  TYPES:  comma separated list of broadcast, multicast, unknown-unicast
+  SOURCES: comma separated list of ports with optional direction (ingress,
+          egress or both - default: both), e.g. 2:ingress,3
+`;
+
+const OPTIONS = {
+  server:         { type: 'string',  short: 's' },
+  username:       { type: 'string',  short: 'u' },
+  password:       { type: 'string',  short: 'p' },
+  format:         { type: 'string',  short: 'f', default: 'yaml' },
+  help:           { type: 'boolean', short: 'h' },
+  'dry-run':      { type: 'boolean', short: 'n' },
+  name:           { type: 'string' },
+  vlan:           { type: 'string' },
+  state:          { type: 'string' },
+  speed:          { type: 'string' },
+  tagged:         { type: 'string' },
+  untagged:       { type: 'string' },
+  members:        { type: 'string' },
+  delete:         { type: 'boolean' },
+  pvid:           { type: 'string' },
+  sources:        { type: 'string' },
+  disable:        { type: 'boolean' },
+  mode:           { type: 'string' },
+  priority:       { type: 'string' },
+  ingress:        { type: 'string' },
+  egress:         { type: 'string' },
+  rate:           { type: 'string' },
+  types:          { type: 'string' },
+  suppression:    { type: 'string' },
+  netmask:        { type: 'string' },
+  gateway:        { type: 'string' },
+  dhcp:           { type: 'boolean' },
+  'new-username': { type: 'string' },
+  'new-password': { type: 'string' },
+  listen:         { type: 'string' },
+  interval:       { type: 'string' },
+  group:          { type: 'string' },
+  parallel:       { type: 'string' },
+  ports:          { type: 'string' },
+  vlans:          { type: 'string' },
+  record:         { type: 'boolean' },
+  history:        { type: 'string' },
+  from:           { type: 'string' },
+  to:             { type: 'string' },
+  journal:        { type: 'string' },
+  operator:       { type: 'string' }
+};
+
+const MODES      = { disabled: 0, enabled: 1 };
+const VLAN_MODES = { 'disabled': 0, '802.1q': 1, 'port-based': 2 };
+const QOS_MODES  = { 'port-based': 0, '802.1p': 1, 'dscp': 2 };
+const SPEEDS = ['Auto', '10MH', '10MF', '100MH', '100MF', '1000MF'];
+const INVENTORY_COMMANDS = ['fleet', 'api'];
+const READ_COMMANDS = ['info', 'diagnosis', 'backup', 'exporter', 'api', 'history', 'journal'];
+const OFFLINE_COMMANDS = ['journal'];
+const DIAGNOSIS_CODES = {
+  'authorized':     EXIT_OK,
+  'not accessible': EXIT_NOT_ACCESSIBLE,
+  'not authorized': EXIT_NOT_AUTHORIZED
+};
+
+// --- USAGEERROR --------------------------------------------------------------
+//
+// UsageError: signals invalid commands or arguments
+//
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// --- COMMANDS ----------------------------------------------------------------
+//
+// Each command receives the connection parameters, the positional arguments,
+// the options and the environment variables and returns the exit code and an
+// optional result which is to be printed.
+//
+const COMMANDS = {
+  'info': async (conn) => {
+    const data = await Info(conn.server, conn.username, conn.password);
+
+    return { code: EXIT_OK, result: data };
+  },
+
+  'diagnosis': async (conn) => {
+    const status = await Diagnosis(conn.server, conn.username, conn.password);
+
+    return { code: DIAGNOSIS_CODES[status], result: { diagnosis: status } };
+  },
+
+  'set-switch': async (conn, args, options) => {
+    if (options.name === undefined && options.vlan === undefined) {
+      throw new UsageError('set-switch requires --name and/or --vlan');
+    }
+
+    const vlan = (options.vlan === undefined) ? undefined : _choice('--vlan', options.vlan, VLAN_MODES);
+
+    await SetSwitch(conn.server, conn.username, conn.password, options.name, vlan);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-port': async (conn, args, options) => {
+    const port  = _number('PORT', args[0], 1, MAX_PORT);
+    const state = _choice('--state', options.state, MODES);
+
+    if (!SPEEDS.includes(options.speed)) {
+      throw new UsageError('--speed must be one of: ' + SPEEDS.join(', '));
+    }
+
+    await SetPort(conn.server, conn.username, conn.password, port, state, options.speed);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-vlan': async (conn, args, options) => {
+    const vlan = _number('VLAN', args[0], 2, 4094);
+
+    if (options.delete) {
+      await SetVLAN(conn.server, conn.username, conn.password, vlan, options.name, []);
+
+      return { code: EXIT_OK };
+    }
+
+    if (!options.name || (!options.tagged && !options.untagged)) {
+      throw new UsageError('set-vlan requires --name and --tagged and/or --untagged or --delete');
+    }
+
+    const members = {
+      tagged:   _list('--tagged', options.tagged, 1, MAX_PORT),
+      untagged: _list('--untagged', options.untagged, 1, MAX_PORT)
+    };
+
+    await SetVLAN(conn.server, conn.username, conn.password, vlan, options.name, members);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-pvid': async (conn, args, options) => {
+    if (!args[0]) {
+      throw new UsageError('set-pvid requires a list of ports');
+    }
+
+    const ports = _list('LIST', args[0], 1, MAX_PORT);
+    const pvid  = _number('--pvid', options.pvid, 1, 4094);
+
+    await SetPVID(conn.server, conn.username, conn.password, ports, pvid);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-port-vlan': async (conn, args, options) => {
+    const vlan = _number('VLAN', args[0], 1, MAX_PORT);
+
+    if (!options.delete && !options.members) {
+      throw new UsageError('set-port-vlan requires --members or --delete');
+    }
+
+    const members = options.delete ? [] : _list('--members', options.members, 1, MAX_PORT);
+
+    await SetPortVLAN(conn.server, conn.username, conn.password, vlan, members);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-lag': async (conn, args, options) => {
+    const lag = _number('LAG', args[0], 1, MAX_LAG);
+
+    if (!options.delete && !options.members) {
+      throw new UsageError('set-lag requires --members or --delete');
+    }
+
+    const members = options.delete ? [] : _list('--members', options.members, 1, MAX_PORT);
+
+    await SetLAG(conn.server, conn.username, conn.password, lag, members);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-mirror': async (conn, args, options) => {
+    if (options.disable) {
+      await SetMirror(conn.server, conn.username, conn.password, 0);
+
+      return { code: EXIT_OK };
+    }
+
+    const destination = _number('PORT', args[0], 1, MAX_PORT);
+
+    if (!options.sources) {
+      throw new UsageError('set-mirror requires --sources or --disable');
+    }
+
+    const sources = options.sources.split(',').map(item => {
+      const [port, direction] = item.split(':');
+
+      return { port: _number('--sources', port, 1, MAX_PORT), direction: direction };
+    });
+
+    await SetMirror(conn.server, conn.username, conn.password, 1, destination, sources);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-qos': async (conn, args, options) => {
+    const mode = _choice('--mode', options.mode, QOS_MODES);
+
+    await SetQoS(conn.server, conn.username, conn.password, mode);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-priority': async (conn, args, options) => {
+    const ports    = _list('LIST', args[0], 1, MAX_PORT);
+    const priority = _number('--priority', options.priority, 1, 4);
+
+    await SetPortPriority(conn.server, conn.username, conn.password, ports, priority);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-bandwidth': async (conn, args, options) => {
+    const ports = _list('LIST', args[0], 1, MAX_PORT);
+
+    if (!options.ingress || !options.egress) {
+      throw new UsageError('set-bandwidth requires --ingress and --egress');
+    }
+
+    await SetBandwidth(conn.server, conn.username, conn.password, ports, options.ingress, options.egress);
+
+    return { code: EXIT_OK };
+  },
+
+  'set-storm-control': async (conn, args, options) => {
+    const ports = _list('LIST', args[0], 1, MAX_PORT);
+
+    if (options.disable) {
+      await SetStormControl(conn.server, conn.username, conn.password, ports, undefined, []);
+
+      return { code: EXIT_OK };
+    }
+
+    if (!options.rate || !options.types) {
+      throw new UsageError('set-storm-control requires --rate and --types or --disable');
+    }
+
+    await SetStormControl(conn.server, conn.username, conn.password, ports, options.rate, options.types.split(','));
+
+    return { code: EXIT_OK };
+  },
+
+  'set-igmp': async (conn, args, options) => {
+    const state       = _choice('--state', options.state, MODES);
+    const suppression = _choice('--suppression', options.suppression, MODES);
+
+    await SetIGMP(conn.server, conn.username, conn.password, state, suppression);
+
+    return { code: EXIT_OK };
+  },
+
+  'clear-counters': async (conn, args, options) => {
+    const history = { file: options.history };
+    const record  = options.record && !options['dry-run'];
+
+    // the snapshots before and after the clear keep the totals of the history
+    // exact
+    if (record) {
+      await appendHistory(conn.server, await Info(conn.server, conn.username, conn.password), history);
+    }
+
+    await ClearCounters(conn.server, conn.username, conn.password);
+
+    if (record) {
+      await appendHistory(conn.server, await Info(conn.server, conn.username, conn.password), { ...history, cleared: true });
+    }
+
+    return { code: EXIT_OK };
+  },
+
+  'set-ip': async (conn, args, options) => {
+    if (options.dhcp) {
+      const report = await SetIP(conn.server, conn.username, conn.password, 1);
+
+      return { code: EXIT_OK, result: report };
+    }
+
+    if (!args[0] || !options.netmask) {
+      throw new UsageError('set-ip requires an IP address and --netmask or --dhcp');
+    }
+
+    const report = await SetIP(conn.server, conn.username, conn.password, 0, args[0], options.netmask, options.gateway);
+
+    return { code: DIAGNOSIS_CODES[report.diagnosis], result: report };
+  },
+
+  'backup': async (conn, args) => {
+    if (!args[0]) {
+      throw new UsageError('backup requires a file');
+    }
+
+    const backup = await Backup(conn.server, conn.username, conn.password, args[0]);
+
+    return { code: EXIT_OK, result: backup.metadata };
+  },
+
+  'restore': async (conn, args) => {
+    if (!args[0]) {
+      throw new UsageError('restore requires a file');
+    }
+
+    const report = await Restore(conn.server, conn.username, conn.password, args[0]);
+
+    return { code: DIAGNOSIS_CODES[report.diagnosis], result: report };
+  },
+
+  'set-password': async (conn, args, options) => {
+    if (!options['new-username'] || !options['new-password']) {
+      throw new UsageError('set-password requires --new-username and --new-password');
+    }
+
+    const report = await SetPassword(conn.server, conn.username, conn.password, options['new-username'], options['new-password']);
+
+    return { code: DIAGNOSIS_CODES[report.diagnosis], result: report };
+  },
+
+  'reboot': async (conn) => {
+    const status = await Reboot(conn.server, conn.username, conn.password);
+
+    return { code: DIAGNOSIS_CODES[status], result: { diagnosis: status } };
+  },
+
+  'factory-reset': async (conn) => {
+    const status = await FactoryReset(conn.server, conn.username, conn.password);
+
+    return { code: DIAGNOSIS_CODES[status], result: { diagnosis: status } };
+  },
+
+  'exporter': async (conn, args, options) => {
+    const targets  = conn.server.split(',').map(server => ({ server: server, username: conn.username, password: conn.password }));
+    const port     = options.listen === undefined ? undefined : _number('--listen', options.listen, 0, 65535);
+    const interval = options.interval === undefined ? undefined : _number('--interval', options.interval, 1, 86400) * 1000;
+    const exporter = await startExporter(targets, { port: port, interval: interval });
+
+    // the exporter keeps running until the process is stopped
+    return { code: EXIT_OK, result: { exporter: 'http://' + exporter.address + '/metrics' } };
+  },
+
+  'apply': async (conn, args, options) => {
+    if (!args[0] && !options.ports && !options.vlans) {
+      throw new UsageError('apply requires a manifest file');
+    }
+
+    // the ports and vlans of CSV files replace those of the manifest
+    let manifest = args[0] ? await readFile(args[0], 'utf8') : { switch: {} };
+
+    if (options.ports || options.vlans) {
+      manifest = (typeof manifest === 'string') ? importInfo(manifest, 'yaml') : manifest;
+
+      if (options.ports) {
+        manifest.switch.ports = importInfo(await readFile(options.ports, 'utf8'), 'ports-csv').switch.ports;
+      }
+      if (options.vlans) {
+        manifest.switch.vlans = importInfo(await readFile(options.vlans, 'utf8'), 'vlans-csv').switch.vlans;
+      }
+    }
+
+    const report = await Apply(conn.server, conn.username, conn.password, manifest);
+
+    return { code: EXIT_OK, result: report };
+  },
+
+  'history': async (conn, args, options) => {
+    if (args[0] === 'record') {
+      const snapshot = await appendHistory(conn.server, await Info(conn.server, conn.username, conn.password), { file: options.history });
+
+      return { code: EXIT_OK, result: { time: snapshot.time, server: snapshot.server, ports: snapshot.ports.length } };
+    }
+    if (args[0] !== 'query') {
+      throw new UsageError('history requires record or query');
+    }
+
+    for (const [label, value] of [['--from', options.from], ['--to', options.to]]) {
+      if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+        throw new UsageError(label + ' must be a time, e.g. 2024-01-31T12:00:00Z');
+      }
+    }
+
+    const snapshots = await readHistory({ file: options.history });
+    const totals    = queryHistory(snapshots, { server: conn.server, from: options.from, to: options.to });
+
+    if (totals.length === 0) {
+      throw new Error('no snapshots of ' + conn.server + ' in the history');
+    }
+
+    return { code: EXIT_OK, result: totals[0] };
+  },
+
+  'journal': async (conn, args, options) => {
+    if (args[0] !== 'list' && args[0] !== 'show') {
+      throw new UsageError('journal requires list or show');
+    }
+    if (args[0] === 'show' && !args[1]) {
+      throw new UsageError('journal show requires the id of an entry');
+    }
+
+    for (const [label, value] of [['--from', options.from], ['--to', options.to]]) {
+      if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+        throw new UsageError(label + ' must be a time, e.g. 2024-01-31T12:00:00Z');
+      }
+    }
+
+    const entries   = await readJournal({ file: options.journal });
+    const summaries = queryJournal(entries, { server: conn.server, from: options.from, to: options.to });
+
+    if (args[0] === 'list') {
+      return { code: EXIT_OK, result: summaries.map(({ requests, ...summary }) => summary) };
+    }
+
+    const summary = summaries.find(s => s.id === args[1]);
+
+    if (!summary) {
+      throw new Error('no journal entry ' + args[1] + ' in ' + (options.journal || 'the journal'));
+    }
+
+    return { code: EXIT_OK, result: summary };
+  },
+
+  'rollback': async (conn, args, options) => {
+    if (!args[0]) {
+      throw new UsageError('rollback requires the id of a journal entry');
+    }
+
+    const entry = (await readJournal({ file: options.journal })).find(e => e.id === args[0]);
+
+    if (!entry) {
+      throw new Error('no journal entry ' + args[0] + ' in ' + (options.journal || 'the journal'));
+    }
+
+    const report = await Rollback(conn.server, conn.username, conn.password, entry);
+
+    return { code: EXIT_OK, result: report };
+  },
+
+  'fleet': async (conn, args, options, env) => {
+    const [file, command, ...rest] = args;
+
+    if (!file || !command) {
+      throw new UsageError('fleet requires an inventory file and a command');
+    }
+    if (!COMMANDS[command] || INVENTORY_COMMANDS.includes(command) || command === 'exporter') {
+      throw new UsageError('unknown fleet command: ' + command);
+    }
+    if (options['dry-run'] && READ_COMMANDS.includes(command)) {
+      throw new UsageError('--dry-run is not supported by ' + command);
+    }
+    if (command === 'backup' && rest[0] && !rest[0].includes('{name}')) {
+      throw new UsageError('fleet backup requires a file with {name}, e.g. backups/{name}.cfg');
+    }
+
+    const inventory = loadInventory(await readFile(file, 'utf8'), env);
+    const targets   = selectTargets(inventory, options.group);
+    const parallel  = options.parallel === undefined ? undefined : _number('--parallel', options.parallel, 1, 64);
+
+    // run the command on each switch - a failing exit code fails the switch
+    // and {name} within the arguments is replaced with the name of the switch
+    const results = await runFleet(targets, async target => {
+      const own = rest.map(arg => arg.split('{name}').join(target.name));
+      const { code, result } = await _execute(command, target, own, options);
+
+      if (code !== EXIT_OK) {
+        throw new Error(result && result.diagnosis ? 'diagnosis: ' + result.diagnosis : command + ' failed with exit code ' + code);
+      }
+
+      return result;
+    }, { concurrency: parallel });
+
+    // invalid arguments fail on every switch
+    const usage = results.find(r => r.error instanceof UsageError);
+
+    if (usage) {
+      throw usage.error;
+    }
+
+    const report = fleetReport(results);
+
+    return { code: report.summary.failed ? EXIT_ERROR : EXIT_OK, result: report };
+  },
+
+  'api': async (conn, args, options, env) => {
+    if (!args[0]) {
+      throw new UsageError('api requires an inventory file');
+    }
+
+    const tokens = (env.SG108E_API_TOKENS || '').split(',').filter(token => token);
+
+    if (tokens.length === 0) {
+      throw new UsageError('api requires tokens in SG108E_API_TOKENS');
+    }
+
+    const [host, port] = (options.listen || '').includes(':') ? options.listen.split(':') : [undefined, options.listen];
+    const targets      = loadInventory(await readFile(args[0], 'utf8'), env);
+    const api          = await startApi(targets, {
+      tokens:  tokens,
+      host:    host,
+      port:    port === undefined ? undefined : _number('--listen', port, 0, 65535),
+      journal: _journal(options)
+    });
+
+    // the api keeps running until the process is stopped
+    return { code: EXIT_OK, result: { api: 'http://' + api.address + '/switches' } };
+  }
+};
+
+// --- MAIN --------------------------------------------------------------------
+//
+// main: runs the command line interface
+//   argv:     command line arguments (without node and script)
+//   env:      environment variables (default: process.env)
+//   stdout:   stream for results (default: process.stdout)
+//   stderr:   stream for errors (default: process.stderr)
+// returns:
+//   the exit code
+//
+async function main(argv, env = process.env, stdout = process.stdout, stderr = process.stderr) {
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+    // show usage
+    if (values.help) {
+      stdout.write(USAGE);
+      return EXIT_OK;
+    }
+
+    // determine command
+    const [command, ...args] = positionals;
+
+    if (!COMMANDS[command]) {
+      throw new UsageError(command ? 'unknown command: ' + command : 'missing command');
+    }
+
+    if (!FORMATS.includes(values.format)) {
+      throw new UsageError('--format must be one of: ' + FORMATS.join(', '));
+    }
+    if (values.format.endsWith('-csv') && command !== 'info') {
+      throw new UsageError('--format ' + values.format + ' is only supported by info');
+    }
+    if (values['dry-run'] && READ_COMMANDS.includes(command)) {
+      throw new UsageError('--dry-run is not supported by ' + command);
+    }
+
+    // the journal and the operator may be set by the environment
+    const options = { ...values, journal: values.journal || env.SG108E_JOURNAL, operator: values.operator || env.SG108E_OPERATOR };
+
+    // determine connection parameters
+    const conn = {
+      server:   values.server   || env.SG108E_SERVER,
+      username: values.username || env.SG108E_USERNAME || 'admin',
+      password: values.password || env.SG108E_PASSWORD || 'admin'
+    };
+
+    // inventory commands take the switches from the inventory
+    if (!conn.server && !INVENTORY_COMMANDS.includes(command) && !OFFLINE_COMMANDS.includes(command)) {
+      throw new UsageError('missing --server (or SG108E_SERVER)');
+    }
+
+    // execute command and present the results
+    const { code, result } = await _execute(command, conn, args, options, env);
+
+    if (result) {
+      stdout.write(exportInfo(result, values.format));
+    }
+
+    return code;
+  } catch (error) {
+    // invalid command line arguments
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      stderr.write('sg108e: ' + error.message + '\n\n' + USAGE);
+      return EXIT_USAGE;
+    }
+
+    // failed operation
+    stderr.write('sg108e: ' + error.message + '\n');
+
+    if (error instanceof UnreachableError) {
+      return EXIT_NOT_ACCESSIBLE;
+    }
+    if (error instanceof UnauthorizedError) {
+      return EXIT_NOT_AUTHORIZED;
+    }
+    return EXIT_ERROR;
+  }
+}
+
+// --- _EXECUTE ----------------------------------------------------------------
+//
+// _execute: executes a command - with --dry-run within a dry run and with a
+// journal within the journal (the fleet runs a dry run or journal per switch)
+//   command:  name of the command
+//   conn:     connection parameters
+//   args:     positional arguments of the command
+//   options:  the options
+//   env:      environment variables
+// returns:
+//   the exit code and the result (with --dry-run: the plan) of the command
+//
+async function _execute(command, conn, args, options, env) {
+  if (command === 'fleet' || READ_COMMANDS.includes(command)) {
+    return await COMMANDS[command](conn, args, options, env);
+  }
+
+  if (options['dry-run']) {
+    const plan = await DryRun(COMMANDS[command], conn, args, options, env);
+
+    return { code: EXIT_OK, result: plan };
+  }
+
+  if (options.journal) {
+    return await Journal(_journal(options), COMMANDS[command], conn, args, options, env);
+  }
+
+  return await COMMANDS[command](conn, args, options, env);
+}
+
+// --- _JOURNAL ----------------------------------------------------------------
+//
+// _journal: determines the settings of the journal (see Journal)
+//   options:  the options
+// returns:
+//   the settings recording the entries in the journal file or undefined
+//   without a journal
+//
+function _journal(options) {
+  if (!options.journal) {
+    return undefined;
+  }
+
+  return {
+    operator: options.operator,
+    record:   entry => appendJournal(entry, { file: options.journal })
+  };
+}
+
+// --- _NUMBER -----------------------------------------------------------------
+//
+// _number: parses an integer argument within a range
+//   label:    name of the argument
+//   value:    value of the argument
+//   min:      minimum value
+//   max:      maximum value
+// returns:
+//   the parsed integer but may throw a usage error
+//
+function _number(label, value, min, max) {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new UsageError(label + ' must be a number between ' + min + ' and ' + max);
+  }
+
+  return number;
+}
+
+// --- _LIST -------------------------------------------------------------------
+//
+// _list: parses a comma separated list of integers within a range
+//   label:    name of the argument
+//   value:    value of the argument (may be undefined)
+//   min:      minimum value
+//   max:      maximum value
+// returns:
+//   the list of integers but may throw a usage error
+//
+function _list(label, value, min, max) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map(item => _number(label, item, min, max));
+}
+
+// --- _CHOICE -----------------------------------------------------------------
+//
+// _choice: maps an argument onto one of a set of values
+//   label:    name of the argument
+//   value:    value of the argument
+//   choices:  map of valid arguments to values
+// returns:
+//   the mapped value but may throw a usage error
+//
+function _choice(label, value, choices) {
+  const key = (value || '').toLowerCase();
+
+  if (!Object.hasOwn(choices, key)) {
+    throw new UsageError(label + ' must be one of: ' + Object.keys(choices).join(', '));
+  }
+
+  return choices[key];
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { main };
+
+// -----------------------------------------------------------------------------
@@ -0,0 +1,56 @@
+// -----------------------------------------------------------------------------
+//
+// counters: packet counters of the ports of TP Link SG108E switches
+//
+// The counters of the ports (TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt) count
+// the packets since the last reboot or clear. They are 32 bit values: a
+// counter which is smaller than before has either wrapped around (if it was
+// close to the maximum) or has been reset (clear or reboot). After a reset the
+// counters are the increase since the reset - the packets between the previous
+// reading and the reset are lost.
+//
+// --- CONSTANTS ---------------------------------------------------------------
+
+const COUNTERS      = ['TxGoodPkt', 'TxBadPkt', 'RxGoodPkt', 'RxBadPkt'];
+const COUNTER_RANGE = 2 ** 32;
+
+// --- COUNTERDELTAS -----------------------------------------------------------
+//
+// counterDeltas: determines the increases of the counters of a port
+//   before:   previous counters of the port
+//   after:    current counters of the port
+//   reset:    true if the counters are known to have been reset (e.g. cleared)
+// returns:
+//   the increases keyed by counter and whether the counters have been reset:
+//     {reset: false, deltas: {TxGoodPkt: 12, TxBadPkt: 0, RxGoodPkt: 40, RxBadPkt: 0}}
+//
+function counterDeltas(before, after, reset = false) {
+  // a counter which is lower than before and was not close to the maximum
+  // has been reset - all counters of the port count since the reset
+  const wasReset = reset || COUNTERS.some(counter => after[counter] < before[counter] && before[counter] < COUNTER_RANGE / 2);
+  const deltas   = {};
+
+  for (const counter of COUNTERS) {
+    deltas[counter] = wasReset ? after[counter] : _increase(before[counter], after[counter]);
+  }
+
+  return { reset: wasReset, deltas: deltas };
+}
+
+// --- _INCREASE ---------------------------------------------------------------
+//
+// _increase: determines the increase of a counter
+//   before:   previous value of the counter
+//   after:    current value of the counter
+// returns:
+//   the increase - taking a wrap around of the counter into account
+//
+function _increase(before, after) {
+  return after >= before ? after - before : after + COUNTER_RANGE - before;
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { COUNTERS, COUNTER_RANGE, counterDeltas };
+
+// -----------------------------------------------------------------------------
@@ -0,0 +1,199 @@
+import { createServer } from 'http';
+
+import { Info } from '../index.js';
+
+// -----------------------------------------------------------------------------
+//
+// exporter: Prometheus exporter for TP Link SG108E switches
+//
+// Serves the status of one or more switches on /metrics in the Prometheus
+// text format. Each scrape of the exporter reads the switches via Info, but
+// a switch is read at most once per interval in order not to overload its
+// Web-UI - in between the previous results are served.
+//
+// Sample output:
+//     # HELP sg108e_up Whether the switch could be read (1) or not (0).
+//     # TYPE sg108e_up gauge
+//     sg108e_up{switch="192.168.0.1"} 1
+//     # HELP sg108e_port_tx_good_packets_total Good packets transmitted by the port.
+//     # TYPE sg108e_port_tx_good_packets_total counter
+//     sg108e_port_tx_good_packets_total{switch="192.168.0.1",port="8"} 4318
+//     ...
+//     sg108e_port_vlan_member{switch="192.168.0.1",port="8",vlan="1",tagged="false"} 1
+//
+// All series are labelled with the server of the switch, port series with the
+// port number and VLAN series additionally with the VLAN ID.
+//
+// --- CONSTANTS ---------------------------------------------------------------
+
+const DEFAULT_PORT     = 9108;
+const DEFAULT_INTERVAL = 30000;
+
+// metrics: name, type, help and the property of the port (port metrics only)
+const SWITCH_METRICS = [
+  ['sg108e_up',          'gauge', 'Whether the switch could be read (1) or not (0).'],
+  ['sg108e_switch_info', 'gauge', 'Name, hardware, firmware and MAC address of the switch.']
+];
+const PORT_METRICS = [
+  ['sg108e_port_tx_good_packets_total', 'counter', 'Good packets transmitted by the port.', 'TxGoodPkt'],
+  ['sg108e_port_tx_bad_packets_total',  'counter', 'Bad packets transmitted by the port.',  'TxBadPkt'],
+  ['sg108e_port_rx_good_packets_total', 'counter', 'Good packets received by the port.',    'RxGoodPkt'],
+  ['sg108e_port_rx_bad_packets_total',  'counter', 'Bad packets received by the port.',     'RxBadPkt'],
+  ['sg108e_port_link_up',               'gauge',   'Whether the port has a link (1) or not (0).'],
+  ['sg108e_port_link_speed_mbps',       'gauge',   'Link speed of the port in Mbit/s (0: no link).'],
+  ['sg108e_port_admin_state',           'gauge',   'Whether the port is enabled (1) or disabled (0).'],
+  ['sg108e_port_vlan_member',           'gauge',   'Membership of the port in an 802.1Q VLAN.']
+];
+
+// --- STARTEXPORTER -----------------------------------------------------------
+//
+// startExporter: starts the exporter
+//   targets:  list of switches: {server, username, password}
+//   options:  optional settings:
+//     port:     port to listen on (default: 9108 - 0: any free port)
+//     host:     address to listen on (default: all addresses)
+//     interval: minimum time in ms between two reads of a switch
+//               (default: 30000)
+// returns:
+//   exporter object:
+//     address: the address of the exporter (e.g. 0.0.0.0:9108)
+//     close:   function to stop the exporter
+//
+async function startExporter(targets, options = {}) {
+  const interval = options.interval === undefined ? DEFAULT_INTERVAL : options.interval;
+  const cache    = new Map();
+
+  const server = createServer(async (request, response) => {
+    if (request.method !== 'GET' || new URL(request.url, 'http://localhost').pathname !== '/metrics') {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      return response.end('see /metrics\n');
+    }
+
+    const results = await Promise.all(targets.map(target => _read(cache, target, interval)));
+
+    response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    response.end(metrics(results));
+  });
+
+  const port = options.port === undefined ? DEFAULT_PORT : options.port;
+
+  await new Promise(resolve => server.listen(port, options.host, resolve));
+
+  return {
+    address: (options.host || '0.0.0.0') + ':' + server.address().port,
+    close:   () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// --- METRICS -----------------------------------------------------------------
+//
+// metrics: formats the status of switches in the Prometheus text format
+//   results:  list of results: {server, data} - data is the output of Info
+//             or null if the switch could not be read
+// returns:
+//   the metrics as text
+//
+function metrics(results) {
+  const samples = {};
+
+  for (const [name] of [...SWITCH_METRICS, ...PORT_METRICS]) {
+    samples[name] = [];
+  }
+
+  for (const { server, data } of results) {
+    samples.sg108e_up.push(_sample({ switch: server }, data ? 1 : 0));
+
+    if (!data) {
+      continue;
+    }
+
+    const swtch = data.switch;
+
+    samples.sg108e_switch_info.push(_sample({
+      switch:   server,
+      name:     swtch.name,
+      hardware: swtch.hardware,
+      firmware: swtch.fimrware,
+      mac:      swtch.mac
+    }, 1));
+
+    for (const port of swtch.ports) {
+      const labels = { switch: server, port: port.number };
+
+      for (const [name, , , property] of PORT_METRICS.filter(metric => metric[3])) {
+        samples[name].push(_sample(labels, port[property]));
+      }
+
+      samples.sg108e_port_link_up.push(_sample(labels, port.link === 'down' ? 0 : 1));
+      samples.sg108e_port_link_speed_mbps.push(_sample(labels, parseInt(port.link) || 0));
+      samples.sg108e_port_admin_state.push(_sample(labels, port.state === 'Enabled' ? 1 : 0));
+
+      for (const vlan of swtch.vlans) {
+        if (vlan.tagged.includes(port.number) || vlan.untagged.includes(port.number)) {
+          samples.sg108e_port_vlan_member.push(_sample({ ...labels, vlan: vlan.id, tagged: vlan.tagged.includes(port.number) }, 1));
+        }
+      }
+    }
+  }
+
+  // present the results
+  const lines = [];
+
+  for (const [name, type, help] of [...SWITCH_METRICS, ...PORT_METRICS]) {
+    lines.push('# HELP ' + name + ' ' + help);
+    lines.push('# TYPE ' + name + ' ' + type);
+    lines.push(...samples[name].map(sample => name + sample));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// --- _READ -------------------------------------------------------------------
+//
+// _read: reads a switch at most once per interval
+//   cache:    map of the previous reads per server
+//   target:   switch: {server, username, password}
+//   interval: minimum time in ms between two reads
+// returns:
+//   result: {server, data} - data is null if the switch could not be read
+//
+async function _read(cache, target, interval) {
+  const entry = cache.get(target.server);
+
+  if (entry && Date.now() - entry.time < interval) {
+    return entry.result;
+  }
+
+  // concurrent scrapes share the same read
+  const result = Info(target.server, target.username || 'admin', target.password || 'admin')
+    .then(data => ({ server: target.server, data: data }))
+    .catch(() => ({ server: target.server, data: null }));
+
+  cache.set(target.server, { time: Date.now(), result: result });
+
+  return result;
+}
+
+// --- _SAMPLE -----------------------------------------------------------------
+//
+// _sample: formats the labels and the value of a sample
+//   labels:   object with the labels
+//   value:    value of the sample
+// returns:
+//   the sample without the name of the metric, e.g. {port="1"} 42
+//
+function _sample(labels, value) {
+  const escape = text => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const pairs  = Object.entries(labels).map(([label, text]) => label + '="' + escape(text) + '"');
+
+  return '{' + pairs.join(',') + '} ' + value;
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { startExporter, metrics };
+
+// -----------------------------------------------------------------------------
@@ -0,0 +1,235 @@
+import { load } from 'js-yaml';
+
+// -----------------------------------------------------------------------------
+//
+// fleet: runs routines across many TP Link SG108E switches
+//
+// The switches are listed in an inventory (as data object or as YAML string)
+// with their names, addresses, group tags and a reference to their
+// credentials. The credentials may either contain the username and password
+// or refer to environment variables holding them, so that the inventory does
+// not need to contain any secrets:
+//     credentials:
+//       office:
+//         username: admin
+//         passwordEnv: OFFICE_PASSWORD
+//       lab:
+//         username: admin
+//         password: admin
+//     switches:
+//       - name: office-1
+//         server: 192.168.0.11
+//         credentials: office
+//         groups: [office, floor-1]
+//       - name: lab-1
+//         server: 192.168.1.11
+//         mac: '70:4F:57:35:BE:36'
+//         credentials: lab
+//         groups: [lab]
+//
+// Switches without credentials use the default credentials admin/admin.
+//
+// A routine is run across a group of switches with a bounded number of
+// parallel executions, e.g.:
+//     const targets = selectTargets(loadInventory(yaml), 'office');
+//     const results = await runFleet(targets, t => Info(t.server, t.username, t.password));
+//
+//     console.log(fleetReport(results));
+//
+// --- CONSTANTS ---------------------------------------------------------------
+
+const DEFAULT_CONCURRENCY = 4;
+
+// --- LOADINVENTORY -----------------------------------------------------------
+//
+// loadInventory: validates an inventory and resolves the credentials
+//   inventory: inventory as data object or as YAML string
+//   env:       environment variables (default: process.env)
+// returns:
+//   list of targets: {name, server, mac, username, password, groups}
+//   but may throw an error
+//
+function loadInventory(inventory, env = process.env) {
+  const data = (typeof inventory === 'string') ? load(inventory) : inventory;
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.switches)) {
+    throw new Error('inventory requires a list of switches');
+  }
+
+  const credentials = data.credentials || {};
+  const names       = new Set();
+
+  return data.switches.map(entry => {
+    if (!entry || !entry.name || !entry.server) {
+      throw new Error('every switch of the inventory requires a name and a server');
+    }
+    if (names.has(entry.name)) {
+      throw new Error('switch ' + entry.name + ' is listed more than once');
+    }
+    names.add(entry.name);
+
+    // resolve the credentials
+    const reference = entry.credentials ? credentials[entry.credentials] : {};
+
+    if (!reference) {
+      throw new Error('unknown credentials of switch ' + entry.name + ': ' + entry.credentials);
+    }
+
+    return {
+      name:     String(entry.name),
+      server:   String(entry.server),
+      mac:      entry.mac || null,
+      username: _secret(reference, 'username', env) || 'admin',
+      password: _secret(reference, 'password', env) || 'admin',
+      groups:   [].concat(entry.groups || [])
+    };
+  });
+}
+
+// --- SELECTTARGETS -----------------------------------------------------------
+//
+// selectTargets: selects the switches of a group
+//   targets:  list of targets as returned by loadInventory
+//   group:    group tag or name of a switch (default: all switches)
+// returns:
+//   list of selected targets but throws an error if none is selected
+//
+function selectTargets(targets, group) {
+  if (!group || group === 'all') {
+    return targets;
+  }
+
+  const selected = targets.filter(target => target.groups.includes(group) || target.name === group);
+
+  if (selected.length === 0) {
+    throw new Error('no switches in group: ' + group);
+  }
+
+  return selected;
+}
+
+// --- RUNFLEET ----------------------------------------------------------------
+//
+// runFleet: runs a task for each target with bounded parallelism
+//   targets:  list of targets as returned by loadInventory
+//   task:     async function receiving a target and returning a result
+//   options:  optional settings:
+//     concurrency: maximum number of parallel tasks (default: 4)
+// returns:
+//   list of results in the order of the targets:
+//     {target, status: ok/failed, result or error}
+//
+// A failing task does not stop the other tasks.
+async function runFleet(targets, task, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  const results     = new Array(targets.length);
+
+  let next = 0;
+
+  // each worker picks the next target until all targets have been processed
+  const worker = async () => {
+    while (next < targets.length) {
+      const index  = next++;
+      const target = targets[index];
+
+      try {
+        results[index] = { target: target, status: 'ok', result: await task(target) };
+      } catch (error) {
+        results[index] = { target: target, status: 'failed', error: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+
+  return results;
+}
+
+// --- FLEETREPORT -------------------------------------------------------------
+//
+// fleetReport: merges the results of runFleet into one report
+//   results:  list of results as returned by runFleet
+// returns:
+//   report with a summary, the results keyed by switch name and an index of
+//   the switch names keyed by MAC address:
+//     summary:
+//       total: 3
+//       succeeded: 2
+//       failed: 1
+//     switches:
+//       office-1:
+//         server: 192.168.0.11
+//         mac: '70:4F:57:35:BE:36'
+//         groups: [office, floor-1]
+//         status: ok
+//         result: ...
+//       lab-1:
+//         server: 192.168.1.11
+//         mac: null
+//         groups: [lab]
+//         status: failed
+//         error: 'switch not accessible: ...'
+//     macs:
+//       '70:4F:57:35:BE:36': office-1
+//
+// The MAC address is taken from the result (if it is the output of Info) or
+// from the inventory.
+function fleetReport(results) {
+  const report = {
+    summary:  {
+      total:     results.length,
+      succeeded: results.filter(r => r.status === 'ok').length,
+      failed:    results.filter(r => r.status === 'failed').length
+    },
+    switches: {},
+    macs:     {}
+  };
+
+  for (const { target, status, result, error } of results) {
+    const mac   = (result && result.switch && result.switch.mac) || target.mac;
+    const entry = { server: target.server, mac: mac, groups: target.groups, status: status };
+
+    if (status === 'ok') {
+      entry.result = (result === undefined) ? null : result;
+    } else {
+      entry.error = error.message;
+    }
+
+    report.switches[target.name] = entry;
+
+    if (mac) {
+      report.macs[mac] = target.name;
+    }
+  }
+
+  return report;
+}
+
+// --- _SECRET -----------------------------------------------------------------
+//
+// _secret: resolves a username or password of a credentials reference
+//   reference: credentials reference
+//   key:       username or password
+//   env:       environment variables
+// returns:
+//   the value - either given directly or via the environment variable named
+//   by <key>Env - but throws an error if the environment variable is not set
+//
+function _secret(reference, key, env) {
+  const variable = reference[key + 'Env'];
+
+  if (!variable) {
+    return reference[key];
+  }
+  if (env[variable] === undefined) {
+    throw new Error('environment variable ' + variable + ' is not set');
+  }
+
+  return env[variable];
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { loadInventory, selectTargets, runFleet, fleetReport };
+
+// -----------------------------------------------------------------------------
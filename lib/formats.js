@@ -0,0 +1,510 @@
+import { readFileSync } from 'fs';
+import { load, dump } from 'js-yaml';
+
+import { MODELS, ValidationError } from '../index.js';
+
+// -----------------------------------------------------------------------------
+//
+// formats: export and import of the output of Info as JSON, YAML and CSV
+//
+// The output of Info (the Info document) is described by the JSON Schema in
+// info.schema.json. The document can be exported to and imported from the
+// following formats:
+//   json:      the complete document
+//   yaml:      the complete document
+//   ports-csv: one line per port with its attributes (lists within a cell are
+//              separated by commas)
+//   vlans-csv: membership matrix of the 802.1Q VLANs - one line per VLAN with
+//              its ID, name and one column per port: T (tagged), U (untagged)
+//              or empty (no member)
+//
+// Sample ports-csv:
+//     number,state,speed,speedConfig,link,lag,pvid,priority,...
+//     1,Enabled,1000MF,Auto,1000MF,0,1,1,...
+//     2,Disabled,down,100MF,down,0,10,1,...
+//
+// Sample vlans-csv:
+//     id,name,1,2,3,4,5,6,7,8
+//     1,Default,U,U,U,U,U,U,U,
+//     10,iot,,,,,,,U,T
+//
+// The importers return the document validated against the schema. All columns
+// besides the number of a port and the ID of a VLAN are optional and empty
+// cells are omitted, so that the imported documents (e.g. spreadsheets
+// maintained by hand) can be passed to Apply. Invalid input is refused with a
+// ValidationError naming all offending lines, columns or attributes.
+//
+// --- CONSTANTS ---------------------------------------------------------------
+
+const SCHEMA  = JSON.parse(readFileSync(new URL('./info.schema.json', import.meta.url), 'utf8'));
+const FORMATS = ['json', 'yaml', 'ports-csv', 'vlans-csv'];
+
+// columns of the ports-csv in their order and the columns with numbers/lists
+const PORT_COLUMNS = [
+  'number', 'state', 'speed', 'speedConfig', 'link', 'lag', 'pvid', 'priority', 'ingressRate',
+  'egressRate', 'stormRate', 'stormTypes', 'TxGoodPkt', 'TxBadPkt', 'RxGoodPkt', 'RxBadPkt'
+];
+const NUMBER_COLUMNS = ['number', 'lag', 'pvid', 'priority', 'TxGoodPkt', 'TxBadPkt', 'RxGoodPkt', 'RxBadPkt'];
+const LIST_COLUMNS   = ['stormTypes'];
+
+// cells of the vlans-csv
+const MEMBERSHIPS = { T: 'tagged', U: 'untagged' };
+
+// --- VALIDATEINFO ------------------------------------------------------------
+//
+// validateInfo: validates an Info document against the schema
+//   document: the document
+// returns:
+//   the document but throws a ValidationError listing all violations
+//
+// The schema limits ports and link aggregation groups to the largest model.
+// If the document names its model the limits of the model are checked too.
+function validateInfo(document) {
+  const errors = _validate(document, SCHEMA, 'document');
+
+  if (errors.length === 0) {
+    errors.push(..._modelErrors(document.switch));
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('invalid info document: ' + errors.join('; '));
+  }
+
+  return document;
+}
+
+// --- EXPORTINFO --------------------------------------------------------------
+//
+// exportInfo: exports an Info document
+//   document: the document (e.g. the output of Info)
+//   format:   json, yaml, ports-csv or vlans-csv
+// returns:
+//   the text of the export
+//
+function exportInfo(document, format) {
+  const swtch = (document && document.switch) || {};
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(document, null, 2) + '\n';
+    case 'yaml':
+      return dump(document);
+    case 'ports-csv': {
+      const ports   = swtch.ports || [];
+      const columns = PORT_COLUMNS.filter(column => column === 'number' || ports.some(port => port[column] !== undefined));
+
+      return _csv([columns, ...ports.map(port => columns.map(column => _cell(port[column])))]);
+    }
+    case 'vlans-csv': {
+      const vlans = swtch.vlans || [];
+      const count = swtch.ports ? swtch.ports.length : Math.max(0, ...vlans.flatMap(vlan => [...(vlan.tagged || []), ...(vlan.untagged || [])]));
+      const ports = Array.from({ length: count }, (_, index) => index + 1);
+
+      return _csv([
+        ['id', 'name', ...ports.map(String)],
+        ...vlans.map(vlan => [String(vlan.id), vlan.name || '', ...ports.map(port =>
+          (vlan.tagged || []).includes(port) ? 'T' : (vlan.untagged || []).includes(port) ? 'U' : '')])
+      ]);
+    }
+    default:
+      throw new ValidationError('invalid format: ' + format + ' (supported: ' + FORMATS.join(', ') + ')');
+  }
+}
+
+// --- IMPORTINFO --------------------------------------------------------------
+//
+// importInfo: imports an Info document
+//   text:     the text of the export
+//   format:   json, yaml, ports-csv or vlans-csv
+// returns:
+//   the validated document - {switch: {ports}} for ports-csv and
+//   {switch: {vlans}} for vlans-csv - but throws a ValidationError
+//
+function importInfo(text, format) {
+  let document;
+
+  switch (format) {
+    case 'json':
+      try {
+        document = JSON.parse(text);
+      } catch (error) {
+        throw new ValidationError('invalid json: ' + error.message);
+      }
+      break;
+    case 'yaml':
+      try {
+        document = load(text);
+      } catch (error) {
+        throw new ValidationError('invalid yaml: ' + error.reason + ' in line ' + (error.mark.line + 1));
+      }
+      break;
+    case 'ports-csv':
+      document = { switch: { ports: _importPorts(_parseCSV(text)) } };
+      break;
+    case 'vlans-csv':
+      document = { switch: { vlans: _importVlans(_parseCSV(text)) } };
+      break;
+    default:
+      throw new ValidationError('invalid format: ' + format + ' (supported: ' + FORMATS.join(', ') + ')');
+  }
+
+  return validateInfo(document);
+}
+
+// --- _IMPORTPORTS ------------------------------------------------------------
+//
+// _importPorts: converts the lines of a ports-csv into ports
+//   rows:     lines of the file as returned by _parseCSV (the first line:
+//             header)
+// returns:
+//   list of ports but throws a ValidationError
+//
+function _importPorts(rows) {
+  const header  = rows.length > 0 ? rows[0].cells : [];
+  const unknown = header.filter(column => !PORT_COLUMNS.includes(column));
+
+  if (!header.includes('number')) {
+    throw new ValidationError('ports csv requires a column: number');
+  }
+  if (unknown.length > 0) {
+    throw new ValidationError('ports csv has unknown columns: ' + unknown.join(', '));
+  }
+
+  const errors = [];
+  const ports  = rows.slice(1).map(({ line, cells }) => {
+    const port = {};
+
+    header.forEach((column, columnIndex) => {
+      const cell = (cells[columnIndex] || '').trim();
+
+      if (cell === '') {
+        return;
+      }
+
+      if (LIST_COLUMNS.includes(column)) {
+        port[column] = cell.split(',').map(item => item.trim()).filter(item => item);
+      } else if (NUMBER_COLUMNS.includes(column) && /^\d+$/.test(cell)) {
+        port[column] = Number(cell);
+      } else {
+        port[column] = cell;
+      }
+    });
+
+    errors.push(..._validate(port, SCHEMA.$defs.port, 'line ' + line));
+
+    return port;
+  });
+
+  errors.push(..._duplicates(ports.map(port => port.number), 'port'));
+
+  if (errors.length > 0) {
+    throw new ValidationError('invalid ports csv: ' + errors.join('; '));
+  }
+
+  return ports;
+}
+
+// --- _IMPORTVLANS ------------------------------------------------------------
+//
+// _importVlans: converts the lines of a vlans-csv into vlans
+//   rows:     lines of the file as returned by _parseCSV (the first line:
+//             header)
+// returns:
+//   list of vlans but throws a ValidationError
+//
+function _importVlans(rows) {
+  const header  = rows.length > 0 ? rows[0].cells : [];
+  const unknown = header.filter(column => !['id', 'name'].includes(column) && !/^\d+$/.test(column));
+
+  if (!header.includes('id')) {
+    throw new ValidationError('vlans csv requires a column: id');
+  }
+  if (unknown.length > 0) {
+    throw new ValidationError('vlans csv has unknown columns: ' + unknown.join(', '));
+  }
+
+  const errors = [];
+  const vlans  = rows.slice(1).map(({ line, cells }) => {
+    const vlan = {};
+
+    header.forEach((column, columnIndex) => {
+      const cell = (cells[columnIndex] || '').trim();
+
+      if (column === 'id') {
+        vlan.id = /^\d+$/.test(cell) ? Number(cell) : cell;
+      } else if (column === 'name') {
+        vlan.name = cell;
+      } else if (cell !== '') {
+        const membership = MEMBERSHIPS[cell.toUpperCase()];
+
+        if (!membership) {
+          errors.push('line ' + line + ': port ' + column + ' must be T, U or empty');
+          return;
+        }
+
+        vlan[membership] = vlan[membership] || [];
+        vlan[membership].push(Number(column));
+      }
+    });
+
+    vlan.tagged   = vlan.tagged || [];
+    vlan.untagged = vlan.untagged || [];
+
+    errors.push(..._validate(vlan, SCHEMA.$defs.vlan, 'line ' + line));
+
+    return vlan;
+  });
+
+  errors.push(..._duplicates(vlans.map(vlan => vlan.id), 'vlan'));
+
+  if (errors.length > 0) {
+    throw new ValidationError('invalid vlans csv: ' + errors.join('; '));
+  }
+
+  return vlans;
+}
+
+// --- _DUPLICATES -------------------------------------------------------------
+//
+// _duplicates: finds values which are listed more than once
+//   values:   list of values (e.g. the numbers of the ports)
+//   label:    name of the entries
+// returns:
+//   list of error messages
+//
+function _duplicates(values, label) {
+  return values
+    .filter((value, index) => values.indexOf(value) !== index)
+    .filter((value, index, list) => list.indexOf(value) === index)
+    .map(value => label + ' ' + value + ' is listed more than once');
+}
+
+// --- _VALIDATE ---------------------------------------------------------------
+//
+// _validate: validates a value against a schema
+//   value:    the value
+//   schema:   the (sub)schema - supports the keywords $ref (within the schema),
+//             type, enum, minimum, maximum, maxLength, pattern, properties,
+//             required, additionalProperties, items and uniqueItems
+//   path:     path of the value for error messages (e.g. switch.ports[2])
+// returns:
+//   list of error messages (empty if the value is valid)
+//
+function _validate(value, schema, path) {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], SCHEMA);
+
+    return _validate(value, { ...target, ...schema, $ref: undefined }, path);
+  }
+
+  // check type
+  const types = {
+    object:  v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array:   v => Array.isArray(v),
+    string:  v => typeof v === 'string',
+    integer: v => Number.isInteger(v),
+    number:  v => typeof v === 'number',
+    boolean: v => typeof v === 'boolean'
+  };
+
+  if (schema.type && !types[schema.type](value)) {
+    return [path + ' must be ' + (schema.type === 'integer' || schema.type === 'array' ? 'an ' : 'a ') + schema.type];
+  }
+
+  const errors = [];
+
+  // check values
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(path + ' must be one of: ' + schema.enum.map(item => item === '' ? "''" : item).join(', '));
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(path + ' must be at least ' + schema.minimum);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(path + ' must be at most ' + schema.maximum);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(path + ' must have at most ' + schema.maxLength + ' characters');
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(path + ' is not valid: ' + value);
+  }
+
+  // check properties of objects
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(path + '.' + key + ' is missing');
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties && schema.properties[key]) {
+        errors.push(..._validate(item, schema.properties[key], path + '.' + key));
+      } else if (schema.additionalProperties === false) {
+        errors.push(path + '.' + key + ' is not supported');
+      }
+    }
+  }
+
+  // check items of arrays
+  if (schema.type === 'array') {
+    value.forEach((item, index) => errors.push(..._validate(item, schema.items || {}, path + '[' + index + ']')));
+
+    if (schema.uniqueItems && new Set(value).size !== value.length) {
+      errors.push(path + ' must not contain duplicates');
+    }
+  }
+
+  return errors;
+}
+
+// --- _MODELERRORS ------------------------------------------------------------
+//
+// _modelErrors: checks the ports and groups of a switch against its model
+//   swtch:    switch object of a valid document
+// returns:
+//   list of error messages (empty if the switch names no model)
+//
+function _modelErrors(swtch) {
+  if (!swtch.model) {
+    return [];
+  }
+
+  const profile = MODELS[swtch.model];
+  const path    = 'document.switch';
+  const errors  = [];
+
+  // numbers of ports (and of port-based vlans) beyond the ports of the model
+  const ports = (value, label) => {
+    if ([].concat(value).some(port => port > profile.ports)) {
+      errors.push(label + ' must be at most ' + profile.ports + ' (the ' + swtch.model + ' has ' + profile.ports + ' ports)');
+    }
+  };
+
+  // ids of link aggregation groups beyond the groups of the model
+  const lags = (value, label) => {
+    if (value > profile.lags) {
+      errors.push(label + ' must be at most ' + profile.lags + ' (the ' + swtch.model + ' has ' + profile.lags + ' lags)');
+    }
+  };
+
+  (swtch.ports || []).forEach((port, index) => {
+    ports(port.number, path + '.ports[' + index + '].number');
+    lags(port.lag, path + '.ports[' + index + '].lag');
+  });
+  (swtch.vlans || []).forEach((vlan, index) => {
+    ports(vlan.tagged || [], path + '.vlans[' + index + '].tagged');
+    ports(vlan.untagged || [], path + '.vlans[' + index + '].untagged');
+  });
+  (swtch.portVlans || []).forEach((vlan, index) => {
+    ports(vlan.id, path + '.portVlans[' + index + '].id');
+    ports(vlan.members || [], path + '.portVlans[' + index + '].members');
+  });
+  (swtch.lags || []).forEach((lag, index) => {
+    lags(lag.id, path + '.lags[' + index + '].id');
+    ports(lag.members || [], path + '.lags[' + index + '].members');
+  });
+
+  if (swtch.mirror) {
+    ports(swtch.mirror.destination || [], path + '.mirror.destination');
+    ports((swtch.mirror.sources || []).map(source => source.port), path + '.mirror.sources');
+  }
+
+  return errors;
+}
+
+// --- _CELL -------------------------------------------------------------------
+//
+// _cell: converts a value into the text of a cell
+//   value:    the value (lists are separated by commas)
+// returns:
+//   the text of the cell
+//
+function _cell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+// --- _CSV --------------------------------------------------------------------
+//
+// _csv: writes lines of cells as CSV (RFC 4180)
+//   rows:     lines of the file split into cells
+// returns:
+//   the text of the file
+//
+function _csv(rows) {
+  const quote = cell => /[",\r\n]/.test(cell) ? '"' + cell.replace(/"/g, '""') + '"' : cell;
+
+  return rows.map(cells => cells.map(quote).join(',') + '\n').join('');
+}
+
+// --- _PARSECSV ---------------------------------------------------------------
+//
+// _parseCSV: splits CSV (RFC 4180) into lines of cells
+//   text:     the text of the file (e.g. saved by a spreadsheet)
+// returns:
+//   list of {line, cells}: number of the line in the file and its cells (empty
+//   lines are skipped) but throws a ValidationError for unterminated quotes
+//
+function _parseCSV(text) {
+  const rows   = [];
+  let   row    = { line: 1, cells: [] };
+  let   cell   = '';
+  let   line   = 1;
+  let   quoted = false;
+
+  // spreadsheets may prefix the file with a byte order mark
+  text = text.replace(/^\uFEFF/, '');
+
+  for (var index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        line += (char === '\n') ? 1 : 0;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+
+      row.cells.push(cell);
+      rows.push(row);
+      line++;
+      row  = { line: line, cells: [] };
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError('invalid csv: unterminated quote');
+  }
+
+  row.cells.push(cell);
+  rows.push(row);
+
+  return rows.filter(({ cells }) => cells.some(c => c.trim() !== ''));
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { validateInfo, exportInfo, importInfo, FORMATS };
+
+// -----------------------------------------------------------------------------
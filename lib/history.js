@@ -0,0 +1,171 @@
+import { COUNTERS, counterDeltas } from './counters.js';
+import { appendRecord, readRecords, selectRecords, switchKey } from './jsonl.js';
+
+// -----------------------------------------------------------------------------
+//
+// history: history of the port counters of TP Link SG108E switches
+//
+// The counters of the ports (TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt) are
+// only a snapshot of the packets since the last reboot or clear. The history
+// keeps timestamped snapshots of the counters of the output of Info in an
+// append-only file (default: sg108e-history.jsonl in the working directory -
+// see jsonl.js) with one JSON object per line:
+//     {"time":"2024-01-31T12:00:00.000Z","server":"192.168.0.1","mac":"70:4F:57:35:BE:36","ports":[{"number":1,"TxGoodPkt":4318,"TxBadPkt":0,"RxGoodPkt":58799,"RxBadPkt":0},...]}
+//
+// The totals of a time range are the sums of the increases of the counters
+// between consecutive snapshots of a switch.
+//
+// Wrapped around and reset counters are detected as described in counters.js.
+// The packets before a reset are lost, unless a snapshot has been recorded
+// right before the reset. Snapshots recorded right after a clear are marked as
+// cleared.
+//
+// --- CONSTANTS ---------------------------------------------------------------
+
+const DEFAULT_FILE = 'sg108e-history.jsonl';
+
+// --- APPENDHISTORY -----------------------------------------------------------
+//
+// appendHistory: appends a snapshot of the counters to the history
+//   server:   hostname or IP address of the switch
+//   data:     output of Info
+//   options:  optional settings:
+//     file:    file of the history (default: sg108e-history.jsonl)
+//     time:    time of the snapshot (default: now)
+//     cleared: true if the counters have just been cleared
+// returns:
+//   the snapshot
+//
+async function appendHistory(server, data, options = {}) {
+  const snapshot = {
+    time:   new Date(options.time || Date.now()).toISOString(),
+    server: server,
+    mac:    data.switch.mac || null,
+    ports:  data.switch.ports.map(port => ({
+      number:    port.number,
+      TxGoodPkt: port.TxGoodPkt,
+      TxBadPkt:  port.TxBadPkt,
+      RxGoodPkt: port.RxGoodPkt,
+      RxBadPkt:  port.RxBadPkt
+    }))
+  };
+
+  if (options.cleared) {
+    snapshot.cleared = true;
+  }
+
+  return await appendRecord(options.file || DEFAULT_FILE, snapshot);
+}
+
+// --- READHISTORY -------------------------------------------------------------
+//
+// readHistory: reads the snapshots of the history
+//   options:  optional settings:
+//     file:    file of the history (default: sg108e-history.jsonl)
+// returns:
+//   list of snapshots in the order of the file but throws an error if a line
+//   is not a snapshot
+//
+async function readHistory(options = {}) {
+  return await readRecords(options.file || DEFAULT_FILE, snapshot => Array.isArray(snapshot.ports), 'snapshot');
+}
+
+// --- QUERYHISTORY ------------------------------------------------------------
+//
+// queryHistory: determines the totals of the counters within a time range
+//   snapshots: list of snapshots as returned by readHistory
+//   options:   optional filter:
+//     server:  server or MAC address of the switch - incl. the snapshots at its
+//              previous servers (default: all switches)
+//     from:    start of the time range (default: first snapshot)
+//     to:      end of the time range (default: last snapshot)
+// returns:
+//   list of totals per switch:
+//     - server: 192.168.0.1
+//       mac: '70:4F:57:35:BE:36'
+//       from: '2024-01-31T12:00:00.000Z'    (first snapshot within the range)
+//       to: '2024-01-31T18:00:00.000Z'      (last snapshot within the range)
+//       snapshots: 7
+//       resets: 1
+//       ports:
+//         - {number: 1, TxGoodPkt: 4318, TxBadPkt: 0, RxGoodPkt: 58799, RxBadPkt: 2, packets: 63117, errors: 2}
+//
+function queryHistory(snapshots, options = {}) {
+  // snapshots within the range grouped by switch in the order of time
+  const switches = new Map();
+
+  for (const snapshot of selectRecords(snapshots, options)) {
+    if (!switches.has(switchKey(snapshot))) {
+      switches.set(switchKey(snapshot), []);
+    }
+
+    switches.get(switchKey(snapshot)).push(snapshot);
+  }
+
+  return [...switches.values()].map(list => _totals(list.sort((a, b) => new Date(a.time) - new Date(b.time))));
+}
+
+// --- _TOTALS -----------------------------------------------------------------
+//
+// _totals: sums up the increases of the counters of a switch
+//   snapshots: snapshots of the switch in the order of time
+// returns:
+//   the totals of the switch (see queryHistory)
+//
+function _totals(snapshots) {
+  const last   = snapshots[snapshots.length - 1];
+  const totals = new Map();
+  let   resets = 0;
+
+  for (var snapshotIndex = 1; snapshotIndex < snapshots.length; snapshotIndex++) {
+    const before = snapshots[snapshotIndex - 1];
+    const after  = snapshots[snapshotIndex];
+    let   reset  = false;
+
+    for (const port of after.ports) {
+      const old   = before.ports.find(p => p.number === port.number);
+      const total = totals.get(port.number) || { number: port.number, TxGoodPkt: 0, TxBadPkt: 0, RxGoodPkt: 0, RxBadPkt: 0 };
+
+      totals.set(port.number, total);
+
+      if (!old) {
+        continue;
+      }
+
+      const { reset: cleared, deltas } = counterDeltas(old, port, after.cleared);
+
+      for (const counter of COUNTERS) {
+        total[counter] += deltas[counter];
+      }
+
+      reset = reset || cleared;
+    }
+
+    resets += reset ? 1 : 0;
+  }
+
+  // ports of the last snapshot without any increase (e.g. a single snapshot)
+  for (const port of last.ports) {
+    if (!totals.has(port.number)) {
+      totals.set(port.number, { number: port.number, TxGoodPkt: 0, TxBadPkt: 0, RxGoodPkt: 0, RxBadPkt: 0 });
+    }
+  }
+
+  return {
+    server:    last.server,
+    mac:       last.mac,
+    from:      snapshots[0].time,
+    to:        last.time,
+    snapshots: snapshots.length,
+    resets:    resets,
+    ports:     [...totals.values()]
+      .sort((a, b) => a.number - b.number)
+      .map(total => ({ ...total, packets: total.TxGoodPkt + total.RxGoodPkt, errors: total.TxBadPkt + total.RxBadPkt }))
+  };
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { appendHistory, readHistory, queryHistory };
+
+// -----------------------------------------------------------------------------
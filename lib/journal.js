@@ -0,0 +1,141 @@
+import { appendRecord, readRecords, selectRecords } from './jsonl.js';
+
+// -----------------------------------------------------------------------------
+//
+// journal: journal of the changes of TP Link SG108E switches
+//
+// The entries recorded by Journal (see index.js) are kept in an append-only
+// file (default: sg108e-journal.jsonl in the working directory - see jsonl.js)
+// with one JSON object per line:
+//     {"id":"3f6a9c01","time":"2024-01-31T12:00:00.000Z","operator":"bernard","server":"192.168.0.1","mac":"70:4F:57:35:BE:36","operation":"SetVLAN","requests":[...],"before":{"switch":...},"after":{"switch":...}}
+//
+// An entry holds the complete output of Info before and after the change, so
+// that the changes can be listed and the switch can be restored to the state
+// before the change (see Rollback). The status of the switch (link state and
+// speed, packet counters and multicast groups) is not regarded as a change.
+//
+// --- CONSTANTS ---------------------------------------------------------------
+
+const DEFAULT_FILE = 'sg108e-journal.jsonl';
+const STATUS       = ['link', 'speed', 'TxGoodPkt', 'TxBadPkt', 'RxGoodPkt', 'RxBadPkt', 'groups'];
+
+// --- APPENDJOURNAL -----------------------------------------------------------
+//
+// appendJournal: appends an entry to the journal
+//   entry:    journal entry as recorded by Journal
+//   options:  optional settings:
+//     file:    file of the journal (default: sg108e-journal.jsonl)
+// returns:
+//   the entry
+//
+async function appendJournal(entry, options = {}) {
+  return await appendRecord(options.file || DEFAULT_FILE, entry);
+}
+
+// --- READJOURNAL -------------------------------------------------------------
+//
+// readJournal: reads the entries of the journal
+//   options:  optional settings:
+//     file:    file of the journal (default: sg108e-journal.jsonl)
+// returns:
+//   list of entries in the order of the file but throws an error if a line is
+//   not a journal entry
+//
+async function readJournal(options = {}) {
+  return await readRecords(options.file || DEFAULT_FILE, entry => typeof entry.id === 'string' && Array.isArray(entry.requests), 'journal entry');
+}
+
+// --- QUERYJOURNAL ------------------------------------------------------------
+//
+// queryJournal: lists the changes of the entries within a time range
+//   entries:  list of entries as returned by readJournal
+//   options:  optional filter:
+//     server:  server or MAC address of the switch - incl. the entries of its
+//              previous servers (default: all switches)
+//     from:    start of the time range (default: first entry)
+//     to:      end of the time range (default: last entry)
+// returns:
+//   list of summaries in the order of the journal:
+//     - id: 3f6a9c01
+//       time: '2024-01-31T12:00:00.000Z'
+//       operator: bernard
+//       server: 192.168.0.1
+//       mac: '70:4F:57:35:BE:36'
+//       operation: SetVLAN
+//       requests:
+//         - GET http://192.168.0.1:80/qvlanSet.cgi?vid=10&vname=iot&...
+//       changes:                        (null if the state after is unknown)
+//         - 'vlans.10: null -> {"name":"iot","id":10,"tagged":[8],"untagged":[7]}'
+//       error: ...                      (only if the operation has failed)
+//
+function queryJournal(entries, options = {}) {
+  return selectRecords(entries, options)
+    .map(entry => {
+      const changes = (entry.before && entry.after) ? _changes(entry.before.switch, entry.after.switch, '') : null;
+      const summary = {
+        id:        entry.id,
+        time:      entry.time,
+        operator:  entry.operator,
+        server:    entry.server,
+        mac:       entry.mac,
+        operation: entry.operation,
+        requests:  entry.requests,
+        changes:   changes && changes.map(c => c.attribute + ': ' + JSON.stringify(c.before) + ' -> ' + JSON.stringify(c.after))
+      };
+
+      if (entry.error) {
+        summary.error = entry.error;
+      }
+
+      return summary;
+    });
+}
+
+// --- _CHANGES ----------------------------------------------------------------
+//
+// _changes: determines the differences between two configurations
+//   before:   configuration before (e.g. switch object of Info)
+//   after:    configuration after
+//   path:     path of the configuration (e.g. ports.4)
+// returns:
+//   list of differences: {attribute, before, after} - lists of ports and vlans
+//   are compared by number and id, the status of the switch is ignored
+//
+function _changes(before, after, path) {
+  const key     = item => (item && typeof item === 'object' && !Array.isArray(item)) ? (item.number ?? item.id) : undefined;
+  const object  = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const keyed   = (Array.isArray(before) || Array.isArray(after)) && [...(before || []), ...(after || [])].every(item => key(item) !== undefined);
+  const changes = [];
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return changes;
+  }
+
+  if (keyed) {
+    const items = [...(before || []), ...(after || [])];
+    const keys  = [...new Set(items.map(key))].sort((a, b) => a - b);
+
+    for (const id of keys) {
+      const itemBefore = (before || []).find(item => key(item) === id) || null;
+      const itemAfter  = (after  || []).find(item => key(item) === id) || null;
+
+      changes.push(..._changes(itemBefore, itemAfter, path + '.' + id));
+    }
+  } else if (object(before) && object(after)) {
+    for (const attribute of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (!STATUS.includes(attribute)) {
+        changes.push(..._changes(before[attribute], after[attribute], path ? path + '.' + attribute : attribute));
+      }
+    }
+  } else {
+    changes.push({ attribute: path, before: before ?? null, after: after ?? null });
+  }
+
+  return changes;
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { appendJournal, readJournal, queryJournal };
+
+// -----------------------------------------------------------------------------
@@ -0,0 +1,110 @@
+import { appendFile, readFile } from 'fs/promises';
+
+// -----------------------------------------------------------------------------
+//
+// jsonl: append-only files of records of TP Link SG108E switches
+//
+// The history and the journal keep their records in append-only files with one
+// JSON object per line. Every record has a time (ISO 8601), the server and the
+// MAC address of its switch:
+//     {"time":"2024-01-31T12:00:00.000Z","server":"192.168.0.1","mac":"70:4F:57:35:BE:36",...}
+//
+// The switches are identified by their MAC address (or by the server if the
+// MAC address is not known), so that the records survive a change of the
+// address.
+//
+// --- APPENDRECORD ------------------------------------------------------------
+//
+// appendRecord: appends a record to a file
+//   file:     the file
+//   record:   the record
+// returns:
+//   the record
+//
+async function appendRecord(file, record) {
+  await appendFile(file, JSON.stringify(record) + '\n');
+
+  return record;
+}
+
+// --- READRECORDS -------------------------------------------------------------
+//
+// readRecords: reads the records of a file
+//   file:     the file
+//   valid:    function checking a record
+//   label:    description of a record for the error (e.g. snapshot)
+// returns:
+//   list of records in the order of the file but throws an error if a line is
+//   not a valid record
+//
+async function readRecords(file, valid, label) {
+  const text = await readFile(file, 'utf8');
+
+  return text.split('\n').flatMap((line, index) => {
+    if (line.trim() === '') {
+      return [];
+    }
+
+    let record;
+
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      record = null;
+    }
+
+    if (!record || typeof record.time !== 'string' || !valid(record)) {
+      throw new Error('invalid ' + label + ' in line ' + (index + 1) + ' of ' + file);
+    }
+
+    return [record];
+  });
+}
+
+// --- SELECTRECORDS -----------------------------------------------------------
+//
+// selectRecords: selects the records of a switch within a time range
+//   records:  list of records as returned by readRecords
+//   options:  optional filter:
+//     server:  server or MAC address of the switch - incl. the records of its
+//              previous servers (default: all switches)
+//     from:    start of the time range (default: first record)
+//     to:      end of the time range (default: last record)
+// returns:
+//   list of the selected records in the order of the list but throws an error
+//   for an invalid time range
+//
+function selectRecords(records, options = {}) {
+  const from = options.from === undefined ? -Infinity : new Date(options.from).getTime();
+  const to   = options.to   === undefined ?  Infinity : new Date(options.to).getTime();
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new Error('invalid time range: ' + options.from + ' - ' + options.to);
+  }
+
+  // a switch is selected by any of its servers or its MAC address
+  const selected = new Set(records.filter(r => [r.server, r.mac].includes(options.server)).map(switchKey));
+
+  return records.filter(record => {
+    const time = new Date(record.time).getTime();
+
+    return from <= time && time <= to && (!options.server || selected.has(switchKey(record)));
+  });
+}
+
+// --- SWITCHKEY ---------------------------------------------------------------
+//
+// switchKey: identifies the switch of a record
+//   record:   the record
+// returns:
+//   the MAC address of the switch or the server if it is not known
+//
+function switchKey(record) {
+  return record.mac || record.server;
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { appendRecord, readRecords, selectRecords, switchKey };
+
+// -----------------------------------------------------------------------------
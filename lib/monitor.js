@@ -0,0 +1,227 @@
+import { EventEmitter } from 'events';
+
+import { Info } from '../index.js';
+import { COUNTERS, counterDeltas } from './counters.js';
+
+// -----------------------------------------------------------------------------
+//
+// monitor: polling monitor for TP Link SG108E switches
+//
+// Polls a switch via Info and emits an event for every change which has been
+// detected between two polls:
+//
+// link-down:    a port has lost its link
+// link-up:      a port has got a link
+// speed-change: the link of a port has been renegotiated to another speed
+// errors:       the TxBadPkt/RxBadPkt counter of a port has increased
+// reset:        the counters of a port have been reset (e.g. reboot)
+// vlan-change:  an 802.1Q vlan has been created, modified or deleted
+// name-change:  the name of the switch has been changed
+//
+// Each event is emitted under its type and under 'event', e.g.:
+//     {
+//       type:   'speed-change',
+//       server: '192.168.0.1',
+//       time:   '2024-01-31T12:00:00.000Z',
+//       port:   8,
+//       before: '1000MF',
+//       after:  '100MF'
+//     }
+//
+// After each poll a 'poll' event provides the data of Info together with the
+// packet rates per port (packets per second since the previous poll) and
+// failed polls are signalled with a 'failure' event.
+//
+// Changes made by our own tooling are registered with expect() - e.g. with the
+// entries recorded by Journal (see index.js):
+//     Journal({ record: entry => monitor.expect(entry) }, SetVLAN, ...)
+// A vlan-change or name-change is not emitted if one of the changes registered
+// since the previous poll has changed the vlan or name to its current state.
+// Changes which are not registered are reported like any other change, and so
+// are changes read by a poll while they are being made (before they have been
+// registered).
+//
+// --- CONSTANTS ---------------------------------------------------------------
+
+const DEFAULT_INTERVAL = 60000;
+const ERROR_COUNTERS   = ['TxBadPkt', 'RxBadPkt'];
+
+// --- STARTMONITOR ------------------------------------------------------------
+//
+// startMonitor: starts polling a switch
+//   server:   hostname or IP address of the switch
+//   username: username for the WebUI (default: admin)
+//   password: password for the WebUI (default: admin)
+//   options:  optional settings:
+//     interval: time in ms between two polls (default: 60000)
+// returns:
+//   monitor object (an EventEmitter) with the functions:
+//     expect(entry): registers a change of our own tooling (journal entry with
+//                    the output of Info before and after the change)
+//     stop():        stops polling
+//
+// The first poll is executed immediately, the following ones each interval
+// after the previous poll has finished.
+function startMonitor(server, username = 'admin', password = 'admin', options = {}) {
+  const interval = options.interval === undefined ? DEFAULT_INTERVAL : options.interval;
+  const monitor  = new EventEmitter();
+
+  let previous = null;
+  let timer    = null;
+  let running  = true;
+  let polling  = null;
+  let expected = [];
+
+  const poll = async () => {
+    // the changes registered before the switch is read
+    const own = expected;
+
+    expected = [];
+
+    try {
+      const current = { time: Date.now(), data: await Info(server, username, password) };
+      const seconds = previous ? (current.time - previous.time) / 1000 : 0;
+      const changes = previous ? compare(previous.data, current.data, seconds, own) : { events: [], rates: [] };
+
+      previous = current;
+
+      for (const change of changes.events) {
+        const event = { type: change.type, server: server, time: new Date(current.time).toISOString(), ...change };
+
+        monitor.emit(event.type, event);
+        monitor.emit('event', event);
+      }
+
+      monitor.emit('poll', { server: server, data: current.data, rates: changes.rates });
+    } catch (error) {
+      monitor.emit('failure', { server: server, error: error });
+    }
+
+    // schedule the next poll
+    if (running) {
+      timer = setTimeout(() => { polling = poll(); }, interval);
+    }
+  };
+
+  polling = poll();
+
+  monitor.expect = entry => {
+    if (entry && entry.after && entry.after.switch) {
+      expected.push(entry);
+    }
+  };
+
+  monitor.stop = async () => {
+    running = false;
+
+    clearTimeout(timer);
+
+    await polling;
+  };
+
+  return monitor;
+}
+
+// --- COMPARE -----------------------------------------------------------------
+//
+// compare: determines the changes between two outputs of Info
+//   before:   previous output of Info
+//   after:    current output of Info
+//   seconds:  time between the two outputs
+//   own:      journal entries of changes of our own tooling - vlans and names
+//             changed by them to their current state are not reported
+//             (default: none)
+// returns:
+//   data object with the list of events and the packet rates per port:
+//     events:
+//       - {type: link-down, port: 3, before: 1000MF, after: down}
+//     rates:
+//       - {port: 8, TxGoodPkt: 12.5, TxBadPkt: 0, RxGoodPkt: 130.2, RxBadPkt: 0}
+//
+function compare(before, after, seconds, own = []) {
+  const events = [];
+  const rates  = [];
+
+  // changes of our own tooling (vlans or name changed to their current state)
+  const ours = (select, now) => own.some(entry => {
+    const previous = entry.before ? select(entry.before.switch) : undefined;
+    const changed  = select(entry.after.switch);
+
+    return JSON.stringify(previous) !== JSON.stringify(changed) && JSON.stringify(changed) === JSON.stringify(now);
+  });
+
+  // switch
+  if (before.switch.name !== after.switch.name && !ours(swtch => swtch.name, after.switch.name)) {
+    events.push({ type: 'name-change', before: before.switch.name, after: after.switch.name });
+  }
+
+  // ports
+  for (const port of after.switch.ports) {
+    const old = before.switch.ports.find(p => p.number === port.number);
+
+    if (!old) {
+      continue;
+    }
+
+    // link state and speed
+    if (old.link !== 'down' && port.link === 'down') {
+      events.push({ type: 'link-down', port: port.number, before: old.link, after: port.link });
+    } else if (old.link === 'down' && port.link !== 'down') {
+      events.push({ type: 'link-up', port: port.number, before: old.link, after: port.link });
+    } else if (old.link !== port.link) {
+      events.push({ type: 'speed-change', port: port.number, before: old.link, after: port.link });
+    }
+
+    // counters (see counters.js)
+    const { reset, deltas } = counterDeltas(old, port);
+
+    if (reset) {
+      events.push({ type: 'reset', port: port.number });
+    }
+
+    for (const counter of ERROR_COUNTERS.filter(counter => deltas[counter] > 0)) {
+      events.push({ type: 'errors', port: port.number, counter: counter, before: old[counter], after: port[counter], increase: deltas[counter] });
+    }
+
+    // packet rates
+    const rate = { port: port.number };
+
+    for (const counter of COUNTERS) {
+      rate[counter] = seconds > 0 ? Math.round(deltas[counter] / seconds * 10) / 10 : 0;
+    }
+
+    rates.push(rate);
+  }
+
+  // vlans
+  const ids = [...new Set([...before.switch.vlans, ...after.switch.vlans].map(vlan => vlan.id))].sort((a, b) => a - b);
+
+  for (const id of ids) {
+    const old = _vlan(before.switch.vlans.find(vlan => vlan.id === id));
+    const now = _vlan(after.switch.vlans.find(vlan => vlan.id === id));
+
+    if (JSON.stringify(old) !== JSON.stringify(now) && !ours(swtch => _vlan((swtch.vlans || []).find(vlan => vlan.id === id)), now)) {
+      events.push({ type: 'vlan-change', vlan: id, before: old, after: now });
+    }
+  }
+
+  // present the results
+  return { events: events, rates: rates };
+}
+
+// --- _VLAN -------------------------------------------------------------------
+//
+// _vlan: extracts the configuration of a vlan
+//   vlan:     vlan of the output of Info (may be undefined)
+// returns:
+//   name and members of the vlan or null
+//
+function _vlan(vlan) {
+  return vlan ? { name: vlan.name, tagged: vlan.tagged, untagged: vlan.untagged } : null;
+}
+
+// --- EXPORTS -----------------------------------------------------------------
+
+export { startMonitor, compare };
+
+// -----------------------------------------------------------------------------
@@ -0,0 +1,144 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApi } from '../lib/api.js';
+import { loadInventory } from '../lib/fleet.js';
+import { startEmulator } from './emulator.js';
+
+describe('api', () => {
+  let emulator;
+  let api;
+
+  before(async () => {
+    emulator = await startEmulator();
+    api      = await startApi(loadInventory({
+      switches: [
+        { name: 'office-1', server: emulator.server, groups: ['office'] },
+        { name: 'lab-1',    server: '127.0.0.1:1' }
+      ]
+    }), { tokens: ['secret'], port: 0 });
+  });
+  after(async () => {
+    await api.close();
+    await emulator.close();
+  });
+
+  const request = async (method, path, body, token = 'secret') => {
+    const response = await fetch('http://' + api.address + path, {
+      method:  method,
+      headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body:    body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+
+    return { status: response.status, body: text ? JSON.parse(text) : undefined };
+  };
+
+  it('requires a valid token', async () => {
+    assert.equal((await request('GET', '/switches', undefined, 'wrong')).status, 401);
+    assert.equal((await fetch('http://' + api.address + '/switches')).status, 401);
+    await assert.rejects(startApi([], { port: 0 }), /token/);
+  });
+
+  it('serves the OpenAPI description without a token', async () => {
+    const response = await fetch('http://' + api.address + '/openapi.json');
+    const data     = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.ok(data.paths['/switches/{id}/ports/{port}'].put);
+    assert.ok(data.paths['/switches/{id}/vlans/{vid}'].delete);
+  });
+
+  it('lists and reads the switches of the inventory', async () => {
+    const list = await request('GET', '/switches');
+
+    assert.deepEqual(list.body, [
+      { id: 'office-1', server: emulator.server, groups: ['office'] },
+      { id: 'lab-1',    server: '127.0.0.1:1',   groups: [] }
+    ]);
+    assert.equal((await request('GET', '/switches/office-1')).body.switch.name, 'TL-SG108E');
+    assert.equal((await request('GET', '/switches/office-1/ports')).body.length, 8);
+    assert.equal((await request('GET', '/switches/office-1/ports/8')).body.link, '1000MF');
+    assert.equal((await request('GET', '/switches/unknown')).status, 404);
+    assert.equal((await request('GET', '/switches/office-1/ports/9')).status, 404);
+    assert.equal((await request('GET', '/switches/office-1/fans')).status, 404);
+    assert.deepEqual(await request('GET', '/switches/%E0%A4%A'), { status: 400, body: { error: 'RequestError', message: 'invalid path: /switches/%E0%A4%A' } });
+    assert.equal((await request('DELETE', '/switches/office-1/ports/8')).status, 405);
+  });
+
+  it('sets ports', async () => {
+    const response = await request('PUT', '/switches/office-1/ports/3', { state: 'Disabled', speed: '100MF' });
+
+    assert.equal(response.status, 204);
+    assert.equal(emulator.state.ports[2].state, 0);
+    assert.equal(emulator.state.ports[2].speed, 5);
+
+    assert.equal((await request('PUT', '/switches/office-1/ports/3', { state: 'off' })).status, 400);
+    assert.equal((await request('PUT', '/switches/office-1/ports/3', { state: 'Enabled', speed: 'fast' })).status, 400);
+    assert.equal((await request('PUT', '/switches/office-1/ports/3', [1, 2])).status, 400);
+  });
+
+  it('adds, reads and deletes vlans', async () => {
+    const response = await request('PUT', '/switches/office-1/vlans/5', { name: 'iot', tagged: [8], untagged: [1, 2] });
+
+    assert.equal(response.status, 204);
+    assert.deepEqual((await request('GET', '/switches/office-1/vlans/5')).body, { name: 'iot', id: 5, tagged: [8], untagged: [1, 2] });
+    assert.equal((await request('GET', '/switches/office-1/vlans')).body.length, 2);
+
+    assert.equal((await request('PUT', '/switches/office-1/vlans/5', { name: 'iot' })).status, 400);
+    assert.equal((await request('PUT', '/switches/office-1/vlans/1', { name: 'x', tagged: [1] })).status, 400);
+    assert.equal((await request('DELETE', '/switches/office-1/vlans/5')).status, 204);
+    assert.equal((await request('GET', '/switches/office-1/vlans/5')).status, 404);
+  });
+
+  it('records the changes in the journal', async () => {
+    const entries = [];
+    const journal = await startApi(loadInventory({ switches: [{ name: 'office-1', server: emulator.server }] }), {
+      tokens:  ['secret'],
+      port:    0,
+      journal: { operator: 'api', record: entry => entries.push(entry) }
+    });
+
+    try {
+      const put = await fetch('http://' + journal.address + '/switches/office-1/ports/4', {
+        method:  'PUT',
+        headers: { 'Authorization': 'Bearer secret', 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ state: 'Disabled', speed: 'Auto' })
+      });
+      const get = await fetch('http://' + journal.address + '/switches/office-1/ports/4', { headers: { 'Authorization': 'Bearer secret' } });
+
+      assert.deepEqual([put.status, get.status], [204, 200]);
+      assert.deepEqual(entries.map(e => [e.operator, e.operation, e.before.switch.ports[3].state, e.after.switch.ports[3].state]), [
+        ['api', 'PUT /switches/office-1/ports/4', 'Enabled', 'Disabled']
+      ]);
+    } finally {
+      await journal.close();
+    }
+  });
+
+  it('reports failing switches', async () => {
+    const response = await request('GET', '/switches/lab-1');
+
+    assert.equal(response.status, 502);
+    assert.equal(response.body.error, 'UnreachableError');
+  });
+
+  it('never interleaves the sessions of concurrent requests', async () => {
+    emulator.state.requests.length = 0;
+
+    const responses = await Promise.all([
+      request('GET', '/switches/office-1/ports/1'),
+      request('PUT', '/switches/office-1/ports/1', { state: 'Enabled', speed: 'Auto' }),
+      request('PUT', '/switches/office-1/vlans/7', { name: 'guest', untagged: [7] }),
+      request('GET', '/switches/office-1')
+    ]);
+
+    assert.deepEqual(responses.map(r => r.status), [200, 204, 204, 200]);
+
+    // logins and logouts alternate
+    const sessions = emulator.state.requests.filter(r => r.includes('/logon.cgi') || r.includes('/Logout.htm'));
+
+    assert.equal(sessions.length, 8);
+    assert.ok(sessions.every((r, i) => r.includes(i % 2 === 0 ? '/logon.cgi' : '/Logout.htm')));
+  });
+});
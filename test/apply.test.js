@@ -0,0 +1,73 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Apply } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+const MANIFEST = `
+switch:
+  name: Switch-007
+  vlan: 802.1Q
+  ports:
+    - number: 4
+      state: Disabled
+      speedConfig: 100MH
+  vlans:
+    - name: Default
+      id: 1
+    - name: alpha
+      id: 3
+      tagged: [2,4,6,8]
+    - name: iot
+      id: 5
+      tagged: [8]
+      untagged: [1,2]
+`;
+
+describe('Apply', () => {
+  let emulator;
+
+  before(async () => {
+    emulator = await startEmulator();
+    emulator.state.vlans.push({ id: 5, name: 'iot', tagged: 0x80, untagged: 0x00 });
+    emulator.state.vlans.push({ id: 7, name: 'Test', tagged: 0x0C, untagged: 0x00 });
+  });
+  after(async () => { await emulator.close(); });
+
+  it('converges the switch towards the manifest', async () => {
+    const report = await Apply(emulator.server, 'admin', 'admin', MANIFEST);
+
+    assert.deepEqual(report.created, [
+      { type: 'vlan', id: 3, before: null, after: { name: 'alpha', tagged: [2, 4, 6, 8], untagged: [] } }
+    ]);
+    assert.deepEqual(report.modified, [
+      { type: 'switch', id: 'TL-SG108E', before: { name: 'TL-SG108E', vlan: 'Disabled' }, after: { name: 'Switch-007', vlan: '802.1Q' } },
+      { type: 'port', id: 4, before: { state: 'Enabled', speedConfig: 'Auto' }, after: { state: 'Disabled', speedConfig: '100MH' } },
+      { type: 'vlan', id: 5, before: { name: 'iot', tagged: [8], untagged: [] }, after: { name: 'iot', tagged: [8], untagged: [1, 2] } }
+    ]);
+    assert.deepEqual(report.deleted, [
+      { type: 'vlan', id: 7, before: { name: 'Test', tagged: [3, 4], untagged: [] }, after: null }
+    ]);
+
+    assert.equal(emulator.state.name, 'Switch-007');
+    assert.equal(emulator.state.qvlan, 1);
+    assert.deepEqual(emulator.state.ports[3].speed, 4);
+    assert.deepEqual(emulator.state.vlans.map(v => v.id), [1, 3, 5]);
+    assert.equal(emulator.state.vlans[2].untagged, 0x03);
+  });
+
+  it('does nothing when the switch is unchanged', async () => {
+    const count  = emulator.state.requests.length;
+    const report = await Apply(emulator.server, 'admin', 'admin', MANIFEST);
+
+    assert.deepEqual(report, { created: [], modified: [], deleted: [] });
+    assert.ok(emulator.state.requests.slice(count).every(r => !r.includes('.cgi?')));
+  });
+
+  it('rejects invalid manifests', async () => {
+    await assert.rejects(Apply(emulator.server, 'admin', 'admin', 'ports: []'), /switch object/);
+    await assert.rejects(Apply(emulator.server, 'admin', 'admin', { switch: { ports: [{ number: 9 }] } }), /port number/);
+    await assert.rejects(Apply(emulator.server, 'admin', 'admin', { switch: { vlans: [{ id: 5, name: 'x' }] } }), /member port/);
+    await assert.rejects(Apply(emulator.server, 'admin', 'admin', { switch: { vlans: [{ id: 5, name: 'x', tagged: [1], untagged: [1] }] } }), /invalid members of vlan 5/);
+  });
+});
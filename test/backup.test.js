@@ -0,0 +1,74 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { Backup, Restore, SetSwitch } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('Backup and Restore', () => {
+  let emulator;
+  let directory;
+
+  before(async () => {
+    emulator  = await startEmulator(0, { reboot: 500 });
+    directory = await mkdtemp(join(tmpdir(), 'sg108e-'));
+  });
+  after(async () => {
+    await emulator.close();
+    await rm(directory, { recursive: true });
+  });
+
+  it('downloads the configuration with metadata', async () => {
+    const backup = await Backup(emulator.server, 'admin', 'admin');
+
+    assert.ok(Buffer.isBuffer(backup.config));
+    assert.equal(backup.metadata.hardware, 'TL-SG108E 3.0');
+    assert.equal(backup.metadata.firmware, '1.0.0 Build 20171214 Rel.70905');
+    assert.equal(backup.metadata.mac, '70:4F:57:35:BE:36');
+    assert.ok(!isNaN(Date.parse(backup.metadata.date)));
+  });
+
+  it('restores a configuration and waits for the reboot', async () => {
+    const backup = await Backup(emulator.server, 'admin', 'admin');
+
+    await SetSwitch(emulator.server, 'admin', 'admin', 'Changed');
+
+    const report = await Restore(emulator.server, 'admin', 'admin', backup, 5000);
+
+    assert.equal(report.diagnosis, 'authorized');
+    assert.equal(report.switch.name, 'TL-SG108E');
+    assert.equal(emulator.state.name, 'TL-SG108E');
+  });
+
+  it('stores a backup in a file and restores it from there', async () => {
+    const file = join(directory, 'switch.cfg');
+
+    await SetSwitch(emulator.server, 'admin', 'admin', 'Stored');
+    await Backup(emulator.server, 'admin', 'admin', file);
+
+    assert.match(await readFile(file + '.yaml', 'utf8'), /hardware: TL-SG108E 3.0/);
+
+    await SetSwitch(emulator.server, 'admin', 'admin', 'Changed');
+
+    const report = await Restore(emulator.server, 'admin', 'admin', file, 5000);
+
+    assert.equal(report.switch.name, 'Stored');
+  });
+
+  it('refuses a backup of a different hardware version', async () => {
+    const backup = await Backup(emulator.server, 'admin', 'admin');
+
+    backup.metadata.hardware = 'TL-SG108E 1.0';
+    emulator.state.requests.length = 0;
+
+    await assert.rejects(Restore(emulator.server, 'admin', 'admin', backup), /hardware version of backup \(TL-SG108E 1.0\) differs from switch \(TL-SG108E 3.0\)/);
+    assert.ok(!emulator.state.requests.includes('POST /conf_restore.cgi'));
+  });
+
+  it('refuses invalid backups', async () => {
+    await assert.rejects(Restore(emulator.server, 'admin', 'admin', { config: Buffer.from('x') }), /missing hardware version/);
+    await assert.rejects(Restore(emulator.server, 'admin', 'admin', { metadata: { hardware: 'TL-SG108E 3.0' } }), /missing configuration file/);
+  });
+});
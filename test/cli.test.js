@@ -0,0 +1,160 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { load } from 'js-yaml';
+
+import { main } from '../lib/cli.js';
+import { startEmulator } from './emulator.js';
+
+// runs the command line interface and captures its output
+async function run(argv, env = {}) {
+  const stdout = { text: '', write(s) { this.text += s; } };
+  const stderr = { text: '', write(s) { this.text += s; } };
+  const code   = await main(argv, env, stdout, stderr);
+
+  return { code: code, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe('cli', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('prints the switch information as YAML', async () => {
+    const { code, stdout } = await run(['info', '-s', emulator.server]);
+
+    assert.equal(code, 0);
+    assert.equal(load(stdout).switch.name, 'TL-SG108E');
+  });
+
+  it('prints the switch information as JSON', async () => {
+    const { code, stdout } = await run(['info', '--format', 'json'], { SG108E_SERVER: emulator.server });
+
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).switch.ports.length, 8);
+  });
+
+  it('maps the diagnosis onto exit codes', async () => {
+    assert.equal((await run(['diagnosis', '-s', emulator.server])).code, 0);
+    assert.equal((await run(['diagnosis', '-s', emulator.server, '-p', 'wrong'])).code, 4);
+  });
+
+  it('runs the setters', async () => {
+    assert.equal((await run(['set-switch', '-s', emulator.server, '--name', 'Switch-007', '--vlan', '802.1q'])).code, 0);
+    assert.equal((await run(['set-port', '4', '-s', emulator.server, '--state', 'disabled', '--speed', '100MH'])).code, 0);
+    assert.equal((await run(['set-vlan', '3', '-s', emulator.server, '--name', 'alpha', '--tagged', '2,4,6,8', '--untagged', '1'])).code, 0);
+
+    assert.equal(emulator.state.name, 'Switch-007');
+    assert.equal(emulator.state.qvlan, 1);
+    assert.equal(emulator.state.ports[3].state, 0);
+    assert.equal(emulator.state.vlans[1].tagged, 0xAA);
+    assert.equal(emulator.state.vlans[1].untagged, 0x01);
+
+    assert.equal((await run(['set-vlan', '3', '-s', emulator.server, '--delete'])).code, 0);
+    assert.deepEqual(emulator.state.vlans.map(v => v.id), [1]);
+
+    assert.equal((await run(['set-pvid', '1,2', '-s', emulator.server, '--pvid', '1'])).code, 0);
+    assert.equal((await run(['set-pvid', '1,2', '-s', emulator.server, '--pvid', '3'])).code, 1);
+
+    assert.equal((await run(['set-port-vlan', '2', '-s', emulator.server, '--members', '1,2'])).code, 0);
+    assert.deepEqual(emulator.state.portVlans.map(v => v.id), [1, 2]);
+
+    assert.equal((await run(['set-lag', '1', '-s', emulator.server, '--members', '5,6'])).code, 0);
+    assert.equal((await run(['set-lag', '1', '-s', emulator.server, '--delete'])).code, 0);
+
+    assert.equal((await run(['set-mirror', '1', '-s', emulator.server, '--sources', '2:ingress,3'])).code, 0);
+    assert.deepEqual(emulator.state.ports[2].mirror, { ingress: 1, egress: 1 });
+    assert.equal((await run(['set-mirror', '-s', emulator.server, '--disable'])).code, 0);
+    assert.equal(emulator.state.mirror.state, 0);
+
+    assert.equal((await run(['set-qos', '-s', emulator.server, '--mode', 'port-based'])).code, 0);
+    assert.equal((await run(['set-priority', '1,2', '-s', emulator.server, '--priority', '4'])).code, 0);
+    assert.equal((await run(['set-bandwidth', '3', '-s', emulator.server, '--ingress', '64M', '--egress', '1M'])).code, 0);
+    assert.equal((await run(['set-storm-control', '4', '-s', emulator.server, '--rate', '1M', '--types', 'broadcast'])).code, 0);
+    assert.equal(emulator.state.qos, 0);
+    assert.deepEqual(emulator.state.ports.slice(0, 4).map(p => p.qos), [
+      { priority: 4, ingress: 0, egress: 0, stormRate: 0, stormTypes: 0 },
+      { priority: 4, ingress: 0, egress: 0, stormRate: 0, stormTypes: 0 },
+      { priority: 1, ingress: 8, egress: 2, stormRate: 0, stormTypes: 0 },
+      { priority: 1, ingress: 0, egress: 0, stormRate: 5, stormTypes: 4 }
+    ]);
+
+    assert.equal((await run(['set-igmp', '-s', emulator.server, '--state', 'enabled', '--suppression', 'disabled'])).code, 0);
+    assert.deepEqual(emulator.state.igmp, { state: 1, suppression: 0, groups: [] });
+
+    const result = await run(['set-ip', '127.0.0.1', '-s', emulator.server, '--netmask', '255.0.0.0', '-f', 'json']);
+
+    assert.equal(result.code, 0);
+    assert.deepEqual(JSON.parse(result.stdout), { server: emulator.server, diagnosis: 'authorized', warnings: [] });
+  });
+
+  it('rejects invalid arguments with exit code 2', async () => {
+    assert.equal((await run(['info'])).code, 2);
+    assert.equal((await run(['bogus', '-s', emulator.server])).code, 2);
+    assert.equal((await run(['set-port', '25', '-s', emulator.server, '--state', 'enabled', '--speed', 'Auto'])).code, 2);
+    assert.equal((await run(['set-port', '1', '-s', emulator.server, '--state', 'on', '--speed', 'Auto'])).code, 2);
+    assert.match((await run(['set-port', '1', '-s', emulator.server, '--state', 'constructor', '--speed', 'Auto'])).stderr, /--state must be one of/);
+    assert.equal((await run(['info', '-s', emulator.server, '--bogus'])).code, 2);
+    assert.equal((await run(['backup', '-s', emulator.server])).code, 2);
+    assert.equal((await run(['api', 'inventory.yaml'])).code, 2);
+  });
+
+  it('reports failed operations with exit code 1', async () => {
+    const { code, stderr } = await run(['apply', 'missing.yaml', '-s', emulator.server]);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /ENOENT/);
+
+    // ports beyond the ports of the model are refused by the switch
+    const result = await run(['set-port', '9', '-s', emulator.server, '--state', 'enabled', '--speed', 'Auto']);
+
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /the TL-SG108E has 8 ports/);
+  });
+
+  it('maps unreachable switches and invalid credentials onto exit codes', async () => {
+    assert.equal((await run(['info', '-s', '127.0.0.1:1'])).code, 3);
+    assert.equal((await run(['info', '-s', emulator.server, '-p', 'wrong'])).code, 4);
+  });
+
+  it('shows the requests of a dry run', async () => {
+    const { code, stdout } = await run(['set-port', '5', '-s', emulator.server, '--state', 'disabled', '--speed', 'Auto', '--dry-run']);
+    const plan = load(stdout);
+
+    assert.equal(code, 0);
+    assert.match(plan.requests[0], /\/port_setting.cgi\?portid=5&state=0/);
+    assert.deepEqual(plan.diff, ['state of port 5: "Enabled" -> "Disabled"']);
+    assert.equal(emulator.state.ports[4].state, 1);
+    assert.equal((await run(['info', '-s', emulator.server, '-n'])).code, 2);
+  });
+
+  it('exports and applies CSV files', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'sg108e-'));
+
+    try {
+      const ports = await run(['info', '-s', emulator.server, '-f', 'ports-csv']);
+      const vlans = await run(['info', '-s', emulator.server, '-f', 'vlans-csv']);
+
+      assert.equal(ports.code, 0);
+      assert.equal(ports.stdout.split('\n')[1].split(',')[0], '1');
+      assert.equal(vlans.stdout.split('\n')[0], 'id,name,1,2,3,4,5,6,7,8');
+      assert.equal((await run(['diagnosis', '-s', emulator.server, '-f', 'vlans-csv'])).code, 2);
+
+      await writeFile(join(directory, 'vlans.csv'), vlans.stdout + '12,cli,,,,,,,T,U\n');
+      await writeFile(join(directory, 'ports.csv'), 'number,state\n1,disabled\n');
+
+      assert.equal((await run(['apply', '-s', emulator.server, '--vlans', join(directory, 'vlans.csv')])).code, 0);
+      assert.deepEqual(emulator.state.vlans.map(v => v.id), [1, 12]);
+
+      const failed = await run(['apply', '-s', emulator.server, '--ports', join(directory, 'ports.csv')]);
+
+      assert.equal(failed.code, 1);
+      assert.match(failed.stderr, /line 2.state must be one of: Disabled, Enabled/);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
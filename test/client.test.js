@@ -0,0 +1,92 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SwitchClient } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SwitchClient', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(0, { reboot: 500 }); });
+  after(async () => { await emulator.close(); });
+
+  const count = path => emulator.state.requests.filter(request => request.includes(path)).length;
+
+  it('runs many calls within one session', async () => {
+    const client = new SwitchClient(emulator.server, 'admin', 'admin');
+
+    emulator.state.requests.length = 0;
+
+    for (let port = 1; port <= 8; port++) {
+      await client.setPort(port, 1, '100MF');
+    }
+
+    const data = await client.info();
+
+    await client.close();
+
+    assert.equal(count('/logon.cgi'), 1);
+    assert.equal(count('/Logout.htm'), 1);
+    assert.ok(data.switch.ports.every(port => port.speedConfig === '100MF'));
+    assert.equal(emulator.state.sessions.size, 0);
+  });
+
+  it('executes concurrent calls one after the other', async () => {
+    const client = new SwitchClient(emulator.server, 'admin', 'admin');
+
+    emulator.state.requests.length = 0;
+
+    const [data] = await Promise.all([client.info(), client.setSwitch('Concurrent')]);
+
+    await client.close();
+
+    // all pages of info have been read before the name has been set
+    const requests = emulator.state.requests;
+    const rename   = requests.findIndex(request => request.includes('/system_name_set.cgi'));
+
+    assert.equal(data.switch.name, 'TL-SG108E');
+    assert.ok(requests.indexOf('GET /IpSettingRpm.htm') < rename);
+  });
+
+  it('logs in again if the session has been terminated', async () => {
+    const client = new SwitchClient(emulator.server, 'admin', 'admin');
+
+    await client.setSwitch('Session-1');
+
+    // e.g. a timeout of the session
+    emulator.state.sessions.clear();
+    emulator.state.requests.length = 0;
+
+    await client.setSwitch('Session-2');
+    await client.close();
+
+    assert.equal(emulator.state.name, 'Session-2');
+    assert.equal(count('/logon.cgi'), 1);
+  });
+
+  it('logs out if a call fails', async () => {
+    const client = new SwitchClient(emulator.server, 'admin', 'admin');
+
+    await client.info();
+    await assert.rejects(client.setPVID([1], 99), /vlan 99 does not exist/);
+
+    assert.equal(emulator.state.sessions.size, 0);
+
+    // the next call starts a new session
+    assert.equal((await client.info()).switch.name, 'Session-2');
+
+    await client.close();
+  });
+
+  it('follows changes of the credentials', async () => {
+    const client = new SwitchClient(emulator.server, 'admin', 'admin');
+
+    await client.setPassword('operator', 's3cret!');
+
+    assert.equal(client.username, 'operator');
+    assert.equal((await client.info()).switch.name, 'Session-2');
+    assert.equal(await client.diagnosis(), 'authorized');
+
+    await client.close();
+  });
+});
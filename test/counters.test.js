@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { COUNTER_RANGE, counterDeltas } from '../lib/counters.js';
+
+// counters of a port: [TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt]
+function port([TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt]) {
+  return { TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt };
+}
+
+describe('counters', () => {
+  it('determines the increases of the counters', () => {
+    assert.deepEqual(counterDeltas(port([100, 0, 200, 1]), port([150, 0, 260, 3])), {
+      reset: false,
+      deltas: { TxGoodPkt: 50, TxBadPkt: 0, RxGoodPkt: 60, RxBadPkt: 2 }
+    });
+  });
+
+  it('takes counters into account which have wrapped around', () => {
+    const result = counterDeltas(port([COUNTER_RANGE - 10, 0, 0, 0]), port([5, 0, 0, 0]));
+
+    assert.equal(result.reset, false);
+    assert.equal(result.deltas.TxGoodPkt, 15);
+  });
+
+  it('counts all counters since a reset', () => {
+    assert.deepEqual(counterDeltas(port([1000, 2, 500, 0]), port([10, 0, 700, 0])), {
+      reset: true,
+      deltas: { TxGoodPkt: 10, TxBadPkt: 0, RxGoodPkt: 700, RxBadPkt: 0 }
+    });
+
+    // resets which are known (e.g. a clear) are not detected from the counters
+    assert.deepEqual(counterDeltas(port([10, 0, 20, 0]), port([30, 0, 40, 0]), true).deltas, { TxGoodPkt: 30, TxBadPkt: 0, RxGoodPkt: 40, RxBadPkt: 0 });
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Diagnosis } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('Diagnosis', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('reports valid credentials as authorized', async () => {
+    assert.equal(await Diagnosis(emulator.server, 'admin', 'admin'), 'authorized');
+    assert.equal(emulator.state.sessions.size, 0);
+  });
+
+  it('reports invalid credentials as not authorized', async () => {
+    assert.equal(await Diagnosis(emulator.server, 'admin', 'wrong'), 'not authorized');
+  });
+
+  it('reports an unreachable switch as not accessible', async () => {
+    const closed = await startEmulator();
+    await closed.close();
+
+    assert.equal(await Diagnosis(closed.server, 'admin', 'admin'), 'not accessible');
+  });
+});
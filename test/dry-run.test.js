@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DryRun, Info, SetSwitch, SetPort, SetVLAN, SetIP, SetPassword, Reboot, FactoryReset, Apply, SwitchClient, ValidationError } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('dry run', () => {
+  let emulator;
+  let snapshot;
+
+  before(async () => {
+    emulator = await startEmulator();
+    snapshot = JSON.stringify(await Info(emulator.server, 'admin', 'admin'));
+  });
+  after(async () => { await emulator.close(); });
+
+  // the switch has neither been modified nor been left logged in
+  const assertUntouched = async () => {
+    assert.ok(emulator.state.requests.every(r => r === 'POST /logon.cgi' || !r.includes('.cgi')), 'no configuration request');
+    assert.equal(emulator.state.sessions.size, 0);
+    assert.equal(JSON.stringify(await Info(emulator.server, 'admin', 'admin')), snapshot);
+  };
+
+  it('lists the requests and changes of a setter', async () => {
+    emulator.state.requests.length = 0;
+
+    const plan = await DryRun(SetPort, emulator.server, 'admin', 'admin', 4, 0, '100MH');
+
+    assert.deepEqual(plan, {
+      requests: ['GET http://' + emulator.server + '/port_setting.cgi?portid=4&state=0&speed=4&flowcontrol=0&apply=Apply'],
+      changes:  [
+        { attribute: 'state of port 4', before: 'Enabled', after: 'Disabled' },
+        { attribute: 'speed of port 4', before: 'Auto',    after: '100MH' }
+      ],
+      diff: ['state of port 4: "Enabled" -> "Disabled"', 'speed of port 4: "Auto" -> "100MH"']
+    });
+    assert.ok(emulator.state.requests.includes('GET /PortSettingRpm.htm'), 'current state read');
+
+    await assertUntouched();
+  });
+
+  it('lists the requests of switch and vlan changes', async () => {
+    emulator.state.requests.length = 0;
+
+    const plan1 = await DryRun(SetSwitch, emulator.server, 'admin', 'admin', 'Switch-007', 1);
+    const plan2 = await DryRun(SetVLAN, emulator.server, 'admin', 'admin', 5, 'iot', { tagged: [8], untagged: [1, 2] });
+    const plan3 = await DryRun(SetVLAN, emulator.server, 'admin', 'admin', 1, 'x', [1]).catch(error => error);
+
+    assert.deepEqual(plan1.requests.map(r => r.replace(/^GET http:\/\/[^/]+/, '')), ['/system_name_set.cgi?sysName=Switch-007', '/qvlanSet.cgi?qvlan_en=1&qvlan_mode=Apply']);
+    assert.deepEqual(plan1.diff, ['name: "TL-SG108E" -> "Switch-007"', 'vlan mode: "Disabled" -> "802.1Q"']);
+    assert.match(plan2.requests[0], /\/qvlanSet.cgi\?vid=5&vname=iot&selType_1=0&selType_2=0&selType_3=2&.*&selType_8=1&qvlan_add=Add%2FModify$/);
+    assert.deepEqual(plan2.changes, [{ attribute: 'vlan 5', before: null, after: { name: 'iot', tagged: [8], untagged: [1, 2] } }]);
+    assert.ok(plan3 instanceof ValidationError);
+
+    await assertUntouched();
+  });
+
+  it('lists the requests of Apply', async () => {
+    emulator.state.requests.length = 0;
+
+    const plan = await DryRun(Apply, emulator.server, 'admin', 'admin', {
+      switch: { name: 'lab', ports: [{ number: 2, state: 'Disabled' }], vlans: [{ name: 'guest', id: 7, untagged: [7] }] }
+    });
+
+    assert.deepEqual(plan.requests.map(r => new URL(r.slice(4)).pathname), ['/system_name_set.cgi', '/port_setting.cgi', '/qvlanSet.cgi']);
+    assert.deepEqual(plan.changes.map(c => c.attribute), ['name', 'state of port 2', 'vlan 7']);
+
+    await assertUntouched();
+  });
+
+  it('does not wait for the switch', async () => {
+    emulator.state.requests.length = 0;
+
+    const plan1 = await DryRun(SetIP, emulator.server, 'admin', 'admin', 0, '10.0.10.2', '255.255.255.0', '10.0.10.1');
+    const plan2 = await DryRun(SetPassword, emulator.server, 'admin', 'admin', 'operator', 's3cret!');
+    const plan3 = await DryRun(Reboot, emulator.server, 'admin', 'admin');
+    const plan4 = await DryRun(FactoryReset, emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(plan1.diff, ['ip: "192.168.0.1" -> "10.0.10.2"', 'gateway: "0.0.0.0" -> "10.0.10.1"']);
+    assert.deepEqual(plan2.diff, ['username: "admin" -> "operator"', 'password: "***" -> "***"']);
+    assert.match(plan2.requests[0], /usr_account_set.cgi\?txt_username=operator/);
+    assert.match(plan3.requests[0], /reboot.cgi\?reboot_op=reboot&save_op=true$/);
+    assert.match(plan4.requests[0], /reset.cgi\?reset_op=factory$/);
+    assert.deepEqual(plan4.changes, []);
+
+    await assertUntouched();
+  });
+
+  it('runs the methods of a client and lags', async () => {
+    const client = new SwitchClient(emulator.server, 'admin', 'admin');
+
+    emulator.state.requests.length = 0;
+
+    try {
+      const plan = await DryRun(async () => {
+        await client.setPort(1, 1, 'Auto');
+        await client.setLAG(1, [7, 8]);
+      });
+
+      assert.equal(plan.requests.length, 2);
+      assert.deepEqual(plan.diff, ['members of lag 1: [] -> [7,8]']);
+    } finally {
+      await client.close();
+    }
+
+    await assertUntouched();
+  });
+});
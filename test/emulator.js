@@ -0,0 +1,876 @@
+import { createServer } from 'http';
+import { parse } from 'querystring';
+import { fileURLToPath } from 'url';
+
+// -----------------------------------------------------------------------------
+//
+// emulator: a local emulation of the Web-UI of a TP Link SG108E switch
+//
+// The emulator serves the pages and CGI endpoints which are used by the
+// library and keeps the state of the switch in memory, so that the library
+// can be tested without access to a real switch:
+//
+// logon.cgi:             login (POST with username, password and logon)
+// Logout.htm:            logout
+// SystemInfoRpm.htm:     switch information
+// PortSettingRpm.htm:    port settings
+// PortStatisticsRpm.htm: port statistics
+// Vlan8021QRpm.htm:      802.1Q vlan configuration
+// Vlan8021QPvidRpm.htm:  port VLAN IDs
+// VlanPortBasicRpm.htm:  port-based vlan configuration
+// PortMirrorRpm.htm:     port mirroring configuration
+// QosBasicRpm.htm:       QoS mode and port priorities
+// QosBandWidthControlRpm.htm: port bandwidth control
+// QosStormControlRpm.htm: port storm control
+// IgmpSnoopingRpm.htm:   IGMP snooping configuration and multicast groups
+// IpSettingRpm.htm:      DHCP and IP settings
+// system_name_set.cgi:   sets the name of the switch
+// port_setting.cgi:      sets state and speed of a port
+// qvlanSet.cgi:          enables/disables 802.1Q vlans, adds/modifies/deletes
+//                        802.1Q vlans
+// vlanPvidSet.cgi:       sets the port VLAN ID of ports
+// pvlanSet.cgi:          enables/disables port-based vlans, adds/modifies/
+//                        deletes port-based vlans
+// port_trunk_set.cgi:    sets the members of a link aggregation group
+// port_trunk_display.cgi: dissolves a link aggregation group
+// mirror_enabled_set.cgi: enables/disables port mirroring
+// mirrored_port_set.cgi: sets the mirrored directions of a port
+// qos_mode_set.cgi:      sets the QoS mode
+// qos_port_priority_set.cgi: sets the priority of ports
+// qos_bandwidth_set.cgi: sets the ingress/egress rate limits of ports
+// qos_stormcontrol_set.cgi: sets the storm control of ports
+// igmpSnooping.cgi:      enables/disables IGMP snooping
+// port_statistics_set.cgi: clears the port statistics
+// ip_setting.cgi:        sets DHCP or static IP address, netmask and gateway
+// config_back.cgi:       downloads the configuration file
+// conf_restore.cgi:      uploads a configuration file and reboots (POST with
+//                        multipart/form-data)
+// usr_account_set.cgi:   changes username and password
+// reboot.cgi:            reboots the switch
+// reset.cgi:             resets the switch to factory settings and reboots
+//
+// Like the real switch the emulator keeps track of sessions by the address of
+// the client. Requests from clients which are not logged in are rejected with
+// status 401. While rebooting the emulator drops all connections and forgets
+// all sessions.
+//
+// Faults of the switch can be injected per path via state.faults:
+//   'ignore': the request is answered but has no effect
+//   <status>: the request is answered with the HTTP status (e.g. 500)
+//
+// Pages of other firmware versions can be served instead of the emulated ones
+// via state.pages (text of the page keyed by path, e.g. the fixtures in
+// test/fixtures).
+//
+// Other Easy Smart models are emulated via the options hardware, portCount and
+// lagCount (e.g. {hardware: 'TL-SG1024DE 1.0', portCount: 24, lagCount: 8}).
+//
+// The emulator can also be run standalone (default port: 8080):
+//     node test/emulator.js [port]
+//
+// --- STATE -------------------------------------------------------------------
+//
+// initialState: returns the state of a switch in factory settings
+//   options:  optional overrides of the switch attributes - the number of
+//             ports is set by portCount (default: 8)
+// returns:
+//   state object
+//
+function initialState(options = {}) {
+  const portCount = options.portCount || 8;
+  const allPorts  = (1 << portCount) - 1;
+
+  const state = {
+    username:  'admin',
+    password:  'admin',
+    hardware:  'TL-SG108E 3.0',
+    firmware:  '1.0.0 Build 20171214 Rel.70905',
+    name:      'TL-SG108E',
+    mac:       '70:4F:57:35:BE:36',
+    ip:        '192.168.0.1',
+    netmask:   '255.255.255.0',
+    gateway:   '0.0.0.0',
+    dhcp:      0,
+    qvlan:     0,
+    pvlan:     0,
+    portCount: portCount,
+    lagCount:  2,
+    maxVlans:  32,
+    ports:     [],
+    vlans:     [{ id: 1, name: 'Default', tagged: 0x00, untagged: allPorts }],
+    portVlans: [{ id: 1, members: allPorts }],
+    mirror:    { state: 0, destination: 1 },
+    qos:       1,
+    igmp:      { state: 0, suppression: 0, groups: [] },
+    reboot:    1000,
+    faults:    {},
+    pages:     {},
+    bootTime:  0,
+    sessions:  new Set(),
+    requests:  []
+  };
+
+  // all ports enabled with auto negotiation, only port 8 has a link
+  for (let portIndex = 0; portIndex < portCount; portIndex++) {
+    state.ports.push({
+      state:  1,
+      speed:  1,
+      link:   portIndex === 7 ? 6 : 0,
+      pvid:   1,
+      lag:    0,
+      mirror: { ingress: 0, egress: 0 },
+      qos:    { priority: 1, ingress: 0, egress: 0, stormRate: 0, stormTypes: 0 },
+      pkts:   portIndex === 7 ? [4318, 0, 58799, 0] : [0, 0, 0, 0]
+    });
+  }
+
+  return Object.assign(state, options);
+}
+
+// --- PAGES -------------------------------------------------------------------
+//
+// The pages mimic the script sections of the real Web-UI.
+//
+function systemInfoPage(state) {
+  return [
+    '<script>',
+    'var info_ds = {',
+    '  descriStr: [',
+    '    "' + state.name + '"',
+    '  ],',
+    '  macStr: [',
+    '    "' + state.mac + '"',
+    '  ],',
+    '  ipStr: [',
+    '    "' + state.ip + '"',
+    '  ],',
+    '  netmaskStr: [',
+    '    "' + state.netmask + '"',
+    '  ],',
+    '  gatewayStr: [',
+    '    "' + state.gateway + '"',
+    '  ],',
+    '  firmwareStr: [',
+    '    "' + state.firmware + '"',
+    '  ],',
+    '  hardwareStr: [',
+    '    "' + state.hardware + '"',
+    '  ]',
+    '};',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function portSettingPage(state) {
+  const ports = state.ports;
+
+  return [
+    '<script>',
+    'var max_port_num = ' + ports.length + ';',
+    'var port_middle_num = 16;',
+    'var all_info = {',
+    '  state: ['      + list(ports.map(p => p.state)) + '],',
+    '  trunk_info: [' + list(ports.map(p => p.lag)) + '],',
+    '  spd_cfg: ['    + list(ports.map(p => p.speed)) + '],',
+    '  spd_act: ['    + list(ports.map(p => p.state ? p.link : 0)) + '],',
+    '  fc_cfg: ['     + list(ports.map(() => 0)) + '],',
+    '  fc_act: ['     + list(ports.map(() => 0)) + ']',
+    '};',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function portStatisticsPage(state) {
+  const ports = state.ports;
+
+  return [
+    '<script>',
+    'var max_port_num = ' + ports.length + ';',
+    'var port_middle_num = 16;',
+    'var all_info = {',
+    '  state: ['       + list(ports.map(p => p.state)) + '],',
+    '  link_status: [' + list(ports.map(p => p.state ? p.link : 0)) + '],',
+    '  pkts: ['        + list(ports.flatMap(p => p.pkts).concat([0, 0])) + ']',
+    '};',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function vlanPage(state) {
+  const vlans = state.vlans;
+  const hex   = value => '0x' + value.toString(16).toUpperCase();
+
+  return [
+    '<script>',
+    'var qvlan_ds = {',
+    '  state: ' + state.qvlan + ',',
+    '  portNum: ' + state.ports.length + ',',
+    '  vids: [',
+    '    ' + list(vlans.map(v => v.id)),
+    '  ],',
+    '  count: ' + vlans.length + ',',
+    '  maxVids: ' + state.maxVlans + ',',
+    '  names: [',
+    '    ' + list(vlans.map(v => "'" + v.name + "'")),
+    '  ],',
+    '  tagMbrs: [',
+    '    ' + list(vlans.map(v => hex(v.tagged))),
+    '  ],',
+    '  untagMbrs: [',
+    '    ' + list(vlans.map(v => hex(v.untagged))),
+    '  ],',
+    '  lagIds: [',
+    '    ' + list(state.ports.map(p => p.lag)),
+    '  ],',
+    '  lagMbrs: [',
+    '    ' + list(lagMembers(state)),
+    '  ]',
+    '};',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function pvidPage(state) {
+  return [
+    '<script>',
+    'var pvid_ds = {',
+    '  state: ' + state.qvlan + ',',
+    '  portNum: ' + state.ports.length + ',',
+    '  pvids: [',
+    '    ' + list(state.ports.map(p => p.pvid)),
+    '  ],',
+    '  lagIds: [',
+    '    ' + list(state.ports.map(p => p.lag)),
+    '  ],',
+    '  lagMbrs: [',
+    '    ' + list(lagMembers(state)),
+    '  ]',
+    '};',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function portVlanPage(state) {
+  const vlans = state.portVlans;
+  const hex   = value => '0x' + value.toString(16).toUpperCase();
+
+  return [
+    '<script>',
+    'var pvlan_ds = {',
+    '  state: ' + state.pvlan + ',',
+    '  portNum: ' + state.ports.length + ',',
+    '  vids: [',
+    '    ' + list(vlans.map(v => v.id)),
+    '  ],',
+    '  mbrs: [',
+    '    ' + list(vlans.map(v => hex(v.members))),
+    '  ],',
+    '  count: ' + vlans.length,
+    '};',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function mirrorPage(state) {
+  return [
+    '<script>',
+    'var MirrEn = ' + state.mirror.state + ';',
+    'var MirrPort = ' + state.mirror.destination + ';',
+    'var mirr_info = {',
+    '  ingress: [' + list(state.ports.map(p => p.mirror.ingress)) + '],',
+    '  egress: ['  + list(state.ports.map(p => p.mirror.egress)) + ']',
+    '};',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function qosPage(state) {
+  return [
+    '<script>',
+    'var qosMode = ' + state.qos + ';',
+    'var portNumber = ' + state.ports.length + ';',
+    'var pPri = [' + list(state.ports.map(p => p.qos.priority)) + '];',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function bandwidthPage(state) {
+  return [
+    '<script>',
+    'var portNumber = ' + state.ports.length + ';',
+    'var bcInfo = [' + list(state.ports.flatMap(p => [p.qos.ingress, p.qos.egress, p.lag])) + '];',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function stormPage(state) {
+  return [
+    '<script>',
+    'var portNumber = ' + state.ports.length + ';',
+    'var scInfo = [' + list(state.ports.flatMap(p => [p.qos.stormRate, p.qos.stormTypes, p.lag])) + '];',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function igmpPage(state) {
+  const groups = state.igmp.groups;
+  const hex    = value => '0x' + value.toString(16).toUpperCase();
+
+  return [
+    '<script>',
+    'var igmp_ds = {',
+    '  state: ' + state.igmp.state + ',',
+    '  suppressionState: ' + state.igmp.suppression + ',',
+    '  count: ' + groups.length + ',',
+    '  ipStr: [' + list(groups.map(g => "'" + g.ip + "'")) + '],',
+    '  vlanStr: [' + list(groups.map(g => g.vlan)) + '],',
+    '  portStr: [' + list(groups.map(g => hex(g.ports))) + ']',
+    '};',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function ipSettingPage(state) {
+  return [
+    '<script>',
+    'var ip_ds = {',
+    '  state: ' + state.dhcp + ',',
+    '  vlan: 1,',
+    '  maxVlan: 4094,',
+    '  ipStr: [',
+    '    "' + state.ip + '"',
+    '  ],',
+    '  netmaskStr: [',
+    '    "' + state.netmask + '"',
+    '  ],',
+    '  gatewayStr: [',
+    '    "' + state.gateway + '"',
+    '  ]',
+    '};',
+    'var tip = "";',
+    '</script>'
+  ].join('\n');
+}
+
+function logonPage() {
+  return '<script>\nvar logonInfo = new Array(\n0,\n0,0);\n</script>';
+}
+
+function lagMembers(state) {
+  const members = new Array(state.lagCount + 1).fill(0);
+
+  state.ports.forEach((port, portIndex) => {
+    members[port.lag] |= port.lag ? 1 << portIndex : 0;
+  });
+
+  return members.map((mask, lagIndex) => lagIndex ? '0x' + mask.toString(16).toUpperCase() : '0');
+}
+
+function list(values) {
+  return values.join(', ');
+}
+
+// --- HANDLERS ----------------------------------------------------------------
+//
+// The handlers modify the state according to the query parameters and return
+// the page to be presented (as the real switch does after applying a change).
+//
+function setSystemName(state, query) {
+  const regex = /^[a-zA-Z0-9-_]+$/;
+
+  if (query.sysName && query.sysName.length < 32 && regex.test(query.sysName)) {
+    state.name = query.sysName;
+  }
+
+  return systemInfoPage(state);
+}
+
+function setPort(state, query) {
+  const port  = state.ports[parseInt(query.portid) - 1];
+  const mode  = parseInt(query.state);
+  const speed = parseInt(query.speed);
+
+  if (port && (mode === 0 || mode === 1) && 1 <= speed && speed <= 6) {
+    port.state = mode;
+    port.speed = speed;
+  }
+
+  return portSettingPage(state);
+}
+
+function setVlan(state, query) {
+  // enable/disable 802.1Q vlans
+  if (query.qvlan_mode === 'Apply') {
+    const mode = parseInt(query.qvlan_en);
+
+    if (mode === 0 || mode === 1) {
+      state.qvlan = mode;
+      state.pvlan = mode ? 0 : state.pvlan;
+    }
+  }
+
+  // add/modify a vlan
+  if (query.qvlan_add) {
+    const id  = parseInt(query.vid);
+    let vlan  = state.vlans.find(v => v.id === id);
+
+    if (2 <= id && id <= 4094 && (vlan || state.vlans.length < state.maxVlans)) {
+      if (!vlan) {
+        vlan = { id: id };
+        state.vlans.push(vlan);
+        state.vlans.sort((a, b) => a.id - b.id);
+      }
+
+      // selType: 0 = untagged, 1 = tagged, 2 = not a member
+      vlan.name     = query.vname || '';
+      vlan.tagged   = 0;
+      vlan.untagged = 0;
+      for (let portIndex = 0; portIndex < state.ports.length; portIndex++) {
+        const selType = parseInt(query['selType_' + (portIndex + 1)]);
+
+        if (selType === 0) vlan.untagged |= 1 << portIndex;
+        if (selType === 1) vlan.tagged   |= 1 << portIndex;
+      }
+    }
+  }
+
+  // delete vlans
+  if (query.qvlan_del) {
+    const ids = [].concat(query.selVlans || []).map(id => parseInt(id));
+
+    state.vlans = state.vlans.filter(v => v.id === 1 || !ids.includes(v.id));
+  }
+
+  return vlanPage(state);
+}
+
+function setPvid(state, query) {
+  const portMask = parseInt(query.pbm);
+  const pvid     = parseInt(query.pvid);
+
+  if (state.vlans.some(v => v.id === pvid)) {
+    state.ports.forEach((port, portIndex) => {
+      if (portMask & (1 << portIndex)) {
+        port.pvid = pvid;
+      }
+    });
+  }
+
+  return pvidPage(state);
+}
+
+function setPortVlan(state, query) {
+  // enable/disable port-based vlans
+  if (query.pvlan_mode === 'Apply') {
+    const mode = parseInt(query.pvlan_en);
+
+    if (mode === 0 || mode === 1) {
+      state.pvlan = mode;
+      state.qvlan = mode ? 0 : state.qvlan;
+    }
+  }
+
+  // add/modify a vlan
+  if (query.pvlan_add) {
+    const id    = parseInt(query.vid);
+    const ports = [].concat(query.selPorts || []).map(port => parseInt(port));
+    let vlan    = state.portVlans.find(v => v.id === id);
+
+    if (1 <= id && id <= state.ports.length && ports.length > 0) {
+      if (!vlan) {
+        vlan = { id: id };
+        state.portVlans.push(vlan);
+        state.portVlans.sort((a, b) => a.id - b.id);
+      }
+
+      vlan.members = ports.reduce((mask, port) => mask | (1 << (port - 1)), 0);
+    }
+  }
+
+  // delete vlans
+  if (query.pvlan_del) {
+    const ids = [].concat(query.selVlans || []).map(id => parseInt(id));
+
+    state.portVlans = state.portVlans.filter(v => v.id === 1 || !ids.includes(v.id));
+  }
+
+  return portVlanPage(state);
+}
+
+function setTrunk(state, query) {
+  const lag   = parseInt(query.groupId);
+  const ports = [].concat(query.portid || []).map(port => parseInt(port));
+
+  if (1 <= lag && lag <= state.lagCount && 2 <= ports.length && ports.length <= 4) {
+    state.ports.forEach((port, portIndex) => {
+      if (port.lag === lag) port.lag = 0;
+      if (ports.includes(portIndex + 1)) port.lag = lag;
+    });
+  }
+
+  return portSettingPage(state);
+}
+
+function deleteTrunk(state, query) {
+  const lags = [].concat(query.chk_trunk || []).map(lag => parseInt(lag));
+
+  state.ports.forEach(port => {
+    if (lags.includes(port.lag)) port.lag = 0;
+  });
+
+  return portSettingPage(state);
+}
+
+function setMirror(state, query) {
+  const mode = parseInt(query.state);
+  const port = parseInt(query.mirroringport);
+
+  if ((mode === 0 || mode === 1) && 1 <= port && port <= state.ports.length) {
+    state.mirror.state       = mode;
+    state.mirror.destination = port;
+  }
+
+  return mirrorPage(state);
+}
+
+function setMirrored(state, query) {
+  const port    = state.ports[parseInt(query.mirroredport) - 1];
+  const ingress = parseInt(query.ingressState);
+  const egress  = parseInt(query.egressState);
+
+  if (port && (ingress === 0 || ingress === 1) && (egress === 0 || egress === 1)) {
+    port.mirror = { ingress: ingress, egress: egress };
+  }
+
+  return mirrorPage(state);
+}
+
+function selectedPorts(state, query) {
+  return state.ports.filter((port, portIndex) => query['sel_' + (portIndex + 1)] === '1');
+}
+
+function setQos(state, query) {
+  const mode = parseInt(query.rd_qosmode);
+
+  if (0 <= mode && mode <= 2) {
+    state.qos = mode;
+  }
+
+  return qosPage(state);
+}
+
+function setPriority(state, query) {
+  const queue = parseInt(query.port_queue);
+
+  if (0 <= queue && queue <= 3) {
+    selectedPorts(state, query).forEach(port => port.qos.priority = queue + 1);
+  }
+
+  return qosPage(state);
+}
+
+function setBandwidth(state, query) {
+  const ingress = parseInt(query.igrRate);
+  const egress  = parseInt(query.egrRate);
+
+  if (0 <= ingress && ingress <= 11 && 0 <= egress && egress <= 11) {
+    selectedPorts(state, query).forEach(port => {
+      port.qos.ingress = ingress;
+      port.qos.egress  = egress;
+    });
+  }
+
+  return bandwidthPage(state);
+}
+
+function setStorm(state, query) {
+  const enabled = query.state === '1';
+  const rate    = parseInt(query.rate);
+  const types   = parseInt(query.stormType);
+
+  if (!enabled || (1 <= rate && rate <= 14 && 1 <= types && types <= 7)) {
+    selectedPorts(state, query).forEach(port => {
+      port.qos.stormRate  = enabled ? rate : 0;
+      port.qos.stormTypes = enabled ? types : 0;
+    });
+  }
+
+  return stormPage(state);
+}
+
+function setIgmp(state, query) {
+  const mode        = parseInt(query.igmp_mode);
+  const suppression = parseInt(query.reportSu_mode);
+
+  if ((mode === 0 || mode === 1) && (suppression === 0 || suppression === 1)) {
+    state.igmp.state       = mode;
+    state.igmp.suppression = suppression;
+  }
+
+  return igmpPage(state);
+}
+
+function clearStatistics(state, query) {
+  if (query.op === '1') {
+    state.ports.forEach(port => port.pkts = [0, 0, 0, 0]);
+  }
+
+  return portStatisticsPage(state);
+}
+
+function setIp(state, query) {
+  if (query.dhcpSetting === 'enable') {
+    state.dhcp = 1;
+  }
+
+  if (query.dhcpSetting === 'disable') {
+    state.dhcp    = 0;
+    state.ip      = query.ip_address;
+    state.netmask = query.ip_netmask;
+    state.gateway = query.ip_gateway;
+  }
+
+  return ipSettingPage(state);
+}
+
+// --- CONFIGURATION -----------------------------------------------------------
+//
+// The configuration file of the emulator is a header line followed by the
+// JSON representation of the configurable attributes of the switch.
+//
+const CONFIG_HEADER     = 'TL-SG108E-CONFIG\n';
+const CONFIG_ATTRIBUTES = ['username', 'password', 'name', 'ip', 'netmask', 'gateway', 'dhcp', 'qvlan', 'pvlan', 'ports', 'vlans', 'portVlans', 'mirror', 'qos', 'igmp'];
+
+function configFile(state) {
+  const config = {};
+
+  for (const attribute of CONFIG_ATTRIBUTES) {
+    config[attribute] = state[attribute];
+  }
+
+  return Buffer.from(CONFIG_HEADER + JSON.stringify(config));
+}
+
+function restoreConfig(state, request, body) {
+  // extract the content of the first part of the multipart/form-data
+  const boundary = '--' + (request.headers['content-type'] || '').split('boundary=')[1];
+  const part     = body.toString('latin1').split(boundary)[1] || '';
+  const content  = part.slice(part.indexOf('\r\n\r\n') + 4, -2);
+
+  if (!content.startsWith(CONFIG_HEADER)) {
+    return logonPage();
+  }
+
+  Object.assign(state, JSON.parse(Buffer.from(content.slice(CONFIG_HEADER.length), 'latin1').toString()));
+
+  return reboot(state);
+}
+
+function setAccount(state, query) {
+  if (query.txt_oldpwd === state.password && query.txt_userpwd === query.txt_confirmpwd) {
+    state.username = query.txt_username;
+    state.password = query.txt_userpwd;
+
+    // the change terminates all sessions
+    state.sessions.clear();
+  }
+
+  return logonPage();
+}
+
+function reboot(state) {
+  state.sessions.clear();
+  state.bootTime = Date.now() + state.reboot;
+
+  return logonPage();
+}
+
+function factoryReset(state) {
+  const factory = initialState({ portCount: state.portCount });
+
+  for (const attribute of CONFIG_ATTRIBUTES) {
+    state[attribute] = factory[attribute];
+  }
+
+  return reboot(state);
+}
+
+// --- SERVER ------------------------------------------------------------------
+//
+// startEmulator: starts an emulated switch
+//   port:     port to listen on (default: 0 - i.e. any free port)
+//   options:  optional overrides of the initial switch attributes
+// returns:
+//   emulator object:
+//     server: the address of the emulator (e.g. 127.0.0.1:40123)
+//     state:  the state of the emulated switch
+//     close:  function to stop the emulator
+//
+async function startEmulator(port = 0, options = {}) {
+  const state = initialState(options);
+
+  const server = createServer((request, response) => {
+    const chunks = [];
+
+    // a rebooting switch is not accessible
+    if (Date.now() < state.bootTime) {
+      return request.socket.destroy();
+    }
+
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const body    = Buffer.concat(chunks);
+      const url     = new URL(request.url, 'http://localhost');
+      const query   = parse(url.search.slice(1));
+      const client  = request.socket.remoteAddress;
+      const reply   = (status, page) => {
+        response.writeHead(status, { 'Content-Type': 'text/html' });
+        response.end(page);
+      };
+
+      // keep a record of all requests
+      state.requests.push(request.method + ' ' + request.url);
+
+      // login
+      if (url.pathname === '/logon.cgi') {
+        const form = parse(body.toString());
+
+        if (form.username === state.username && form.password === state.password) {
+          state.sessions.add(client);
+        }
+        return reply(200, logonPage());
+      }
+
+      // all other pages require a session
+      if (!state.sessions.has(client)) {
+        return reply(401, logonPage());
+      }
+
+      // injected faults
+      const fault = state.faults[url.pathname];
+
+      if (fault === 'ignore') {
+        return reply(200, logonPage());
+      }
+      if (fault) {
+        return reply(fault, '');
+      }
+
+      // served pages
+      if (state.pages[url.pathname] !== undefined) {
+        return reply(200, state.pages[url.pathname]);
+      }
+
+      switch (url.pathname) {
+        case '/Logout.htm':
+          state.sessions.delete(client);
+          return reply(200, logonPage());
+        case '/SystemInfoRpm.htm':
+          return reply(200, systemInfoPage(state));
+        case '/PortSettingRpm.htm':
+          return reply(200, portSettingPage(state));
+        case '/PortStatisticsRpm.htm':
+          return reply(200, portStatisticsPage(state));
+        case '/Vlan8021QRpm.htm':
+          return reply(200, vlanPage(state));
+        case '/Vlan8021QPvidRpm.htm':
+          return reply(200, pvidPage(state));
+        case '/VlanPortBasicRpm.htm':
+          return reply(200, portVlanPage(state));
+        case '/system_name_set.cgi':
+          return reply(200, setSystemName(state, query));
+        case '/port_setting.cgi':
+          return reply(200, setPort(state, query));
+        case '/qvlanSet.cgi':
+          return reply(200, setVlan(state, query));
+        case '/vlanPvidSet.cgi':
+          return reply(200, setPvid(state, query));
+        case '/pvlanSet.cgi':
+          return reply(200, setPortVlan(state, query));
+        case '/PortMirrorRpm.htm':
+          return reply(200, mirrorPage(state));
+        case '/mirror_enabled_set.cgi':
+          return reply(200, setMirror(state, query));
+        case '/mirrored_port_set.cgi':
+          return reply(200, setMirrored(state, query));
+        case '/QosBasicRpm.htm':
+          return reply(200, qosPage(state));
+        case '/QosBandWidthControlRpm.htm':
+          return reply(200, bandwidthPage(state));
+        case '/QosStormControlRpm.htm':
+          return reply(200, stormPage(state));
+        case '/qos_mode_set.cgi':
+          return reply(200, setQos(state, query));
+        case '/qos_port_priority_set.cgi':
+          return reply(200, setPriority(state, query));
+        case '/qos_bandwidth_set.cgi':
+          return reply(200, setBandwidth(state, query));
+        case '/qos_stormcontrol_set.cgi':
+          return reply(200, setStorm(state, query));
+        case '/IgmpSnoopingRpm.htm':
+          return reply(200, igmpPage(state));
+        case '/igmpSnooping.cgi':
+          return reply(200, setIgmp(state, query));
+        case '/port_statistics_set.cgi':
+          return reply(200, clearStatistics(state, query));
+        case '/IpSettingRpm.htm':
+          return reply(200, ipSettingPage(state));
+        case '/ip_setting.cgi':
+          return reply(200, setIp(state, query));
+        case '/config_back.cgi':
+          response.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+          return response.end(configFile(state));
+        case '/conf_restore.cgi':
+          return reply(200, restoreConfig(state, request, body));
+        case '/usr_account_set.cgi':
+          return reply(200, setAccount(state, query));
+        case '/reboot.cgi':
+          return reply(200, reboot(state));
+        case '/reset.cgi':
+          return reply(200, factoryReset(state));
+        case '/port_trunk_set.cgi':
+          return reply(200, setTrunk(state, query));
+        case '/port_trunk_display.cgi':
+          return reply(200, deleteTrunk(state, query));
+        default:
+          return reply(404, '');
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    server: '127.0.0.1:' + server.address().port,
+    state:  state,
+    close:  () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+export { startEmulator };
+
+// --- MAIN --------------------------------------------------------------------
+//
+// runs the emulator standalone
+//
+if (process.argv[1] === fileURLToPath(import.meta.url)) (async () => {
+  const emulator = await startEmulator(parseInt(process.argv[2] || '8080'));
+
+  console.log('Emulated TL-SG108E listening on ' + emulator.server);
+})();
+
+// -----------------------------------------------------------------------------
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info, SetPort, SetVLAN, SetQoS, SetIGMP, SwitchError, ValidationError, UnreachableError, UnauthorizedError, RejectedError, VerificationError } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('errors', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('signals invalid parameters without contacting the switch', async () => {
+    emulator.state.requests.length = 0;
+
+    await assert.rejects(SetPort(emulator.server, 'admin', 'admin', 0, 1, 'Auto'), ValidationError);
+    assert.equal(emulator.state.requests.length, 0);
+  });
+
+  it('signals an unreachable switch', async () => {
+    await assert.rejects(Info('127.0.0.1:1', 'admin', 'admin'), UnreachableError);
+  });
+
+  it('signals invalid credentials', async () => {
+    await assert.rejects(Info(emulator.server, 'admin', 'wrong'), UnauthorizedError);
+  });
+
+  it('signals requests rejected by the switch', async () => {
+    emulator.state.faults['/qos_mode_set.cgi'] = 500;
+
+    await assert.rejects(SetQoS(emulator.server, 'admin', 'admin', 'DSCP'), error => {
+      assert.ok(error instanceof RejectedError);
+      assert.equal(error.status, 500);
+      assert.match(error.message, /qos_mode_set.cgi/);
+      return true;
+    });
+
+    delete emulator.state.faults['/qos_mode_set.cgi'];
+
+    // the session is terminated nevertheless
+    assert.equal(emulator.state.sessions.size, 0);
+  });
+
+  it('signals changes which have not been applied by the switch', async () => {
+    emulator.state.faults['/port_setting.cgi'] = 'ignore';
+
+    await assert.rejects(SetPort(emulator.server, 'admin', 'admin', 4, 0, '100MH'), error => {
+      assert.ok(error instanceof VerificationError);
+      assert.deepEqual(error.mismatches, [
+        { attribute: 'state of port 4', expected: 'Disabled', actual: 'Enabled' },
+        { attribute: 'speed of port 4', expected: '100MH', actual: 'Auto' }
+      ]);
+      return true;
+    });
+
+    delete emulator.state.faults['/port_setting.cgi'];
+
+    // the session has been terminated
+    assert.equal(emulator.state.sessions.size, 0);
+  });
+
+  it('verifies vlans and IGMP snooping', async () => {
+    emulator.state.faults['/qvlanSet.cgi']     = 'ignore';
+    emulator.state.faults['/igmpSnooping.cgi'] = 'ignore';
+
+    await assert.rejects(SetVLAN(emulator.server, 'admin', 'admin', 5, 'gamma', [1, 2]), /vlan 5 is null instead of/);
+    await assert.rejects(SetIGMP(emulator.server, 'admin', 'admin', 1, 0), /IGMP snooping is "Disabled" instead of "Enabled"/);
+
+    emulator.state.faults = {};
+  });
+
+  it('derives all errors from SwitchError', () => {
+    for (const type of [ValidationError, UnreachableError, UnauthorizedError, RejectedError, VerificationError]) {
+      assert.ok(new type('failure') instanceof SwitchError);
+      assert.equal(new type('failure').name, type.name);
+    }
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startExporter } from '../lib/exporter.js';
+import { startEmulator } from './emulator.js';
+
+describe('exporter', () => {
+  let emulator;
+  let exporter;
+
+  before(async () => {
+    emulator = await startEmulator();
+    exporter = await startExporter([
+      { server: emulator.server, username: 'admin', password: 'admin' },
+      { server: '127.0.0.1:1', username: 'admin', password: 'admin' }
+    ], { port: 0, host: '127.0.0.1', interval: 60000 });
+  });
+  after(async () => {
+    await exporter.close();
+    await emulator.close();
+  });
+
+  const scrape = async () => {
+    const response = await fetch('http://' + exporter.address + '/metrics');
+
+    return await response.text();
+  };
+
+  it('serves the port counters, link and admin state as labelled series', async () => {
+    const text = await scrape();
+    const port = '{switch="' + emulator.server + '",port="8"}';
+
+    assert.match(text, /# TYPE sg108e_port_tx_good_packets_total counter/);
+    assert.ok(text.includes('sg108e_up{switch="' + emulator.server + '"} 1'));
+    assert.ok(text.includes('sg108e_port_tx_good_packets_total' + port + ' 4318'));
+    assert.ok(text.includes('sg108e_port_rx_good_packets_total' + port + ' 58799'));
+    assert.ok(text.includes('sg108e_port_link_up' + port + ' 1'));
+    assert.ok(text.includes('sg108e_port_link_speed_mbps' + port + ' 1000'));
+    assert.ok(text.includes('sg108e_port_link_up{switch="' + emulator.server + '",port="1"} 0'));
+    assert.ok(text.includes('sg108e_port_admin_state' + port + ' 1'));
+    assert.ok(text.includes('sg108e_port_vlan_member{switch="' + emulator.server + '",port="8",vlan="1",tagged="false"} 1'));
+    assert.ok(text.includes('sg108e_switch_info{switch="' + emulator.server + '",name="TL-SG108E",hardware="TL-SG108E 3.0"'));
+  });
+
+  it('reports switches which cannot be read', async () => {
+    assert.ok((await scrape()).includes('sg108e_up{switch="127.0.0.1:1"} 0'));
+  });
+
+  it('reads a switch at most once per interval', async () => {
+    emulator.state.requests.length = 0;
+
+    await scrape();
+    await scrape();
+
+    assert.equal(emulator.state.requests.length, 0);
+  });
+
+  it('serves nothing but /metrics', async () => {
+    const response = await fetch('http://' + exporter.address + '/');
+
+    assert.equal(response.status, 404);
+  });
+});
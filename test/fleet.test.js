@@ -0,0 +1,147 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { dump } from 'js-yaml';
+
+import { Info, SetSwitch } from '../index.js';
+import { loadInventory, selectTargets, runFleet, fleetReport } from '../lib/fleet.js';
+import { main } from '../lib/cli.js';
+import { startEmulator } from './emulator.js';
+
+describe('fleet', () => {
+  let office;
+  let lab;
+  let directory;
+  let inventory;
+
+  before(async () => {
+    office    = await startEmulator();
+    lab       = await startEmulator(0, { password: 'lab-secret', mac: '70:4F:57:00:00:02' });
+    directory = await mkdtemp(join(tmpdir(), 'sg108e-'));
+    inventory = {
+      credentials: {
+        office: { username: 'admin', password: 'admin' },
+        lab:    { username: 'admin', passwordEnv: 'LAB_PASSWORD' }
+      },
+      switches: [
+        { name: 'office-1', server: office.server, credentials: 'office', groups: ['office'] },
+        { name: 'lab-1',    server: lab.server,    credentials: 'lab',    groups: ['lab'] },
+        { name: 'lab-2',    server: '127.0.0.1:1', mac: 'AA:BB:CC:DD:EE:FF', groups: ['lab'] }
+      ]
+    };
+  });
+  after(async () => {
+    await office.close();
+    await lab.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('resolves credentials from the inventory and the environment', () => {
+    const targets = loadInventory(dump(inventory), { LAB_PASSWORD: 'lab-secret' });
+
+    assert.deepEqual(targets.map(t => [t.name, t.username, t.password]), [
+      ['office-1', 'admin', 'admin'],
+      ['lab-1',    'admin', 'lab-secret'],
+      ['lab-2',    'admin', 'admin']
+    ]);
+    assert.throws(() => loadInventory(inventory, {}), /LAB_PASSWORD/);
+    assert.throws(() => loadInventory({ switches: [{ name: 'x', server: 'y', credentials: 'z' }] }), /unknown credentials/);
+    assert.throws(() => loadInventory({ switches: [{ name: 'x', server: 'y' }, { name: 'x', server: 'z' }] }), /more than once/);
+  });
+
+  it('selects switches by group tag or name', () => {
+    const targets = loadInventory(inventory, { LAB_PASSWORD: 'lab-secret' });
+
+    assert.deepEqual(selectTargets(targets, 'lab').map(t => t.name), ['lab-1', 'lab-2']);
+    assert.deepEqual(selectTargets(targets, 'office-1').map(t => t.name), ['office-1']);
+    assert.equal(selectTargets(targets).length, 3);
+    assert.throws(() => selectTargets(targets, 'nowhere'), /no switches/);
+  });
+
+  it('bounds the number of parallel tasks', async () => {
+    const targets = Array.from({ length: 7 }, (_, i) => ({ name: 'sw-' + i }));
+
+    let running = 0;
+    let maximum = 0;
+
+    const results = await runFleet(targets, async target => {
+      maximum = Math.max(maximum, ++running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+
+      return target.name;
+    }, { concurrency: 3 });
+
+    assert.equal(maximum, 3);
+    assert.deepEqual(results.map(r => r.result), targets.map(t => t.name));
+  });
+
+  it('reports the results per switch keyed by name and MAC', async () => {
+    const targets = loadInventory(inventory, { LAB_PASSWORD: 'lab-secret' });
+    const results = await runFleet(targets, t => Info(t.server, t.username, t.password), { concurrency: 2 });
+    const report  = fleetReport(results);
+
+    assert.deepEqual(report.summary, { total: 3, succeeded: 2, failed: 1 });
+    assert.equal(report.switches['office-1'].status, 'ok');
+    assert.equal(report.switches['office-1'].result.switch.name, 'TL-SG108E');
+    assert.equal(report.switches['lab-2'].status, 'failed');
+    assert.match(report.switches['lab-2'].error, /not accessible/);
+    assert.equal(report.macs['70:4F:57:35:BE:36'], 'office-1');
+    assert.equal(report.macs['70:4F:57:00:00:02'], 'lab-1');
+    assert.equal(report.macs['AA:BB:CC:DD:EE:FF'], 'lab-2');
+  });
+
+  it('runs setters across a group', async () => {
+    const targets = selectTargets(loadInventory(inventory, { LAB_PASSWORD: 'lab-secret' }), 'lab');
+    const report  = fleetReport(await runFleet(targets, t => SetSwitch(t.server, t.username, t.password, 'lab-switch')));
+
+    assert.equal(report.switches['lab-1'].status, 'ok');
+    assert.equal(report.switches['lab-2'].status, 'failed');
+    assert.equal(lab.state.name, 'lab-switch');
+    assert.equal(office.state.name, 'TL-SG108E');
+  });
+
+  it('runs commands of the command line interface across a group', async () => {
+    const file   = join(directory, 'inventory.yaml');
+    const stdout = { text: '', write(s) { this.text += s; } };
+    const stderr = { text: '', write(s) { this.text += s; } };
+
+    await writeFile(file, dump(inventory));
+
+    const env  = { LAB_PASSWORD: 'lab-secret' };
+    const code = await main(['fleet', file, 'set-switch', '--name', 'office', '--group', 'office', '--format', 'json'], env, stdout, stderr);
+
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout.text).summary, { total: 1, succeeded: 1, failed: 0 });
+    assert.equal(office.state.name, 'office');
+
+    assert.equal(await main(['fleet', file, 'diagnosis', '--parallel', '2'], env, stdout, stderr), 1);
+    assert.equal(await main(['fleet', file, 'set-switch'], env, stdout, stderr), 2);
+    assert.equal(await main(['fleet', file, 'fleet'], env, stdout, stderr), 2);
+  });
+
+  it('writes the backups of the switches to files of their own', async () => {
+    const file   = join(directory, 'inventory.yaml');
+    const stdout = { text: '', write(s) { this.text += s; } };
+    const stderr = { text: '', write(s) { this.text += s; } };
+
+    await writeFile(file, dump(inventory));
+
+    const env = { LAB_PASSWORD: 'lab-secret' };
+
+    // a single file would be overwritten by every switch
+    assert.equal(await main(['fleet', file, 'backup', join(directory, 'switch.cfg')], env, stdout, stderr), 2);
+    assert.match(stderr.text, /requires a file with \{name\}/);
+
+    stdout.text = '';
+
+    const code = await main(['fleet', file, 'backup', join(directory, '{name}.cfg'), '--group', 'office-1', '--format', 'json'], env, stdout, stderr);
+
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout.text).summary, { total: 1, succeeded: 1, failed: 0 });
+    assert.ok((await readFile(join(directory, 'office-1.cfg'))).length > 0);
+    assert.match(await readFile(join(directory, 'office-1.cfg.yaml'), 'utf8'), /TL-SG108E/);
+  });
+});
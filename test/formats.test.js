@@ -0,0 +1,114 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info, Apply, ValidationError } from '../index.js';
+import { validateInfo, exportInfo, importInfo, FORMATS } from '../lib/formats.js';
+import { startEmulator } from './emulator.js';
+
+describe('formats', () => {
+  let emulator;
+  let data;
+
+  before(async () => {
+    emulator = await startEmulator();
+    data     = await Info(emulator.server, 'admin', 'admin');
+  });
+  after(async () => { await emulator.close(); });
+
+  it('describes the output of Info with the schema', async () => {
+    const large = await startEmulator(0, { hardware: 'TL-SG1024DE 4.0', portCount: 24 });
+
+    try {
+      assert.equal(validateInfo(data), data);
+      assert.ok(validateInfo(await Info(large.server, 'admin', 'admin')));
+
+      // the limits of the model are checked as well
+      const small = { switch: { model: 'TL-SG105E', ports: [{ number: 6, lag: 0 }], lags: [{ id: 3, members: [1, 2] }] } };
+
+      assert.throws(() => validateInfo(small), /ports\[0\].number must be at most 5 \(the TL-SG105E has 5 ports\); document.switch.lags\[0\].id must be at most 2/);
+      assert.ok(validateInfo({ switch: { ports: [{ number: 6 }] } }));
+    } finally {
+      await large.close();
+    }
+  });
+
+  it('exports and imports JSON and YAML', () => {
+    assert.deepEqual(importInfo(exportInfo(data, 'json'), 'json'), data);
+    assert.deepEqual(importInfo(exportInfo(data, 'yaml'), 'yaml'), data);
+  });
+
+  it('exports and imports the ports as CSV', () => {
+    const text = exportInfo(data, 'ports-csv');
+    const rows = text.trim().split('\n');
+
+    assert.equal(rows[0], 'number,state,speed,speedConfig,link,lag,pvid,priority,ingressRate,egressRate,stormRate,stormTypes,TxGoodPkt,TxBadPkt,RxGoodPkt,RxBadPkt');
+    assert.equal(rows.length, 9);
+
+    // empty lists are omitted by the import
+    const ports = data.switch.ports.map(port => {
+      const { stormTypes, ...rest } = port;
+      return stormTypes.length > 0 ? port : rest;
+    });
+
+    assert.deepEqual(importInfo(text, 'ports-csv'), { switch: { ports: ports } });
+
+    const storm = { switch: { ports: [{ number: 2, stormRate: '1M', stormTypes: ['broadcast', 'multicast'] }] } };
+
+    assert.equal(exportInfo(storm, 'ports-csv'), 'number,stormRate,stormTypes\n2,1M,"broadcast,multicast"\n');
+    assert.deepEqual(importInfo(exportInfo(storm, 'ports-csv'), 'ports-csv'), storm);
+  });
+
+  it('exports and imports the vlan membership matrix as CSV', () => {
+    const document = { switch: { ports: data.switch.ports, vlans: [
+      { name: 'Default', id: 1, tagged: [], untagged: [1, 2, 3, 4, 5, 6, 7] },
+      { name: 'iot', id: 10, tagged: [8], untagged: [7] }
+    ] } };
+    const text = exportInfo(document, 'vlans-csv');
+
+    assert.equal(text, 'id,name,1,2,3,4,5,6,7,8\n1,Default,U,U,U,U,U,U,U,\n10,iot,,,,,,,U,T\n');
+    assert.deepEqual(importInfo(text, 'vlans-csv'), { switch: { vlans: document.switch.vlans } });
+  });
+
+  it('imports files edited with spreadsheets', () => {
+    const text = '\uFEFFid,name,8,7\r\n\r\n20,"guest, wifi",t,u\r\n';
+
+    assert.deepEqual(importInfo(text, 'vlans-csv').switch.vlans, [{ id: 20, name: 'guest, wifi', tagged: [8], untagged: [7] }]);
+    assert.deepEqual(importInfo('number,state\n3,Disabled\n', 'ports-csv').switch.ports, [{ number: 3, state: 'Disabled' }]);
+  });
+
+  it('refuses invalid input naming all offending lines', () => {
+    const cases = [
+      ['number,state,speedConfig\n1,Enabled,fast\n2,on,Auto\n', 'ports-csv',
+       /line 2.speedConfig must be one of: Auto.*; line 3.state must be one of: Disabled, Enabled/],
+      ['number,state\nfirst,Enabled\n25,Enabled\n', 'ports-csv', /line 2.number must be an integer; line 3.number must be at most 24/],
+      ['number,state\n1,Enabled\n1,Disabled\n', 'ports-csv', /port 1 is listed more than once/],
+      ['number,colour\n1,red\n', 'ports-csv', /unknown columns: colour/],
+      ['state\nEnabled\n', 'ports-csv', /requires a column: number/],
+      ['id,name,1,2\n5,iot,U,X\n0,zero,,\n', 'vlans-csv', /line 2: port 2 must be T, U or empty; line 3.id must be at least 1/],
+      ['id,name,1\n"5,iot,U\n', 'vlans-csv', /unterminated quote/],
+      ['{"switch": {"ports": [{"number": 1, "speed": "1G"}]}}', 'json', /document.switch.ports\[0\].speed must be one of/],
+      ['{"switch": ', 'json', /invalid json/],
+      ['switch:\n  vlans: [{id: 2, tagged: [1, 1]}]\n', 'yaml', /document.switch.vlans\[0\].tagged must not contain duplicates/],
+      ['switches: {}\n', 'yaml', /document.switch is missing; document.switches is not supported/],
+      ['', 'xml', /invalid format: xml/]
+    ];
+
+    for (const [text, format, message] of cases) {
+      assert.throws(() => importInfo(text, format), error => {
+        assert.ok(error instanceof ValidationError, format + ': ' + error.message);
+        assert.match(error.message, message);
+        return true;
+      });
+    }
+
+    assert.deepEqual(FORMATS, ['json', 'yaml', 'ports-csv', 'vlans-csv']);
+  });
+
+  it('feeds imported files to Apply', async () => {
+    const manifest = importInfo('id,name,1,2,3,4,5,6,7,8\n1,Default,U,U,U,U,U,U,,\n30,lab,,,,,,,U,T\n', 'vlans-csv');
+    const report   = await Apply(emulator.server, 'admin', 'admin', manifest);
+
+    assert.deepEqual(report.created.map(change => change.id), [30]);
+    assert.deepEqual((await Info(emulator.server, 'admin', 'admin')).switch.vlans[1], { name: 'lab', id: 30, tagged: [8], untagged: [7] });
+  });
+});
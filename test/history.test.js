@@ -0,0 +1,153 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { load } from 'js-yaml';
+
+import { Info, ClearCounters, DryRun, VerificationError } from '../index.js';
+import { appendHistory, readHistory, queryHistory } from '../lib/history.js';
+import { main } from '../lib/cli.js';
+import { startEmulator } from './emulator.js';
+
+// snapshot of the counters of two ports: [TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt]
+function snapshot(time, port1, port2, extra = {}) {
+  const port = (number, [TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt]) => ({ number, TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt });
+
+  return { time: time, server: '192.168.0.1', mac: '70:4F:57:35:BE:36', ports: [port(1, port1), port(2, port2)], ...extra };
+}
+
+describe('history', () => {
+  let emulator;
+  let directory;
+
+  before(async () => {
+    emulator  = await startEmulator();
+    directory = await mkdtemp(join(tmpdir(), 'sg108e-'));
+  });
+  after(async () => {
+    await emulator.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('clears the counters of the ports', async () => {
+    const plan = await DryRun(ClearCounters, emulator.server, 'admin', 'admin');
+
+    assert.match(plan.requests[0], /\/port_statistics_set.cgi\?op=1$/);
+    assert.deepEqual(plan.changes, [{
+      attribute: 'counters of port 8',
+      before:    { TxGoodPkt: 4318, TxBadPkt: 0, RxGoodPkt: 58799, RxBadPkt: 0 },
+      after:     { TxGoodPkt: 0, TxBadPkt: 0, RxGoodPkt: 0, RxBadPkt: 0 }
+    }]);
+
+    emulator.state.faults['/port_statistics_set.cgi'] = 'ignore';
+    await assert.rejects(ClearCounters(emulator.server, 'admin', 'admin'), VerificationError);
+    delete emulator.state.faults['/port_statistics_set.cgi'];
+
+    await ClearCounters(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(emulator.state.ports[7].pkts, [0, 0, 0, 0]);
+    assert.equal((await Info(emulator.server, 'admin', 'admin')).switch.ports[7].RxGoodPkt, 0);
+  });
+
+  it('appends snapshots to the history file', async () => {
+    const file = join(directory, 'append.jsonl');
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    await appendHistory(emulator.server, data, { file: file, time: '2024-01-31T12:00:00Z' });
+    await appendHistory(emulator.server, data, { file: file, time: '2024-01-31T13:00:00Z', cleared: true });
+
+    const lines     = (await readFile(file, 'utf8')).trim().split('\n');
+    const snapshots = await readHistory({ file: file });
+
+    assert.equal(lines.length, 2);
+    assert.equal(snapshots[0].time, '2024-01-31T12:00:00.000Z');
+    assert.equal(snapshots[0].mac, data.switch.mac);
+    assert.deepEqual(snapshots[0].ports[7], { number: 8, TxGoodPkt: 0, TxBadPkt: 0, RxGoodPkt: 0, RxBadPkt: 0 });
+    assert.equal(snapshots[1].cleared, true);
+
+    await writeFile(file, lines[0] + '\nnot json\n');
+    await assert.rejects(readHistory({ file: file }), /invalid snapshot in line 2/);
+  });
+
+  it('sums up the counters across wraps and resets', () => {
+    const snapshots = [
+      snapshot('2024-01-31T12:00:00Z', [100, 0, 1000, 0],         [0, 0, 0, 0]),
+      snapshot('2024-01-31T13:00:00Z', [300, 1, 1500, 0],         [10, 0, 20, 0]),
+      // counter of port 1 wrapped around
+      snapshot('2024-01-31T14:00:00Z', [4294967200, 1, 1600, 0],  [15, 0, 30, 0]),
+      snapshot('2024-01-31T15:00:00Z', [50, 2, 1700, 0],          [20, 0, 40, 0]),
+      // switch rebooted
+      snapshot('2024-01-31T16:00:00Z', [40, 0, 60, 3],            [5, 0, 5, 0]),
+      // counters cleared
+      snapshot('2024-01-31T17:00:00Z', [2, 0, 4, 0],              [1, 0, 1, 0], { cleared: true })
+    ];
+
+    const [totals] = queryHistory(snapshots);
+
+    assert.equal(totals.snapshots, 6);
+    assert.equal(totals.resets, 2);
+    assert.equal(totals.from, '2024-01-31T12:00:00Z');
+    assert.deepEqual(totals.ports[0], {
+      number: 1, TxGoodPkt: 200 + 4294966900 + 146 + 40 + 2, TxBadPkt: 1 + 0 + 1 + 0 + 0, RxGoodPkt: 500 + 100 + 100 + 60 + 4, RxBadPkt: 3 + 0,
+      packets: 4294967288 + 764, errors: 5
+    });
+    assert.deepEqual(totals.ports[1], { number: 2, TxGoodPkt: 26, TxBadPkt: 0, RxGoodPkt: 46, RxBadPkt: 0, packets: 72, errors: 0 });
+
+    // time range
+    const [range] = queryHistory(snapshots, { from: '2024-01-31T15:30:00Z', to: '2024-01-31T17:00:00Z' });
+
+    assert.equal(range.snapshots, 2);
+    assert.deepEqual(range.ports.map(port => port.packets), [6, 2]);
+    assert.throws(() => queryHistory(snapshots, { from: 'yesterday' }), /invalid time range/);
+  });
+
+  it('identifies the switches by their MAC address', () => {
+    const other     = { ...snapshot('2024-01-31T12:30:00Z', [0, 0, 0, 0], [0, 0, 0, 0]), server: '192.168.0.2', mac: '70:4F:57:00:00:02' };
+    const snapshots = [
+      snapshot('2024-01-31T12:00:00Z', [100, 0, 0, 0], [0, 0, 0, 0]),
+      other,
+      // new address of the same switch
+      { ...snapshot('2024-01-31T13:00:00Z', [150, 0, 0, 0], [0, 0, 0, 0]), server: '10.0.10.2' }
+    ];
+
+    assert.equal(queryHistory(snapshots).length, 2);
+    assert.deepEqual(queryHistory(snapshots, { server: '192.168.0.1' }).map(t => [t.server, t.ports[0].TxGoodPkt]), [['10.0.10.2', 50]]);
+    assert.equal(queryHistory(snapshots, { server: '70:4F:57:00:00:02' })[0].snapshots, 1);
+    assert.deepEqual(queryHistory(snapshots, { server: '192.168.0.9' }), []);
+  });
+
+  it('records and queries the history on the command line', async () => {
+    const file   = join(directory, 'cli.jsonl');
+    const stdout = { text: '', write(s) { this.text += s; } };
+    const stderr = { text: '', write(s) { this.text += s; } };
+    const run    = async (...argv) => {
+      stdout.text = '';
+      return await main([...argv, '-s', emulator.server, '--history', file], {}, stdout, stderr);
+    };
+
+    emulator.state.ports[0].pkts = [10, 0, 20, 1];
+
+    assert.equal(await run('history', 'record'), 0);
+
+    emulator.state.ports[0].pkts = [15, 0, 30, 1];
+
+    assert.equal(await run('clear-counters', '--record'), 0);
+    assert.equal(emulator.state.ports[0].pkts[0], 0);
+
+    emulator.state.ports[0].pkts = [5, 0, 5, 0];
+
+    assert.equal(await run('history', 'record'), 0);
+    assert.equal(await run('history', 'query'), 0);
+
+    const totals = load(stdout.text);
+
+    assert.equal(totals.snapshots, 4);
+    assert.equal(totals.resets, 1);
+    assert.deepEqual(totals.ports[0], { number: 1, TxGoodPkt: 10, TxBadPkt: 0, RxGoodPkt: 15, RxBadPkt: 0, packets: 25, errors: 0 });
+
+    assert.equal(await run('history', 'query', '--from', 'now'), 2);
+    assert.equal(await run('history', 'purge'), 2);
+    assert.equal(await run('history', 'record', '--dry-run'), 2);
+  });
+});
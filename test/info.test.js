@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('Info', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('returns the switch information', async () => {
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.equal(data.switch.hardware, 'TL-SG108E 3.0');
+    assert.equal(data.switch.fimrware, '1.0.0 Build 20171214 Rel.70905');
+    assert.equal(data.switch.name, 'TL-SG108E');
+    assert.equal(data.switch.mac, '70:4F:57:35:BE:36');
+    assert.equal(data.switch.ip, '192.168.0.1');
+    assert.equal(data.switch.netmask, '255.255.255.0');
+    assert.equal(data.switch.gateway, '0.0.0.0');
+    assert.equal(data.switch.vlan, 'Disabled');
+    assert.equal(data.switch.qos, '802.1P');
+  });
+
+  it('returns the port information', async () => {
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.equal(data.switch.ports.length, 8);
+    assert.deepEqual(data.switch.ports[0], {
+      number: 1, state: 'Enabled', speed: 'down', speedConfig: 'Auto', lag: 0, link: 'down',
+      TxGoodPkt: 0, TxBadPkt: 0, RxGoodPkt: 0, RxBadPkt: 0, pvid: 1,
+      priority: 1, ingressRate: 'Unlimited', egressRate: 'Unlimited', stormRate: 'Unlimited', stormTypes: []
+    });
+    assert.deepEqual(data.switch.ports[7], {
+      number: 8, state: 'Enabled', speed: '1000MF', speedConfig: 'Auto', lag: 0, link: '1000MF',
+      TxGoodPkt: 4318, TxBadPkt: 0, RxGoodPkt: 58799, RxBadPkt: 0, pvid: 1,
+      priority: 1, ingressRate: 'Unlimited', egressRate: 'Unlimited', stormRate: 'Unlimited', stormTypes: []
+    });
+  });
+
+  it('returns the vlan information', async () => {
+    emulator.state.vlans.push({ id: 7, name: 'Test', tagged: 0x0C, untagged: 0x00 });
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.vlans, [
+      { name: 'Default', id: 1, tagged: [], untagged: [1, 2, 3, 4, 5, 6, 7, 8] },
+      { name: 'Test',    id: 7, tagged: [3, 4], untagged: [] }
+    ]);
+  });
+
+  it('returns the active vlan mode', async () => {
+    emulator.state.pvlan = 1;
+    assert.equal((await Info(emulator.server, 'admin', 'admin')).switch.vlan, 'Port-based');
+
+    emulator.state.pvlan = 0;
+    emulator.state.qvlan = 1;
+    assert.equal((await Info(emulator.server, 'admin', 'admin')).switch.vlan, '802.1Q');
+
+    emulator.state.qvlan = 0;
+  });
+
+  it('returns the port-based vlan information', async () => {
+    emulator.state.portVlans.push({ id: 2, members: 0x83 });
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.portVlans, [
+      { id: 1, members: [1, 2, 3, 4, 5, 6, 7, 8] },
+      { id: 2, members: [1, 2, 8] }
+    ]);
+  });
+
+  it('returns the link aggregation groups', async () => {
+    emulator.state.ports[6].lag = 2;
+    emulator.state.ports[7].lag = 2;
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.lags, [{ id: 2, members: [7, 8] }]);
+    assert.deepEqual(data.switch.ports.map(p => p.lag), [0, 0, 0, 0, 0, 0, 2, 2]);
+
+    emulator.state.ports[6].lag = 0;
+    emulator.state.ports[7].lag = 0;
+  });
+
+  it('returns the port mirroring configuration', async () => {
+    emulator.state.mirror = { state: 1, destination: 1 };
+    emulator.state.ports[6].mirror = { ingress: 1, egress: 0 };
+    emulator.state.ports[7].mirror = { ingress: 1, egress: 1 };
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.mirror, {
+      state: 'Enabled',
+      destination: 1,
+      sources: [{ port: 7, direction: 'ingress' }, { port: 8, direction: 'both' }]
+    });
+  });
+
+  it('logs out after reading', async () => {
+    await Info(emulator.server, 'admin', 'admin');
+
+    assert.equal(emulator.state.sessions.size, 0);
+    assert.equal(emulator.state.requests.at(-1), 'GET /Logout.htm');
+  });
+});
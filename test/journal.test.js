@@ -0,0 +1,225 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { load } from 'js-yaml';
+
+import { Info, SetVLAN, SetPassword, Rollback, DryRun, Journal, SwitchClient, ValidationError, VerificationError } from '../index.js';
+import { appendJournal, readJournal, queryJournal } from '../lib/journal.js';
+import { main } from '../lib/cli.js';
+import { startEmulator } from './emulator.js';
+
+// configuration of the switch without its status - destination and sources
+// of a disabled port mirroring do not matter
+function configuration(data) {
+  const mirror = data.switch.mirror.state === 'Disabled' ? { state: 'Disabled' } : data.switch.mirror;
+
+  return JSON.stringify({ ...data.switch, mirror: mirror }, (key, value) => ['speed', 'link', 'TxGoodPkt', 'TxBadPkt', 'RxGoodPkt', 'RxBadPkt'].includes(key) ? undefined : value);
+}
+
+describe('journal', () => {
+  let emulator;
+  let directory;
+
+  before(async () => {
+    emulator  = await startEmulator();
+    directory = await mkdtemp(join(tmpdir(), 'sg108e-'));
+  });
+  after(async () => {
+    await emulator.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('records the state before and after the changes', async () => {
+    const entries = [];
+    const journal = { operator: 'alice', record: entry => entries.push(entry) };
+
+    await Journal(journal, SetVLAN, emulator.server, 'admin', 'admin', 10, 'iot', { tagged: [8], untagged: [7] });
+    await Journal(journal, Info, emulator.server, 'admin', 'admin');
+    await Journal(journal, DryRun, SetVLAN, emulator.server, 'admin', 'admin', 11, 'lab', [8]);
+
+    assert.equal(entries.length, 1);
+    assert.match(entries[0].id, /^[0-9a-f]{8}$/);
+    assert.equal(entries[0].operator, 'alice');
+    assert.equal(entries[0].server, emulator.server);
+    assert.equal(entries[0].mac, '70:4F:57:35:BE:36');
+    assert.equal(entries[0].operation, 'SetVLAN');
+    assert.match(entries[0].requests[0], /^GET http:\/\/.*\/qvlanSet.cgi\?vid=10&vname=iot&/);
+    assert.equal(entries[0].before.switch.vlans.length, 1);
+    assert.deepEqual(entries[0].after.switch.vlans[1], { name: 'iot', id: 10, tagged: [8], untagged: [7] });
+
+    // failed changes are recorded with the error
+    emulator.state.faults['/qvlanSet.cgi'] = 'ignore';
+    await assert.rejects(Journal(journal, SetVLAN, emulator.server, 'admin', 'admin', 10, 'iot', []), VerificationError);
+    delete emulator.state.faults['/qvlanSet.cgi'];
+
+    assert.equal(entries.length, 2);
+    assert.match(entries[1].error, /switch did not apply the change/);
+
+    // passwords are masked
+    await Journal(journal, SetPassword, emulator.server, 'admin', 'admin', 'admin', 'admin');
+
+    assert.match(entries[2].requests[0], /txt_username=admin&txt_oldpwd=\*\*\*&txt_userpwd=\*\*\*&txt_confirmpwd=\*\*\*$/);
+
+    // the change is made even if the state before can not be read
+    emulator.state.faults['/IgmpSnoopingRpm.htm'] = 500;
+    await Journal(journal, SetVLAN, emulator.server, 'admin', 'admin', 12, 'cam', [8]);
+    delete emulator.state.faults['/IgmpSnoopingRpm.htm'];
+
+    assert.equal(entries[3].before, null);
+    assert.ok(emulator.state.vlans.some(vlan => vlan.id === 12));
+  });
+
+  it('reads the state after the changes within the session', async () => {
+    const entries = [];
+    const journal = { record: entry => entries.push(entry) };
+    const client  = new SwitchClient(emulator.server, 'admin', 'admin');
+
+    // the session of the client stays open
+    try {
+      await Journal(journal, () => client.setSwitch('lab'));
+
+      assert.equal(entries[0].after.switch.name, 'lab');
+      assert.equal(emulator.state.sessions.size, 1);
+
+      await client.setSwitch('TL-SG108E');
+    } finally {
+      await client.close();
+    }
+
+    // the state is read with the new credentials
+    await Journal(journal, SetPassword, emulator.server, 'admin', 'admin', 'operator', 'secret');
+    await SetPassword(emulator.server, 'operator', 'secret', 'admin', 'admin');
+
+    assert.equal(entries[1].after.switch.mac, '70:4F:57:35:BE:36');
+    assert.deepEqual(queryJournal(entries)[1].changes, []);
+  });
+
+  it('rolls back the changes of an entry', async () => {
+    const entries = [];
+    const client  = new SwitchClient(emulator.server, 'admin', 'admin');
+    const initial = await Info(emulator.server, 'admin', 'admin');
+
+    await Journal({ record: entry => entries.push(entry) }, async () => {
+      try {
+        await client.setSwitch('lab', 1);
+        await client.setPort(3, 0, '100MF');
+        await client.setVLAN(20, 'guest', { tagged: [8], untagged: [5, 6] });
+        await client.setPVID([5, 6], 20);
+        await client.setVLAN(10, 'iot', []);
+        await client.setLAG(1, [1, 2]);
+        await client.setMirror(1, 4, [{ port: 8, direction: 'ingress' }]);
+        await client.setQoS('Port-based');
+        await client.setPortPriority([5, 6], 4);
+        await client.setBandwidth(7, '1M', '2M');
+        await client.setStormControl(7, '64K', ['broadcast']);
+        await client.setIGMP(1, 1);
+        await client.setPortVLAN(2, [1, 8]);
+      } finally {
+        await client.close();
+      }
+    });
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].requests.length, 15);
+    assert.equal(configuration(entries[0].before), configuration(initial));
+
+    // the dry run lists the inverse changes without modifying the switch
+    const plan = await DryRun(Rollback, emulator.server, 'admin', 'admin', entries[0]);
+
+    assert.ok(plan.diff.includes('vlan 10: null -> {"name":"iot","tagged":[8],"untagged":[7]}'));
+    assert.ok(plan.diff.includes('pvid of port 5: 20 -> 1'));
+    assert.notEqual(configuration(await Info(emulator.server, 'admin', 'admin')), configuration(initial));
+
+    const report = await Rollback(emulator.server, 'admin', 'admin', entries[0]);
+
+    assert.equal(report.entry, entries[0].id);
+    assert.deepEqual(report.changes.slice(0, 3), [
+      { attribute: 'members of lag 1', before: [1, 2], after: [] },
+      { attribute: 'name',             before: 'lab',  after: 'TL-SG108E' },
+      { attribute: 'vlan mode',        before: '802.1Q', after: 'Disabled' }
+    ]);
+    assert.equal(configuration(await Info(emulator.server, 'admin', 'admin')), configuration(initial));
+
+    // nothing left to roll back
+    assert.deepEqual((await Rollback(emulator.server, 'admin', 'admin', entries[0])).changes, []);
+  });
+
+  it('refuses entries of other switches', async () => {
+    const other = await startEmulator(0, { mac: '70:4F:57:00:00:02' });
+
+    try {
+      const entry = { id: '00000001', mac: '70:4F:57:35:BE:36', before: await Info(emulator.server, 'admin', 'admin') };
+
+      await assert.rejects(Rollback(other.server, 'admin', 'admin', entry), /belongs to the switch 70:4F:57:35:BE:36 - not to 70:4F:57:00:00:02/);
+      await assert.rejects(Rollback(other.server, 'admin', 'admin', { id: '00000002', before: null }), ValidationError);
+    } finally {
+      await other.close();
+    }
+  });
+
+  it('lists the changes of the journal', async () => {
+    const file   = join(directory, 'list.jsonl');
+    const state  = await Info(emulator.server, 'admin', 'admin');
+    const change = JSON.parse(JSON.stringify(state));
+
+    change.switch.name = 'lab';
+    change.switch.ports[2].state = 'Disabled';
+    change.switch.ports[7].TxGoodPkt += 100;
+    change.switch.ports[7].speed = '100MF';
+    change.switch.vlans.push({ name: 'cam', id: 40, tagged: [8], untagged: [6] });
+
+    await appendJournal({ id: 'a1', time: '2024-01-31T12:00:00.000Z', operator: 'alice', server: '192.168.0.1', mac: 'M1', operation: 'Apply', requests: [], before: state, after: change }, { file: file });
+    await appendJournal({ id: 'b2', time: '2024-01-31T13:00:00.000Z', operator: 'bob', server: '192.168.0.2', mac: 'M2', operation: 'SetIP', requests: [], before: state, after: null, error: 'timeout' }, { file: file });
+
+    const entries = await readJournal({ file: file });
+
+    assert.deepEqual(queryJournal(entries)[0].changes, [
+      'name: "TL-SG108E" -> "lab"',
+      'ports.3.state: "Enabled" -> "Disabled"',
+      'vlans.40: null -> {"name":"cam","id":40,"tagged":[8],"untagged":[6]}'
+    ]);
+    assert.deepEqual(queryJournal(entries, { server: 'M2' }).map(s => [s.id, s.changes, s.error]), [['b2', null, 'timeout']]);
+    assert.deepEqual(queryJournal(entries, { from: '2024-01-31T12:30:00Z' }).map(s => s.id), ['b2']);
+
+    await writeFile(file, '{"id": 1}\n');
+    await assert.rejects(readJournal({ file: file }), /invalid journal entry in line 1/);
+  });
+
+  it('records the commands and rolls them back on the command line', async () => {
+    const file   = join(directory, 'cli.jsonl');
+    const stdout = { text: '', write(s) { this.text += s; } };
+    const stderr = { text: '', write(s) { this.text += s; } };
+    const run    = async (...argv) => {
+      stdout.text = '';
+      return await main([...argv, '-s', emulator.server], { SG108E_JOURNAL: file, SG108E_OPERATOR: 'carol' }, stdout, stderr);
+    };
+    const initial = configuration(await Info(emulator.server, 'admin', 'admin'));
+
+    assert.equal(await run('set-vlan', '30', '--name', 'cam', '--untagged', '4'), 0);
+    assert.equal(await run('set-port', '4', '--state', 'disabled', '--speed', 'Auto'), 0);
+    assert.equal(await run('set-port', '5', '--state', 'disabled', '--speed', 'Auto', '--dry-run'), 0);
+    assert.equal(await run('journal', 'list'), 0);
+
+    const list = load(stdout.text);
+
+    assert.deepEqual(list.map(s => [s.operator, s.operation, s.changes]), [
+      ['carol', 'set-vlan', ['vlans.30: null -> {"name":"cam","id":30,"tagged":[],"untagged":[4]}']],
+      ['carol', 'set-port', ['ports.4.state: "Enabled" -> "Disabled"']]
+    ]);
+
+    assert.equal(await run('journal', 'show', list[1].id), 0);
+    assert.match(load(stdout.text).requests[0], /port_setting.cgi\?portid=4&state=0/);
+
+    // the rollback of the first entry undoes both changes and is recorded too
+    assert.equal(await run('rollback', list[0].id), 0);
+    assert.equal(configuration(await Info(emulator.server, 'admin', 'admin')), initial);
+    assert.equal((await readJournal({ file: file }))[2].operation, 'rollback');
+
+    assert.equal(await main(['journal', 'list', '--journal', file], {}, stdout, stderr), 0);
+    assert.equal(await run('journal', 'show', 'ffffffff'), 1);
+    assert.equal(await run('journal', 'purge'), 2);
+    assert.equal(await run('rollback'), 2);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Diagnosis, SetPassword, Reboot, FactoryReset, SetSwitch, UnauthorizedError } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetPassword, Reboot and FactoryReset', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(0, { reboot: 500 }); });
+  after(async () => { await emulator.close(); });
+
+  it('changes the credentials', async () => {
+    const report = await SetPassword(emulator.server, 'admin', 'admin', 'operator', 's3cret!');
+
+    assert.deepEqual(report, { diagnosis: 'authorized', previous: 'not authorized' });
+    assert.equal(await Diagnosis(emulator.server, 'operator', 's3cret!'), 'authorized');
+  });
+
+  it('keeps the credentials if the password is wrong', async () => {
+    await assert.rejects(SetPassword(emulator.server, 'operator', 'wrong', 'admin', 'admin'), UnauthorizedError);
+
+    assert.equal(emulator.state.password, 's3cret!');
+  });
+
+  it('refuses invalid credentials', async () => {
+    await assert.rejects(SetPassword(emulator.server, 'operator', 's3cret!', 'new user', 'admin'), /invalid username/);
+    await assert.rejects(SetPassword(emulator.server, 'operator', 's3cret!', 'admin', ''), /invalid password/);
+    await assert.rejects(SetPassword(emulator.server, 'operator', 's3cret!', 'admin', 'x'.repeat(32)), /invalid password/);
+  });
+
+  it('reboots the switch and waits for it', async () => {
+    const status = await Reboot(emulator.server, 'operator', 's3cret!', 5000);
+
+    assert.equal(status, 'authorized');
+    assert.equal(emulator.state.password, 's3cret!');
+  });
+
+  it('resets the switch to factory settings', async () => {
+    await SetSwitch(emulator.server, 'operator', 's3cret!', 'Switch-007');
+
+    const status = await FactoryReset(emulator.server, 'operator', 's3cret!', 5000);
+
+    assert.equal(status, 'authorized');
+    assert.equal(emulator.state.name, 'TL-SG108E');
+    assert.equal(await Diagnosis(emulator.server, 'operator', 's3cret!'), 'not authorized');
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info, SetPort, SetVLAN, SetPortVLAN, SetLAG, SetMirror, SwitchClient, SwitchError, UnsupportedError } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('models', () => {
+  let small;
+  let large;
+
+  before(async () => {
+    small = await startEmulator(0, { hardware: 'TL-SG105E 5.0', name: 'TL-SG105E', portCount: 5 });
+    large = await startEmulator(0, { hardware: 'TL-SG1024DE 4.0', name: 'TL-SG1024DE', portCount: 24, lagCount: 8 });
+  });
+  after(async () => {
+    await small.close();
+    await large.close();
+  });
+
+  it('detects the model and its ports', async () => {
+    const data = await Info(large.server, 'admin', 'admin');
+
+    assert.equal(data.switch.model, 'TL-SG1024DE');
+    assert.equal(data.switch.maxVlans, 32);
+    assert.equal(data.switch.ports.length, 24);
+    assert.deepEqual(data.switch.vlans[0].untagged, Array.from({ length: 24 }, (_, i) => i + 1));
+    assert.equal((await Info(small.server, 'admin', 'admin')).switch.model, 'TL-SG105E');
+  });
+
+  it('sets the ports beyond the first eight ports', async () => {
+    await SetPort(large.server, 'admin', 'admin', 20, 0, '100MF');
+    await SetVLAN(large.server, 'admin', 'admin', 10, 'uplink', { tagged: [24], untagged: [17, 18] });
+    await SetPortVLAN(large.server, 'admin', 'admin', 20, [19, 20]);
+    await SetLAG(large.server, 'admin', 'admin', 8, [21, 22]);
+
+    const data = await Info(large.server, 'admin', 'admin');
+
+    assert.equal(data.switch.ports[19].state, 'Disabled');
+    assert.deepEqual(data.switch.vlans[1], { name: 'uplink', id: 10, tagged: [24], untagged: [17, 18] });
+    assert.deepEqual(data.switch.portVlans[1], { id: 20, members: [19, 20] });
+    assert.deepEqual(data.switch.lags, [{ id: 8, members: [21, 22] }]);
+    assert.equal(large.state.vlans[1].tagged, 0x800000);
+  });
+
+  it('refuses ports which do not exist on the model', async () => {
+    await assert.rejects(SetPort(small.server, 'admin', 'admin', 6, 1, 'Auto'), /invalid port: 6 \(the TL-SG105E has 5 ports\)/);
+    await assert.rejects(SetVLAN(small.server, 'admin', 'admin', 3, 'alpha', [2, 8]), /invalid ports: 8/);
+    await assert.rejects(SetPortVLAN(small.server, 'admin', 'admin', 6, [1]), /invalid port-based vlan id: 6/);
+    await assert.rejects(SetMirror(small.server, 'admin', 'admin', 1, 1, [{ port: 7 }]), /invalid source ports: 7/);
+    await assert.rejects(SetLAG(small.server, 'admin', 'admin', 3, [1, 2]), /invalid lag id: 3 \(the TL-SG105E has 2 lags\)/);
+
+    assert.ok(small.state.requests.every(r => !r.includes('.cgi?')));
+    assert.equal(small.state.sessions.size, 0);
+  });
+
+  it('refuses unknown models', async () => {
+    const unknown  = await startEmulator(0, { hardware: 'TL-SG108PE 3.0' });
+    const mismatch = await startEmulator(0, { hardware: 'TL-SG108E 3.0', portCount: 16 });
+
+    try {
+      await assert.rejects(Info(unknown.server, 'admin', 'admin'), error => {
+        assert.ok(error instanceof UnsupportedError && error instanceof SwitchError);
+        assert.equal(error.hardware, 'TL-SG108PE 3.0');
+        assert.equal(error.ports, 8);
+        assert.match(error.message, /unsupported model: TL-SG108PE 3.0 with 8 ports/);
+        return true;
+      });
+      await assert.rejects(SetPort(mismatch.server, 'admin', 'admin', 1, 1, 'Auto'), UnsupportedError);
+
+      assert.equal(unknown.state.sessions.size, 0);
+      assert.equal(mismatch.state.sessions.size, 0);
+    } finally {
+      await unknown.close();
+      await mismatch.close();
+    }
+  });
+
+  it('detects the model once per session of a client', async () => {
+    const client = new SwitchClient(small.server, 'admin', 'admin');
+
+    small.state.requests.length = 0;
+
+    await client.setPort(5, 1, 'Auto');
+    await client.info();
+    await client.close();
+
+    assert.equal(small.state.requests.filter(r => r === 'GET /SystemInfoRpm.htm').length, 2);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+
+import { startMonitor, compare } from '../lib/monitor.js';
+import { startEmulator } from './emulator.js';
+
+// minimal output of Info with one port
+function info(link, counters, name = 'Switch-007', vlans = []) {
+  const [TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt] = counters;
+
+  return { switch: { name: name, vlans: vlans, ports: [{ number: 1, link, TxGoodPkt, TxBadPkt, RxGoodPkt, RxBadPkt }] } };
+}
+
+describe('monitor', () => {
+  it('detects link and speed changes', () => {
+    assert.deepEqual(compare(info('1000MF', [0, 0, 0, 0]), info('down', [0, 0, 0, 0]), 10).events, [
+      { type: 'link-down', port: 1, before: '1000MF', after: 'down' }
+    ]);
+    assert.deepEqual(compare(info('down', [0, 0, 0, 0]), info('100MF', [0, 0, 0, 0]), 10).events, [
+      { type: 'link-up', port: 1, before: 'down', after: '100MF' }
+    ]);
+    assert.deepEqual(compare(info('1000MF', [0, 0, 0, 0]), info('100MF', [0, 0, 0, 0]), 10).events, [
+      { type: 'speed-change', port: 1, before: '1000MF', after: '100MF' }
+    ]);
+  });
+
+  it('detects increasing error counters and computes packet rates', () => {
+    const result = compare(info('1000MF', [100, 0, 200, 3]), info('1000MF', [300, 0, 1200, 5]), 10);
+
+    assert.deepEqual(result.events, [
+      { type: 'errors', port: 1, counter: 'RxBadPkt', before: 3, after: 5, increase: 2 }
+    ]);
+    assert.deepEqual(result.rates, [{ port: 1, TxGoodPkt: 20, TxBadPkt: 0, RxGoodPkt: 100, RxBadPkt: 0.2 }]);
+  });
+
+  it('handles wrapped and reset counters', () => {
+    const wrapped = compare(info('1000MF', [2 ** 32 - 100, 0, 0, 0]), info('1000MF', [100, 0, 0, 0]), 10);
+
+    assert.deepEqual(wrapped.events, []);
+    assert.equal(wrapped.rates[0].TxGoodPkt, 20);
+
+    const reset = compare(info('1000MF', [5000, 0, 7000, 9]), info('1000MF', [50, 0, 70, 1]), 10);
+
+    assert.deepEqual(reset.events, [
+      { type: 'reset', port: 1 },
+      { type: 'errors', port: 1, counter: 'RxBadPkt', before: 9, after: 1, increase: 1 }
+    ]);
+    assert.equal(reset.rates[0].RxGoodPkt, 7);
+  });
+
+  it('detects changes of vlans and name', () => {
+    const vlan   = { id: 3, name: 'alpha', tagged: [1], untagged: [] };
+    const result = compare(info('down', [0, 0, 0, 0], 'Switch-007', [vlan]), info('down', [0, 0, 0, 0], 'Other', [{ ...vlan, tagged: [] }]), 10);
+
+    assert.deepEqual(result.events, [
+      { type: 'name-change', before: 'Switch-007', after: 'Other' },
+      { type: 'vlan-change', vlan: 3, before: { name: 'alpha', tagged: [1], untagged: [] }, after: { name: 'alpha', tagged: [], untagged: [] } }
+    ]);
+  });
+
+  it('skips the changes of our own tooling', () => {
+    const vlan  = { id: 3, name: 'alpha', tagged: [1], untagged: [] };
+    const entry = { before: info('down', [0, 0, 0, 0], 'Switch-007', []), after: info('down', [0, 0, 0, 0], 'Switch-007', [vlan]) };
+
+    // the vlan has been created by the entry, the name has been changed by others
+    assert.deepEqual(compare(info('down', [0, 0, 0, 0]), info('down', [0, 0, 0, 0], 'Other', [vlan]), 10, [entry]).events, [
+      { type: 'name-change', before: 'Switch-007', after: 'Other' }
+    ]);
+
+    // the vlan has been modified again after the entry
+    assert.equal(compare(info('down', [0, 0, 0, 0]), info('down', [0, 0, 0, 0], 'Switch-007', [{ ...vlan, tagged: [] }]), 10, [entry]).events.length, 1);
+  });
+
+  describe('polling', () => {
+    let emulator;
+
+    before(async () => { emulator = await startEmulator(); });
+    after(async () => { await emulator.close(); });
+
+    it('emits events for changes of the switch', async () => {
+      const monitor = startMonitor(emulator.server, 'admin', 'admin', { interval: 50 });
+
+      await once(monitor, 'poll');
+
+      const events = Promise.all([once(monitor, 'link-down'), once(monitor, 'errors')]);
+
+      emulator.state.ports[7].link    = 0;
+      emulator.state.ports[7].pkts[3] = 12;
+
+      const [[down], [errors]] = await events;
+
+      await monitor.stop();
+
+      assert.equal(down.server, emulator.server);
+      assert.equal(down.port, 8);
+      assert.equal(errors.counter, 'RxBadPkt');
+      assert.equal(errors.increase, 12);
+    });
+
+    it('does not emit the changes registered by our own tooling', async () => {
+      const monitor = startMonitor(emulator.server, 'admin', 'admin', { interval: 50 });
+      const events  = [];
+
+      await once(monitor, 'poll');
+
+      monitor.on('event', event => events.push(event));
+
+      // a vlan created by our own tooling and a name changed by others
+      emulator.state.vlans.push({ id: 30, name: 'cam', tagged: 0x00, untagged: 0x08 });
+      emulator.state.name = 'Other';
+
+      monitor.expect({ before: { switch: { vlans: [] } }, after: { switch: { vlans: [{ id: 30, name: 'cam', tagged: [], untagged: [4] }] } } });
+
+      await once(monitor, 'poll');
+      await monitor.stop();
+
+      assert.deepEqual(events.map(event => event.type), ['name-change']);
+    });
+
+    it('signals failed polls', async () => {
+      const monitor   = startMonitor('127.0.0.1:1', 'admin', 'admin', { interval: 50 });
+      const [failure] = await once(monitor, 'failure');
+
+      await monitor.stop();
+
+      assert.equal(failure.server, '127.0.0.1:1');
+    });
+  });
+});
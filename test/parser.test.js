@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'fs';
+import { readdir, readFile } from 'fs/promises';
+import { load } from 'js-yaml';
+
+import { Info, SwitchError, ParseError } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+// The fixtures in test/fixtures contain page bodies modelled on several
+// firmware versions together with the expected output of Info for the
+// attributes read from these pages (expected.yaml).
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+// checks that the actual value contains all expected attributes
+function assertSubset(actual, expected, path = '') {
+  if (Array.isArray(expected)) {
+    assert.ok(Array.isArray(actual), path + ' is not a list');
+    assert.equal(actual.length, expected.length, path + ' has ' + actual.length + ' entries');
+
+    expected.forEach((item, index) => assertSubset(actual[index], item, path + '[' + index + ']'));
+  } else if (expected && typeof expected === 'object') {
+    for (const key of Object.keys(expected)) {
+      assertSubset(actual[key], expected[key], path + '.' + key);
+    }
+  } else {
+    assert.equal(actual, expected, path);
+  }
+}
+
+describe('parser', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  for (const firmware of readdirSync(FIXTURES)) {
+    it('parses the pages of ' + firmware, async () => {
+      const directory = new URL(firmware + '/', FIXTURES);
+      const expected  = load(await readFile(new URL('expected.yaml', directory), 'utf8'));
+
+      emulator.state.pages = {};
+
+      for (const file of (await readdir(directory)).filter(file => file.endsWith('.htm'))) {
+        emulator.state.pages['/' + file] = await readFile(new URL(file, directory), 'utf8');
+      }
+
+      assertSubset(await Info(emulator.server, 'admin', 'admin'), expected, firmware);
+    });
+  }
+
+  it('reports the page and field which could not be parsed', async () => {
+    const cases = [
+      // field with another type
+      ['/Vlan8021QRpm.htm', "var qvlan_ds = {state: 1, count: 1, vids: ['1'], names: ['Default'], tagMbrs: [0], untagMbrs: [0xFF], lagMbrs: [0]};",
+       'qvlan_ds.vids', /field qvlan_ds.vids is not a list of numbers/],
+      // missing field
+      ['/SystemInfoRpm.htm', 'var info_ds = {descriStr: ["x"], hardwareStr: ["TL-SG108E 3.0"], firmwareStr: ["1.0.0"]};',
+       'info_ds.macStr', /field info_ds.macStr is missing/],
+      // malformed literal
+      ['/PortSettingRpm.htm', 'var max_port_num = 8;\nvar all_info = {\n  state: [1, 1, 1, 1, 1, 1, 1, 1 },\n};',
+       'all_info', /field all_info: expected ',' or '\]' in line 4/],
+      // malformed script
+      ['/PortStatisticsRpm.htm', 'var max_port_num = 8;\nvar tip = "unterminated;\n',
+       null, /unterminated string in line 3/]
+    ];
+
+    for (const [page, scrpt, field, message] of cases) {
+      emulator.state.pages = { [page]: '<script type="text/javascript">\n' + scrpt + '\n</script>' };
+
+      await assert.rejects(Info(emulator.server, 'admin', 'admin'), error => {
+        assert.ok(error instanceof ParseError && error instanceof SwitchError);
+        assert.equal(error.page, page);
+        assert.equal(error.field, field);
+        assert.match(error.message, message);
+        assert.ok(error.message.startsWith('page ' + page));
+        return true;
+      });
+    }
+
+    emulator.state.pages = {};
+  });
+});
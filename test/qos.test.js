@@ -0,0 +1,65 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info, SetQoS, SetPortPriority, SetBandwidth, SetStormControl } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('QoS', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('sets the QoS mode', async () => {
+    await SetQoS(emulator.server, 'admin', 'admin', 'Port-based');
+    assert.equal((await Info(emulator.server, 'admin', 'admin')).switch.qos, 'Port-based');
+
+    await SetQoS(emulator.server, 'admin', 'admin', 2);
+    assert.equal((await Info(emulator.server, 'admin', 'admin')).switch.qos, 'DSCP');
+  });
+
+  it('sets the priority of ports', async () => {
+    await SetPortPriority(emulator.server, 'admin', 'admin', [1, 8], 4);
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.ports.map(p => p.priority), [4, 1, 1, 1, 1, 1, 1, 4]);
+  });
+
+  it('sets the rate limits of ports', async () => {
+    await SetBandwidth(emulator.server, 'admin', 'admin', 3, '512K', '256M');
+
+    const port = (await Info(emulator.server, 'admin', 'admin')).switch.ports[2];
+
+    assert.equal(port.ingressRate, '512K');
+    assert.equal(port.egressRate, '256M');
+  });
+
+  it('sets and disables the storm control of ports', async () => {
+    await SetStormControl(emulator.server, 'admin', 'admin', [4, 5], '64K', ['broadcast', 'unknown-unicast']);
+
+    let ports = (await Info(emulator.server, 'admin', 'admin')).switch.ports;
+
+    assert.equal(ports[3].stormRate, '64K');
+    assert.deepEqual(ports[3].stormTypes, ['unknown-unicast', 'broadcast']);
+    assert.deepEqual(ports[4].stormTypes, ['unknown-unicast', 'broadcast']);
+
+    await SetStormControl(emulator.server, 'admin', 'admin', 4, undefined, []);
+
+    ports = (await Info(emulator.server, 'admin', 'admin')).switch.ports;
+
+    assert.equal(ports[3].stormRate, 'Unlimited');
+    assert.deepEqual(ports[3].stormTypes, []);
+    assert.equal(ports[4].stormRate, '64K');
+  });
+
+  it('refuses values which are not supported by the switch', async () => {
+    await assert.rejects(SetQoS(emulator.server, 'admin', 'admin', 'WRR'), /invalid QoS mode/);
+    await assert.rejects(SetPortPriority(emulator.server, 'admin', 'admin', 1, 5), /invalid priority/);
+    await assert.rejects(SetPortPriority(emulator.server, 'admin', 'admin', [], 1), /invalid ports/);
+    await assert.rejects(SetBandwidth(emulator.server, 'admin', 'admin', 1, '100M', '1M'), /invalid ingress rate/);
+    await assert.rejects(SetBandwidth(emulator.server, 'admin', 'admin', 1, '1M', '1G'), /invalid egress rate/);
+    await assert.rejects(SetStormControl(emulator.server, 'admin', 'admin', 1, '1M', ['unicast']), /invalid storm types/);
+    await assert.rejects(SetStormControl(emulator.server, 'admin', 'admin', 1, 'Unlimited', ['broadcast']), /invalid storm rate/);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info, SetIGMP } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetIGMP', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('reads IGMP snooping without multicast groups', async () => {
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.igmp, { state: 'Disabled', reportSuppression: 'Disabled', groups: [] });
+  });
+
+  it('enables IGMP snooping and report message suppression', async () => {
+    await SetIGMP(emulator.server, 'admin', 'admin', 1, 1);
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.equal(data.switch.igmp.state, 'Enabled');
+    assert.equal(data.switch.igmp.reportSuppression, 'Enabled');
+  });
+
+  it('reads the learned multicast groups', async () => {
+    emulator.state.igmp.groups.push({ ip: '239.1.1.1', vlan: 10, ports: 0x03 });
+    emulator.state.igmp.groups.push({ ip: '239.1.1.2', vlan: 10, ports: 0x80 });
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.igmp.groups, [
+      { ip: '239.1.1.1', vlan: 10, ports: [1, 2] },
+      { ip: '239.1.1.2', vlan: 10, ports: [8] }
+    ]);
+  });
+
+  it('refuses invalid parameters', async () => {
+    await assert.rejects(SetIGMP(emulator.server, 'admin', 'admin', 2, 0), /invalid IGMP snooping state/);
+    await assert.rejects(SetIGMP(emulator.server, 'admin', 'admin', 1), /invalid report message suppression state/);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info, SetIP } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetIP', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('reads the DHCP state', async () => {
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.equal(data.switch.dhcp, 'Disabled');
+  });
+
+  it('sets a static address and diagnoses the switch at its new address', async () => {
+    const report = await SetIP(emulator.server, 'admin', 'admin', 0, '127.0.0.1', '255.0.0.0', '127.0.0.254');
+
+    assert.deepEqual(report, { server: emulator.server, diagnosis: 'authorized', warnings: [] });
+    assert.equal(emulator.state.ip, '127.0.0.1');
+    assert.equal(emulator.state.netmask, '255.0.0.0');
+    assert.equal(emulator.state.gateway, '127.0.0.254');
+  });
+
+  it('reports a switch which does not come back at its new address', async () => {
+    const port   = emulator.server.split(':')[1];
+    const report = await SetIP(emulator.server, 'admin', 'admin', 0, '127.0.0.2', '255.0.0.0', '0.0.0.0', 1500);
+
+    assert.equal(report.server, '127.0.0.2:' + port);
+    assert.equal(report.diagnosis, 'not accessible');
+    assert.match(report.warnings[0], /not accessible at its new address/);
+  });
+
+  it('enables DHCP', async () => {
+    const report = await SetIP(emulator.server, 'admin', 'admin', 1);
+
+    assert.equal(report.diagnosis, null);
+    assert.match(report.warnings[0], /assigned by DHCP/);
+    assert.equal(emulator.state.dhcp, 1);
+  });
+
+  it('refuses invalid addresses', async () => {
+    await assert.rejects(SetIP(emulator.server, 'admin', 'admin', 0, '192.168.0.256', '255.255.255.0'), /invalid IP address/);
+    await assert.rejects(SetIP(emulator.server, 'admin', 'admin', 0, '192.168.0.0', '255.255.255.0'), /not a host address/);
+    await assert.rejects(SetIP(emulator.server, 'admin', 'admin', 0, '192.168.0.2', '255.0.255.0'), /invalid netmask/);
+    await assert.rejects(SetIP(emulator.server, 'admin', 'admin', 0, '192.168.0.2', '255.255.255.0', '192.168.1.1'), /invalid gateway/);
+    await assert.rejects(SetIP(emulator.server, 'admin', 'admin', 2), /invalid DHCP state/);
+  });
+});
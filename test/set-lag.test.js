@@ -0,0 +1,56 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info, SetLAG } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetLAG', () => {
+  let emulator;
+
+  before(async () => {
+    emulator = await startEmulator();
+    emulator.state.vlans.push({ id: 5, name: 'iot', tagged: 0x38, untagged: 0x00 });
+    emulator.state.ports[2].speed = 5;
+  });
+  after(async () => { await emulator.close(); });
+
+  it('creates a link aggregation group', async () => {
+    await SetLAG(emulator.server, 'admin', 'admin', 1, [5, 6]);
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.lags, [{ id: 1, members: [5, 6] }]);
+  });
+
+  it('modifies a link aggregation group', async () => {
+    await SetLAG(emulator.server, 'admin', 'admin', 2, [7, 8]);
+    await SetLAG(emulator.server, 'admin', 'admin', 2, [1, 2, 7, 8]);
+
+    assert.deepEqual(emulator.state.ports.map(p => p.lag), [2, 2, 0, 0, 1, 1, 2, 2]);
+  });
+
+  it('dissolves a link aggregation group', async () => {
+    await SetLAG(emulator.server, 'admin', 'admin', 2, []);
+
+    assert.deepEqual(emulator.state.ports.map(p => p.lag), [0, 0, 0, 0, 1, 1, 0, 0]);
+  });
+
+  it('refuses ports with different speed settings', async () => {
+    await assert.rejects(SetLAG(emulator.server, 'admin', 'admin', 2, [3, 4]), /same speed settings/);
+  });
+
+  it('refuses ports with different vlan membership', async () => {
+    await assert.rejects(SetLAG(emulator.server, 'admin', 'admin', 2, [4, 7]), /membership of vlan 5/);
+  });
+
+  it('refuses ports of another group', async () => {
+    await assert.rejects(SetLAG(emulator.server, 'admin', 'admin', 2, [6, 7]), /ports 6 are members of another lag/);
+    assert.equal(emulator.state.sessions.size, 0);
+  });
+
+  it('refuses invalid parameters', async () => {
+    await assert.rejects(SetLAG(emulator.server, 'admin', 'admin', 3, [1, 2]), /invalid lag id/);
+    await assert.rejects(SetLAG(emulator.server, 'admin', 'admin', 1, [1]), /2-4 member ports/);
+    await assert.rejects(SetLAG(emulator.server, 'admin', 'admin', 1, [1, 2, 3, 4, 5]), /2-4 member ports/);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info, SetMirror } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetMirror', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('enables port mirroring', async () => {
+    await SetMirror(emulator.server, 'admin', 'admin', 1, 8, [
+      { port: 1, direction: 'ingress' },
+      { port: 2, direction: 'egress' },
+      { port: 3 }
+    ]);
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.mirror, {
+      state: 'Enabled',
+      destination: 8,
+      sources: [
+        { port: 1, direction: 'ingress' },
+        { port: 2, direction: 'egress' },
+        { port: 3, direction: 'both' }
+      ]
+    });
+  });
+
+  it('only changes the source ports which differ', async () => {
+    const count = emulator.state.requests.length;
+
+    await SetMirror(emulator.server, 'admin', 'admin', 1, 8, [{ port: 3, direction: 'both' }]);
+
+    const requests = emulator.state.requests.slice(count).filter(r => r.includes('mirrored_port_set.cgi'));
+
+    assert.equal(requests.length, 2);
+    assert.deepEqual(emulator.state.ports.slice(0, 3).map(p => p.mirror), [
+      { ingress: 0, egress: 0 },
+      { ingress: 0, egress: 0 },
+      { ingress: 1, egress: 1 }
+    ]);
+  });
+
+  it('disables port mirroring', async () => {
+    await SetMirror(emulator.server, 'admin', 'admin', 0);
+
+    assert.deepEqual(emulator.state.mirror, { state: 0, destination: 8 });
+  });
+
+  it('refuses a destination which is also a source', async () => {
+    await assert.rejects(SetMirror(emulator.server, 'admin', 'admin', 1, 2, [{ port: 2 }]), /destination port 2 can not be a source port/);
+  });
+
+  it('refuses invalid parameters', async () => {
+    await assert.rejects(SetMirror(emulator.server, 'admin', 'admin', 2), /invalid mirroring state/);
+    await assert.rejects(SetMirror(emulator.server, 'admin', 'admin', 1, 9, [{ port: 2 }]), /invalid destination port/);
+    await assert.rejects(SetMirror(emulator.server, 'admin', 'admin', 1, 1, []), /requires a list of source ports/);
+    await assert.rejects(SetMirror(emulator.server, 'admin', 'admin', 1, 1, [{ port: 2, direction: 'up' }]), /invalid direction/);
+    await assert.rejects(SetMirror(emulator.server, 'admin', 'admin', 1, 1, [{ port: 2 }, { port: 2 }]), /listed more than once/);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SetPortVLAN } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetPortVLAN', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('adds a port-based vlan', async () => {
+    await SetPortVLAN(emulator.server, 'admin', 'admin', 2, [1, 2, 8]);
+
+    assert.deepEqual(emulator.state.portVlans[1], { id: 2, members: 0x83 });
+  });
+
+  it('modifies an existing port-based vlan', async () => {
+    await SetPortVLAN(emulator.server, 'admin', 'admin', 2, [3]);
+
+    assert.deepEqual(emulator.state.portVlans[1], { id: 2, members: 0x04 });
+  });
+
+  it('deletes a port-based vlan without members', async () => {
+    await SetPortVLAN(emulator.server, 'admin', 'admin', 2, []);
+
+    assert.deepEqual(emulator.state.portVlans.map(v => v.id), [1]);
+  });
+
+  it('refuses invalid parameters', async () => {
+    await assert.rejects(SetPortVLAN(emulator.server, 'admin', 'admin', 9, [1]), /invalid port-based vlan id/);
+    await assert.rejects(SetPortVLAN(emulator.server, 'admin', 'admin', 2, [9]), /invalid ports/);
+    await assert.rejects(SetPortVLAN(emulator.server, 'admin', 'admin', 2, 1), /must be a list/);
+    await assert.rejects(SetPortVLAN(emulator.server, 'admin', 'admin', 1, []), /can not be deleted/);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SetPort, ValidationError } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetPort', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('sets state and speed of a port', async () => {
+    await SetPort(emulator.server, 'admin', 'admin', 4, 0, '100MH');
+
+    assert.equal(emulator.state.ports[3].state, 0);
+    assert.equal(emulator.state.ports[3].speed, 4);
+  });
+
+  it('refuses invalid parameters', async () => {
+    await assert.rejects(SetPort(emulator.server, 'admin', 'admin', 9, 0, '100MH'), /invalid port: 9/);
+    await assert.rejects(SetPort(emulator.server, 'admin', 'admin', 1, 2, '100MH'), /invalid state of port 1/);
+    await assert.rejects(SetPort(emulator.server, 'admin', 'admin', 1, 0, 'down'), /invalid speed of port 1: down/);
+    await assert.rejects(SetPort(emulator.server, 'admin', 'admin', 1, 0, '5GF'), ValidationError);
+
+    assert.equal(emulator.state.requests.filter(r => r.includes('port_setting.cgi')).length, 1);
+    assert.equal(emulator.state.ports[0].state, 1);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Info, SetPVID } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetPVID', () => {
+  let emulator;
+
+  before(async () => {
+    emulator = await startEmulator();
+    emulator.state.vlans.push({ id: 5, name: 'iot', tagged: 0x80, untagged: 0x03 });
+  });
+  after(async () => { await emulator.close(); });
+
+  it('sets the pvid of several ports', async () => {
+    await SetPVID(emulator.server, 'admin', 'admin', [1, 2], 5);
+
+    const data = await Info(emulator.server, 'admin', 'admin');
+
+    assert.deepEqual(data.switch.ports.map(p => p.pvid), [5, 5, 1, 1, 1, 1, 1, 1]);
+  });
+
+  it('sets the pvid of a single port', async () => {
+    await SetPVID(emulator.server, 'admin', 'admin', 2, 1);
+
+    assert.deepEqual(emulator.state.ports.map(p => p.pvid), [5, 1, 1, 1, 1, 1, 1, 1]);
+  });
+
+  it('rejects vlans which do not exist', async () => {
+    await assert.rejects(SetPVID(emulator.server, 'admin', 'admin', 3, 7), /vlan 7 does not exist/);
+  });
+
+  it('rejects ports which are not untagged members', async () => {
+    await assert.rejects(SetPVID(emulator.server, 'admin', 'admin', [1, 8], 5), /ports 8 are not untagged members of vlan 5/);
+    assert.equal(emulator.state.sessions.size, 0);
+  });
+
+  it('rejects invalid ports', async () => {
+    await assert.rejects(SetPVID(emulator.server, 'admin', 'admin', [0, 9], 1), /invalid ports/);
+  });
+
+  it('rejects invalid pvids without logging in', async () => {
+    const count = emulator.state.requests.length;
+
+    await assert.rejects(SetPVID(emulator.server, 'admin', 'admin', 3, 0), /invalid pvid: 0/);
+    await assert.rejects(SetPVID(emulator.server, 'admin', 'admin', 3, 'iot'), /invalid pvid: iot/);
+    await assert.rejects(SetPVID(emulator.server, 'admin', 'admin', 3, 4095), /invalid pvid: 4095/);
+
+    assert.equal(emulator.state.requests.length, count);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SetSwitch, ValidationError, UnauthorizedError } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetSwitch', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('sets the name of the switch', async () => {
+    await SetSwitch(emulator.server, 'admin', 'admin', 'Switch-007');
+
+    assert.equal(emulator.state.name, 'Switch-007');
+  });
+
+  it('refuses invalid names and vlan modes', async () => {
+    await assert.rejects(SetSwitch(emulator.server, 'admin', 'admin', 'no spaces allowed'), /invalid switch name/);
+    await assert.rejects(SetSwitch(emulator.server, 'admin', 'admin', 'x'.repeat(32)), ValidationError);
+    await assert.rejects(SetSwitch(emulator.server, 'admin', 'admin', undefined, 'MTU'), /invalid vlan mode: MTU/);
+
+    assert.equal(emulator.state.name, 'Switch-007');
+  });
+
+  it('enables and disables 802.1Q vlans', async () => {
+    await SetSwitch(emulator.server, 'admin', 'admin', undefined, 1);
+    assert.equal(emulator.state.qvlan, 1);
+
+    await SetSwitch(emulator.server, 'admin', 'admin', undefined, 0);
+    assert.equal(emulator.state.qvlan, 0);
+  });
+
+  it('switches between the vlan modes', async () => {
+    await SetSwitch(emulator.server, 'admin', 'admin', undefined, 'Port-based');
+    assert.deepEqual([emulator.state.qvlan, emulator.state.pvlan], [0, 1]);
+
+    await SetSwitch(emulator.server, 'admin', 'admin', undefined, '802.1Q');
+    assert.deepEqual([emulator.state.qvlan, emulator.state.pvlan], [1, 0]);
+
+    await SetSwitch(emulator.server, 'admin', 'admin', undefined, 2);
+    assert.deepEqual([emulator.state.qvlan, emulator.state.pvlan], [0, 1]);
+
+    await SetSwitch(emulator.server, 'admin', 'admin', undefined, 'Disabled');
+    assert.deepEqual([emulator.state.qvlan, emulator.state.pvlan], [0, 0]);
+  });
+
+  it('has no effect with invalid credentials', async () => {
+    await assert.rejects(SetSwitch(emulator.server, 'admin', 'wrong', 'Intruder', 1), UnauthorizedError);
+
+    assert.equal(emulator.state.name, 'Switch-007');
+    assert.equal(emulator.state.qvlan, 0);
+  });
+});
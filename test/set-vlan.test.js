@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SetVLAN, ValidationError } from '../index.js';
+import { startEmulator } from './emulator.js';
+
+describe('SetVLAN', () => {
+  let emulator;
+
+  before(async () => { emulator = await startEmulator(); });
+  after(async () => { await emulator.close(); });
+
+  it('adds a vlan with tagged members', async () => {
+    await SetVLAN(emulator.server, 'admin', 'admin', 3, 'alpha', [2, 4, 6, 8]);
+
+    assert.deepEqual(emulator.state.vlans[1], { id: 3, name: 'alpha', tagged: 0xAA, untagged: 0x00 });
+  });
+
+  it('modifies an existing vlan', async () => {
+    await SetVLAN(emulator.server, 'admin', 'admin', 3, 'beta', [1]);
+
+    assert.deepEqual(emulator.state.vlans[1], { id: 3, name: 'beta', tagged: 0x01, untagged: 0x00 });
+  });
+
+  it('adds a vlan with tagged and untagged members', async () => {
+    await SetVLAN(emulator.server, 'admin', 'admin', 5, 'iot', { tagged: [8], untagged: [1, 2] });
+
+    assert.deepEqual(emulator.state.vlans[2], { id: 5, name: 'iot', tagged: 0x80, untagged: 0x03 });
+  });
+
+  it('refuses ports which are tagged and untagged', async () => {
+    await assert.rejects(
+      SetVLAN(emulator.server, 'admin', 'admin', 5, 'iot', { tagged: [1, 8], untagged: [1, 2] }),
+      /ports 1 can not be tagged and untagged/
+    );
+    assert.deepEqual(emulator.state.vlans[2], { id: 5, name: 'iot', tagged: 0x80, untagged: 0x03 });
+  });
+
+  it('refuses invalid ports', async () => {
+    await assert.rejects(SetVLAN(emulator.server, 'admin', 'admin', 5, 'iot', { untagged: [9] }), /invalid ports: 9/);
+  });
+
+  it('deletes a vlan without members', async () => {
+    await SetVLAN(emulator.server, 'admin', 'admin', 5, 'iot', { tagged: [], untagged: [] });
+
+    await SetVLAN(emulator.server, 'admin', 'admin', 3, 'beta', []);
+
+    assert.deepEqual(emulator.state.vlans.map(v => v.id), [1]);
+  });
+
+  it('limits the number of vlans to the one reported by the switch', async () => {
+    emulator.state.maxVlans = 2;
+
+    await SetVLAN(emulator.server, 'admin', 'admin', 100, 'gamma', [1]);
+    await assert.rejects(SetVLAN(emulator.server, 'admin', 'admin', 4094, 'delta', [1]), /the switch supports 2 vlans/);
+    await SetVLAN(emulator.server, 'admin', 'admin', 100, 'gamma', [2]);
+    await SetVLAN(emulator.server, 'admin', 'admin', 100, 'gamma', []);
+
+    emulator.state.maxVlans = 32;
+
+    assert.deepEqual(emulator.state.vlans.map(v => v.id), [1]);
+  });
+
+  it('refuses invalid parameters', async () => {
+    await assert.rejects(SetVLAN(emulator.server, 'admin', 'admin', 1, 'Default', [1]), ValidationError);
+    await assert.rejects(SetVLAN(emulator.server, 'admin', 'admin', 4095, 'gamma', [1]), /invalid vlan id/);
+    await assert.rejects(SetVLAN(emulator.server, 'admin', 'admin', 5, 'no spaces', [1]), /invalid name of vlan 5/);
+    await assert.rejects(SetVLAN(emulator.server, 'admin', 'admin', 5, 'gamma', 1), /invalid members of vlan 5/);
+
+    assert.deepEqual(emulator.state.vlans.map(v => v.id), [1]);
+  });
+});